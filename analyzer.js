@@ -0,0 +1,169 @@
+import { readPower } from './testbench.js';
+
+// Logic analyzer: records the power level (0-15) of probed cells after every game tick.
+// DOM-free so it also works headless:
+//
+//   const analyzer = new LogicAnalyzer();
+//   analyzer.addProbe(4, 0, 0, 'Q');
+//   analyzer.attach(simulator);   // records from simulator.tick()
+//   ...
+//   writeFileSync('run.vcd', analyzer.toVCD());
+//
+// All probes share one timeline: sample i of every probe was taken at tick startTick + i.
+// A probe added while recording has null (unknown) samples before it existed.
+
+// Samples kept per probe before the oldest are dropped (5 minutes at 20 TPS)
+const DEFAULT_MAX_SAMPLES = 6000;
+
+// A game tick lasts 50 ms; VCD times are written in milliseconds
+const MS_PER_TICK = 50;
+
+export class LogicAnalyzer {
+    constructor({ maxSamples = DEFAULT_MAX_SAMPLES } = {}) {
+        this.maxSamples = maxSamples;
+        this.probes = [];       // [{ name, x, y, z, samples: [power | null] }]
+        this.startTick = 0;     // Tick of the first sample
+        this.sampleCount = 0;
+        this.simulator = null;
+        this.listener = (simulator) => this.record(simulator);
+    }
+
+    // Record from this simulator's ticks (and stop recording any previous one)
+    attach(simulator) {
+        this.detach();
+        this.simulator = simulator;
+        simulator.addTickListener(this.listener);
+        this.clear();
+    }
+
+    detach() {
+        if (this.simulator) this.simulator.removeTickListener(this.listener);
+        this.simulator = null;
+    }
+
+    // Forget every sample but keep the probes; recording restarts at the next tick
+    clear() {
+        this.startTick = this.simulator ? this.simulator.tickCount + 1 : 0;
+        this.sampleCount = 0;
+        this.probes.forEach(probe => { probe.samples = []; });
+    }
+
+    get endTick() {
+        return this.startTick + this.sampleCount - 1;
+    }
+
+    findProbe(x, y, z) {
+        return this.probes.find(probe => probe.x === x && probe.y === y && probe.z === z) || null;
+    }
+
+    addProbe(x, y, z, name = `${x},${y},${z}`) {
+        const existing = this.findProbe(x, y, z);
+        if (existing) return existing;
+        const probe = { name, x, y, z, samples: new Array(this.sampleCount).fill(null) };
+        this.probes.push(probe);
+        return probe;
+    }
+
+    removeProbe(x, y, z) {
+        this.probes = this.probes.filter(probe => probe.x !== x || probe.y !== y || probe.z !== z);
+    }
+
+    record(simulator) {
+        const tick = simulator.tickCount;
+        const values = this.probes.map(probe => readPower(simulator, probe.x, probe.y, probe.z));
+
+        if (tick >= this.startTick && tick <= this.endTick) {
+            // Rewound (timeline.js): keep the recorded future while the replay matches it,
+            // and drop it from the first tick where the circuit does something else
+            const index = tick - this.startTick;
+            if (this.probes.every((probe, i) => probe.samples[index] === values[i])) return;
+            this.probes.forEach(probe => probe.samples.splice(index));
+            this.sampleCount = index;
+        } else if (this.sampleCount > 0 && tick !== this.endTick + 1) {
+            // Ticks were skipped or a different circuit was loaded: start over
+            this.clear();
+        }
+        if (this.sampleCount === 0) this.startTick = tick;
+
+        this.probes.forEach((probe, i) => probe.samples.push(values[i]));
+        this.sampleCount++;
+
+        if (this.sampleCount > this.maxSamples) {
+            this.probes.forEach(probe => probe.samples.shift());
+            this.sampleCount--;
+            this.startTick++;
+        }
+    }
+
+    // Power of a probe at a tick, or null if it wasn't recorded
+    sampleAt(probe, tick) {
+        const value = probe.samples[tick - this.startTick];
+        return value === undefined ? null : value;
+    }
+
+    // Ticks at which a probe's logic level (powered or not) changes
+    findEdges(probe) {
+        const edges = [];
+        for (let i = 1; i < probe.samples.length; i++) {
+            const before = probe.samples[i - 1];
+            const after = probe.samples[i];
+            if (before !== null && after !== null && (before > 0) !== (after > 0)) {
+                edges.push(this.startTick + i);
+            }
+        }
+        return edges;
+    }
+
+    // The recording as a Value Change Dump. Every probe becomes a 1-bit wire (powered or not)
+    // and a 4-bit vector with its power level; unknown samples are written as x.
+    toVCD({ date = new Date() } = {}) {
+        const ids = this.probes.map((_, index) => [vcdIdentifier(index * 2), vcdIdentifier(index * 2 + 1)]);
+        const lines = [
+            `$date ${date.toISOString()} $end`,
+            '$version Redstone Circuit Designer logic analyzer $end',
+            '$timescale 1 ms $end',
+            '$scope module circuit $end'
+        ];
+        this.probes.forEach((probe, index) => {
+            const name = vcdName(probe.name);
+            lines.push(`$var wire 1 ${ids[index][0]} ${name} $end`);
+            lines.push(`$var wire 4 ${ids[index][1]} ${name}_power [3:0] $end`);
+        });
+        lines.push('$upscope $end', '$enddefinitions $end');
+
+        const previous = this.probes.map(() => undefined);
+        for (let i = 0; i < this.sampleCount; i++) {
+            const changes = [];
+            this.probes.forEach((probe, index) => {
+                const value = probe.samples[i];
+                if (value === previous[index]) return;
+                previous[index] = value;
+                if (value === null) {
+                    changes.push(`x${ids[index][0]}`, `bx ${ids[index][1]}`);
+                } else {
+                    changes.push(`${value > 0 ? 1 : 0}${ids[index][0]}`, `b${value.toString(2)} ${ids[index][1]}`);
+                }
+            });
+            if (changes.length > 0 || i === 0) {
+                lines.push(`#${(this.startTick + i) * MS_PER_TICK}`, ...changes);
+            }
+        }
+        if (this.sampleCount > 0) lines.push(`#${(this.endTick + 1) * MS_PER_TICK}`);
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Short identifier codes made of printable ASCII ('!' to '~'), as VCD expects
+function vcdIdentifier(index) {
+    let id = '';
+    do {
+        id += String.fromCharCode(33 + (index % 94));
+        index = Math.floor(index / 94);
+    } while (index > 0);
+    return id;
+}
+
+// VCD names can't contain whitespace
+function vcdName(name) {
+    return String(name).replace(/\s+/g, '_') || 'probe';
+}
@@ -0,0 +1,114 @@
+// Note block sounds, synthesised with Web Audio since no sound files ship with the app.
+// Pitches follow Java: notes 0-24 run two octaves up from the instrument's lowest F#.
+
+// The harp's lowest note, F#3
+const HARP_BASE_FREQUENCY = 184.997;
+
+// Notes still ringing beyond this are dropped, so stepping through many ticks at once
+// doesn't play hundreds of them on top of each other
+const MAX_VOICES = 24;
+
+// Octave of each instrument relative to the harp, and how it's made: an oscillator wave,
+// or (for the drums) filtered noise or a falling sine. decay is in seconds.
+const INSTRUMENTS = {
+    harp: { octave: 0, wave: 'triangle', decay: 1.0 },
+    basedrum: { octave: -2, kick: true, decay: 0.3 },
+    snare: { octave: 0, noise: 'bandpass', filterScale: 8, decay: 0.2 },
+    hat: { octave: 0, noise: 'highpass', filterScale: 24, decay: 0.08 },
+    bass: { octave: -2, wave: 'sawtooth', decay: 0.6 },
+    flute: { octave: 1, wave: 'sine', decay: 0.8 },
+    bell: { octave: 2, wave: 'sine', decay: 1.6 },
+    guitar: { octave: -1, wave: 'sawtooth', decay: 0.5 },
+    chime: { octave: 2, wave: 'triangle', decay: 1.8 },
+    xylophone: { octave: 2, wave: 'triangle', decay: 0.3 },
+    iron_xylophone: { octave: 0, wave: 'square', decay: 0.6 },
+    cow_bell: { octave: 1, wave: 'square', decay: 0.3 },
+    didgeridoo: { octave: -2, wave: 'sawtooth', decay: 0.9 },
+    bit: { octave: 0, wave: 'square', decay: 0.4 },
+    banjo: { octave: 0, wave: 'sawtooth', decay: 0.35 },
+    pling: { octave: 0, wave: 'triangle', decay: 1.2 }
+};
+
+const NOTE_NAMES = ['F#', 'G', 'G#', 'A', 'A#', 'B', 'C', 'C#', 'D', 'D#', 'E', 'F'];
+
+export function getNoteFrequency(instrument, note) {
+    const { octave } = INSTRUMENTS[instrument] || INSTRUMENTS.harp;
+    return HARP_BASE_FREQUENCY * Math.pow(2, octave + note / 12);
+}
+
+// Name of a note with its octave, e.g. 'F#3' for a harp's note 0
+export function getNoteName(instrument, note) {
+    const { octave } = INSTRUMENTS[instrument] || INSTRUMENTS.harp;
+    // Octave numbers go up at C, six semitones above F#
+    return NOTE_NAMES[note % 12] + (3 + octave + Math.floor((note + 6) / 12));
+}
+
+export class NotePlayer {
+    constructor() {
+        this.context = null;   // Created on the first note; browsers only allow it after user input
+        this.volume = 0.2;
+        this.muted = false;
+        this.voices = 0;
+    }
+
+    getContext() {
+        if (!this.context) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) return null;
+            this.context = new AudioContext();
+        }
+        if (this.context.state === 'suspended') this.context.resume();
+        return this.context;
+    }
+
+    play(instrument, note) {
+        if (this.muted || this.voices >= MAX_VOICES) return;
+        const context = this.getContext();
+        if (!context) return;
+
+        const sound = INSTRUMENTS[instrument] || INSTRUMENTS.harp;
+        const frequency = getNoteFrequency(instrument, note);
+        const now = context.currentTime;
+
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(this.volume, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + sound.decay);
+        gain.connect(context.destination);
+
+        let source;
+        if (sound.noise) {
+            source = context.createBufferSource();
+            source.buffer = this.getNoiseBuffer(context);
+            const filter = context.createBiquadFilter();
+            filter.type = sound.noise;
+            filter.frequency.value = frequency * sound.filterScale;
+            source.connect(filter);
+            filter.connect(gain);
+        } else {
+            source = context.createOscillator();
+            source.type = sound.kick ? 'sine' : sound.wave;
+            source.frequency.setValueAtTime(frequency, now);
+            // A drum thump: the pitch drops quickly as it fades
+            if (sound.kick) source.frequency.exponentialRampToValueAtTime(frequency / 4, now + sound.decay);
+            source.connect(gain);
+        }
+
+        this.voices++;
+        source.onended = () => {
+            this.voices--;
+            gain.disconnect();
+        };
+        source.start(now);
+        source.stop(now + sound.decay);
+    }
+
+    // One second of white noise, shared by every drum hit
+    getNoiseBuffer(context) {
+        if (!this.noiseBuffer) {
+            this.noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        }
+        return this.noiseBuffer;
+    }
+}
@@ -0,0 +1,85 @@
+// Block lookup / update benchmark.
+// Usage: node benchmark.js
+//
+// Builds the same small circuit (a lever driving a line of dust) on boards padded with
+// more and more unrelated blocks, then times lever toggles and game ticks. With the chunk
+// index the cost per toggle and per tick should stay flat no matter how many blocks are on
+// the board; the "linear scan" column shows what a single lookup cost with the old find()
+// over all entities.
+
+import { RedstoneSimulator } from './simulator.js';
+
+const FILLER_COUNTS = [0, 1000, 5000, 10000];
+const TOGGLES = 200;
+const TICKS = 2000;
+const LOOKUPS = 2000;
+
+function buildBoard(fillerCount) {
+    const simulator = new RedstoneSimulator(64, 48, 16);
+
+    // The circuit under test lives on layer 0
+    simulator.createEntity('minecraft:lever', 0, 0, 0);
+    for (let x = 1; x <= 15; x++) {
+        simulator.createEntity('minecraft:redstone_dust', x, 0, 0);
+    }
+
+    // Filler: isolated dust dots on the upper layers, two cells apart so they never link
+    // (dust stacked on the layer above doesn't link either)
+    let placed = 0;
+    for (let z = 2; z < simulator.depth && placed < fillerCount; z++) {
+        for (let y = 0; y < simulator.height && placed < fillerCount; y += 2) {
+            for (let x = 0; x < simulator.width && placed < fillerCount; x += 2) {
+                simulator.createEntity('minecraft:redstone_dust', x, y, z);
+                placed++;
+            }
+        }
+    }
+    return { simulator, placed };
+}
+
+function timeToggles(simulator) {
+    const lever = simulator.getBlockEntity(0, 0, 0).components.get('redstone');
+    const start = performance.now();
+    for (let i = 0; i < TOGGLES; i++) {
+        lever.toggle(simulator, 0, 0, 0);
+    }
+    return (performance.now() - start) / TOGGLES;
+}
+
+function timeTicks(simulator) {
+    const start = performance.now();
+    for (let i = 0; i < TICKS; i++) {
+        simulator.tick();
+    }
+    return (performance.now() - start) / TICKS;
+}
+
+// The lookup getBlockEntity used before the chunk index existed
+function linearLookup(simulator, x, y, z) {
+    return simulator.entityManager.getEntitiesWithComponent('position').find(({ components }) => {
+        const pos = components.get('position');
+        return pos.x === x && pos.y === y && pos.z === z;
+    });
+}
+
+function timeLookups(lookup) {
+    const start = performance.now();
+    for (let i = 0; i < LOOKUPS; i++) {
+        lookup(15, 0, 0);
+    }
+    return (performance.now() - start) / LOOKUPS;
+}
+
+const rows = FILLER_COUNTS.map(fillerCount => {
+    const { simulator, placed } = buildBoard(fillerCount);
+    return {
+        'filler blocks': placed,
+        'entities': simulator.entityManager.entities.size,
+        'ms / toggle': timeToggles(simulator).toFixed(3),
+        'ms / tick': timeTicks(simulator).toFixed(4),
+        'µs / lookup (index)': (timeLookups((x, y, z) => simulator.getBlockEntity(x, y, z)) * 1000).toFixed(2),
+        'µs / lookup (linear scan)': (timeLookups((x, y, z) => linearLookup(simulator, x, y, z)) * 1000).toFixed(2)
+    };
+});
+
+console.table(rows);
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { loadCircuit, loadSchematic } from './headless.js';
+import { describeImportReport } from './schematic.js';
+import { describeTestReport } from './testbench.js';
+import { LogicAnalyzer } from './analyzer.js';
+import { loadPlugins } from './components.js';
+
+// Command-line runner for saved circuits, see USAGE. Built on headless.js.
+
+const USAGE = `Usage: node cli.js <circuit> [options]
+
+Runs a saved circuit (.json) or schematic (.schem, .litematic, .nbt) for a
+number of game ticks and prints the resulting state.
+
+Options:
+  -t, --ticks N            game ticks to run (default 20)
+  -s, --set X,Y[,Z]=STATE  before running, switch a lever on/off, press
+                           a button, step on a pressure plate or tripwire,
+                           or hit a target (STATE: on, off, press); repeatable
+  -p, --probe X,Y[,Z]      report the power at a cell; repeatable.
+                           Without probes every powered block is listed
+      --json               print the result as JSON
+  -o, --out FILE           also save the resulting circuit to FILE
+      --vcd FILE           record the probes every tick and write them to FILE
+                           as a Value Change Dump (needs at least one --probe)
+      --test               run the testbench saved with the circuit instead,
+                           exiting with status 1 if any test fails
+      --testbench FILE     like --test, with the testbench read from FILE
+      --plugin MODULE      load a plugin module defining extra blocks (see
+                           components.js) before opening the circuit; repeatable
+  -h, --help               show this help
+
+Coordinates are grid cells; Z is the layer and defaults to 0.`;
+
+class UsageError extends Error {}
+
+function parseCell(text) {
+    const parts = text.split(',').map(part => Number(part.trim()));
+    if ((parts.length !== 2 && parts.length !== 3) || !parts.every(Number.isInteger)) {
+        throw new UsageError(`Invalid cell "${text}", expected X,Y or X,Y,Z.`);
+    }
+    const [x, y, z = 0] = parts;
+    return { x, y, z };
+}
+
+function parseArgs(argv) {
+    const options = {
+        file: null, ticks: 20, inputs: [], probes: [], json: false, out: null, vcd: null, help: false,
+        test: false, testbench: null, plugins: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`Missing value for ${arg}.`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-t':
+            case '--ticks':
+                options.ticks = Number(value());
+                if (!Number.isInteger(options.ticks) || options.ticks < 0) {
+                    throw new UsageError('--ticks must be a whole number of ticks.');
+                }
+                break;
+            case '-s':
+            case '--set': {
+                const [cell, state] = value().split('=');
+                if (!['on', 'off', 'press'].includes(state)) {
+                    throw new UsageError(`Invalid input state "${state}", expected on, off or press.`);
+                }
+                options.inputs.push({ ...parseCell(cell), on: state !== 'off' });
+                break;
+            }
+            case '-p':
+            case '--probe':
+                options.probes.push(parseCell(value()));
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '-o':
+            case '--out':
+                options.out = value();
+                break;
+            case '--vcd':
+                options.vcd = value();
+                break;
+            case '--test':
+                options.test = true;
+                break;
+            case '--testbench':
+                options.test = true;
+                options.testbench = value();
+                break;
+            case '--plugin':
+                options.plugins.push(pathToFileURL(resolve(value())).href);
+                break;
+            default:
+                if (arg.startsWith('-') || options.file) throw new UsageError(`Unexpected argument "${arg}".`);
+                options.file = arg;
+        }
+    }
+
+    if (!options.help && !options.file) throw new UsageError('No circuit file given.');
+    if (options.vcd && options.probes.length === 0) throw new UsageError('--vcd needs at least one --probe.');
+    return options;
+}
+
+async function openCircuit(file) {
+    if (file.toLowerCase().endsWith('.json')) {
+        return loadCircuit(await readFile(file, 'utf8'));
+    }
+    const { circuit, report } = await loadSchematic(new Uint8Array(await readFile(file)));
+    if (report.placeholders.length > 0) console.error(describeImportReport(report));
+    return circuit;
+}
+
+async function runTests(circuit, options) {
+    const bench = options.testbench ? JSON.parse(await readFile(options.testbench, 'utf8')) : circuit.simulator.testbench;
+    if (!bench) throw new Error(`${options.file} has no testbench; pass one with --testbench.`);
+
+    const report = circuit.runTests(bench);
+    console.log(options.json ? JSON.stringify(report, null, 2) : describeTestReport(report));
+    if (!report.passed) process.exitCode = 1;
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    await loadPlugins(options.plugins);
+    const circuit = await openCircuit(options.file);
+    if (options.test) {
+        await runTests(circuit, options);
+        return;
+    }
+
+    const analyzer = new LogicAnalyzer({ maxSamples: Math.max(options.ticks, 1) });
+    if (options.vcd) {
+        options.probes.forEach(({ x, y, z }) => analyzer.addProbe(x, y, z));
+        analyzer.attach(circuit.simulator);
+    }
+
+    options.inputs.forEach(({ x, y, z, on }) => circuit.setInput(x, y, z, on));
+    circuit.run(options.ticks);
+
+    const probes = options.probes.map(({ x, y, z }) => {
+        const block = circuit.getBlock(x, y, z);
+        return { x, y, z, type: block ? block.type : null, power: circuit.getPower(x, y, z) };
+    });
+    const blocks = circuit.getState();
+
+    if (options.json) {
+        console.log(JSON.stringify({ tickCount: circuit.tickCount, probes, blocks }, null, 2));
+    } else {
+        console.log(`Ran ${options.ticks} tick(s), now at tick ${circuit.tickCount}.`);
+        const rows = options.probes.length > 0 ? probes : blocks.filter(block => block.power > 0);
+        if (rows.length === 0) {
+            console.log('No powered blocks.');
+        } else {
+            rows.forEach(({ x, y, z, type, power }) => {
+                console.log(`${x},${y},${z}\t${type || '(empty)'}\t${power}`);
+            });
+        }
+    }
+
+    if (options.out) {
+        await writeFile(options.out, JSON.stringify(circuit.toJSON(), null, 2));
+    }
+    if (options.vcd) {
+        await writeFile(options.vcd, analyzer.toVCD());
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    if (error instanceof UsageError) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+    } else {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+});
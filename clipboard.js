@@ -0,0 +1,138 @@
+import { Direction } from './simulator.js';
+import { CIRCUIT_FORMAT, CIRCUIT_VERSION, serializeEntity, restoreEntity, migrateCircuit } from './serializer.js';
+
+// Clipboard contents are ordinary circuit documents whose positions are relative
+// to the top-left corner of the copied area, so they can travel between tabs as text.
+// A selection covers every layer; z is stored relative to the layer it was copied from.
+
+// Normalize two corner cells into { x, y, width, height }
+export function makeRect(x1, y1, x2, y2) {
+    return {
+        x: Math.min(x1, x2),
+        y: Math.min(y1, y2),
+        width: Math.abs(x2 - x1) + 1,
+        height: Math.abs(y2 - y1) + 1
+    };
+}
+
+export function rectContains(rect, x, y) {
+    return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+}
+
+export function entitiesInRect(simulator, rect) {
+    return simulator.entityManager.getEntitiesWithComponent('position').filter(({ components }) => {
+        const pos = components.get('position');
+        return rectContains(rect, pos.x, pos.y);
+    });
+}
+
+export function copyRegion(simulator, rect, layer = 0) {
+    const entities = entitiesInRect(simulator, rect).map(({ id, components }) => {
+        const record = structuredClone(serializeEntity(simulator, id, components));
+        record.position.x -= rect.x;
+        record.position.y -= rect.y;
+        record.position.z -= layer;
+        return record;
+    });
+
+    return {
+        format: CIRCUIT_FORMAT,
+        version: CIRCUIT_VERSION,
+        width: rect.width,
+        height: rect.height,
+        depth: simulator.depth,
+        tickCount: 0,
+        entities,
+        scheduledTicks: []
+    };
+}
+
+// Returns a copy of the clipboard with every record passed through `transform`
+function transformClipboard(doc, width, height, transform) {
+    return {
+        ...doc,
+        width,
+        height,
+        entities: doc.entities.map(record => {
+            const copy = structuredClone(record);
+            transform(copy);
+            return copy;
+        })
+    };
+}
+
+// Horizontal rotations map N -> E -> S -> W; UP/DOWN are unaffected
+function rotateDirection(rotation) {
+    return rotation < 4 ? (rotation + 1) % 4 : rotation;
+}
+
+function mirrorDirection(rotation) {
+    if (rotation === Direction.EAST) return Direction.WEST;
+    if (rotation === Direction.WEST) return Direction.EAST;
+    return rotation;
+}
+
+// Rotate 90 degrees clockwise
+export function rotateClipboard(doc) {
+    return transformClipboard(doc, doc.height, doc.width, record => {
+        const { x, y } = record.position;
+        record.position.x = doc.height - 1 - y;
+        record.position.y = x;
+        record.blockState.rotation = rotateDirection(record.blockState.rotation || 0);
+    });
+}
+
+// Mirror left <-> right
+export function mirrorClipboard(doc) {
+    return transformClipboard(doc, doc.width, doc.height, record => {
+        record.position.x = doc.width - 1 - record.position.x;
+        record.blockState.rotation = mirrorDirection(record.blockState.rotation || 0);
+    });
+}
+
+function targetCell(record, x, y, z) {
+    return [x + record.position.x, y + record.position.y, z + (record.position.z || 0)];
+}
+
+// Grid cells the clipboard would occupy when pasted at (x, y) on layer z
+export function clipboardCells(simulator, doc, x, y, z = 0) {
+    return doc.entities
+        .map(record => targetCell(record, x, y, z))
+        .filter(cell => simulator.isInBounds(...cell));
+}
+
+// Place the clipboard with its top-left corner at (x, y) on layer z, replacing whatever is there.
+// Entities get fresh ids so the same clipboard can be pasted repeatedly.
+export function pasteClipboard(simulator, doc, x, y, z = 0) {
+    const records = doc.entities.filter(record => simulator.isInBounds(...targetCell(record, x, y, z)));
+
+    const idMap = new Map();
+    for (const record of records) {
+        idMap.set(record.id, simulator.entityManager.nextId + idMap.size);
+    }
+
+    for (const record of records) {
+        const existing = simulator.getBlockEntity(...targetCell(record, x, y, z));
+        if (existing) simulator.removeEntity(existing.id);
+    }
+
+    for (const record of records) {
+        const copy = structuredClone(record);
+        [copy.position.x, copy.position.y, copy.position.z] = targetCell(record, x, y, z);
+        restoreEntity(simulator, copy, { idMap });
+    }
+
+    for (const record of records) {
+        simulator.refreshBlock(...targetCell(record, x, y, z));
+    }
+}
+
+// Accepts clipboard text from another tab; returns a circuit document or null
+export function parseClipboardText(text) {
+    try {
+        const doc = migrateCircuit(JSON.parse(text));
+        return Array.isArray(doc.entities) ? doc : null;
+    } catch (e) {
+        return null;
+    }
+}
@@ -0,0 +1,170 @@
+// Component definitions: one object that tells every part of the designer about a block type -
+// the simulator, the palette, textures, the renderer, the context menu and saved circuits.
+// The built-in blocks are still wired up by hand in the core files; blocks defined here need
+// nothing else, so modded blocks can be added without forking them.
+//
+// A plugin is an ES module whose default export is a definition or an array of definitions.
+// The app loads the modules listed in plugins.json at startup (cli.js takes --plugin), before
+// any simulator is created:
+//
+//   import { RedstoneComponent, Direction } from '../simulator.js';
+//
+//   class InverterComponent extends RedstoneComponent { ... }
+//
+//   export default {
+//       type: 'mymod:inverter',
+//       component: InverterComponent,
+//       name: 'Inverter',
+//       category: 'transmission',
+//       textures: { default: new URL('inverter.png', import.meta.url).href },
+//       menu: (component, { simulator, x, y, z }) => [
+//           { label: `Invert: ${component.enabled}`, action: () => component.toggle(simulator, x, y, z) }
+//       ]
+//   };
+//
+// Definition fields, all optional except type:
+//   type             block type id, 'namespace:name'; the built-in blocks can't be redefined
+//   component        RedstoneComponent subclass holding the block's logic, or null for an inert
+//                    block. Each type needs its own class, which defineComponent checks: saved
+//                    circuits look the type up by it.
+//   name, title      palette button label and tooltip
+//   category         palette group, one of COMPONENT_CATEGORIES (default 'mechanisms')
+//   palette          false to leave the block out of the palette, for blocks placed some other way
+//   textures         { state: file } with at least a 'default' state. Plain file names are read
+//                    from textures/block, paths and URLs are used as they are.
+//   getTextureState  (blockState, component) -> which of the textures to draw
+//   color            { fill, frame } square drawn when there are no textures
+//   draw             (ctx, { px, py, size, blockState, component, simulator, x, y, z }) draws the
+//                    block itself instead
+//   rotations        rotations the block can take (default: the four horizontals)
+//   conductive       conducts power like stone; use StoneComponent as the base class
+//   fullBlock        dust can sit on it and climb it
+//   transparent      a full block that doesn't conduct, like glass
+//   pushReaction     'normal' (default), 'block' (immovable) or 'destroy' (breaks when pushed)
+//   use              (component, simulator, x, y, z) runs when the block is clicked
+//   menu             (component, { simulator, x, y, z }) -> [{ label, action }] extra context
+//                    menu entries; each action is recorded as one undoable edit
+//   serialize        (component) -> JSON-friendly state, when the fields aren't plain JSON
+//   deserialize      (component, state) restores it
+
+export const COMPONENT_CATEGORIES = {
+    power: 'Power Sources',
+    transmission: 'Transmission',
+    mechanisms: 'Mechanisms',
+    blocks: 'Blocks'
+};
+
+const PUSH_REACTIONS = ['normal', 'block', 'destroy'];
+
+const definitions = new Map(); // type -> definition, in the order they were defined
+const builtInTypes = new Map(); // type -> component class of the blocks built into the simulator
+
+export class ComponentDefinitionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ComponentDefinitionError';
+    }
+}
+
+export function defineComponent(definition) {
+    const { type } = definition || {};
+    if (typeof type !== 'string' || !/^[a-z0-9_.-]+:[a-z0-9_./-]+$/.test(type)) {
+        throw new ComponentDefinitionError(`Invalid component type "${type}", expected "namespace:name".`);
+    }
+    if (definitions.has(type)) {
+        throw new ComponentDefinitionError(`Component "${type}" is already defined.`);
+    }
+    if (builtInTypes.has(type)) {
+        throw new ComponentDefinitionError(`Component "${type}" is built in and can't be redefined.`);
+    }
+    if (definition.component != null && typeof definition.component !== 'function') {
+        throw new ComponentDefinitionError(`Component "${type}": component must be a class.`);
+    }
+    // Saved circuits find a block's type from its class, so two types can't share one
+    const owner = definition.component && findTypeOfClass(definition.component);
+    if (owner) {
+        throw new ComponentDefinitionError(`Component "${type}": its class is already used by "${owner}"; each type needs a class of its own.`);
+    }
+    if (definition.category && !COMPONENT_CATEGORIES[definition.category]) {
+        throw new ComponentDefinitionError(
+            `Component "${type}": unknown category "${definition.category}", expected one of ${Object.keys(COMPONENT_CATEGORIES).join(', ')}.`
+        );
+    }
+    if (definition.pushReaction && !PUSH_REACTIONS.includes(definition.pushReaction)) {
+        throw new ComponentDefinitionError(`Component "${type}": pushReaction must be one of ${PUSH_REACTIONS.join(', ')}.`);
+    }
+    if (definition.textures && !definition.textures.default) {
+        throw new ComponentDefinitionError(`Component "${type}": textures need a "default" entry.`);
+    }
+
+    const defined = { category: 'mechanisms', name: type.split(':')[1].replace(/_/g, ' '), ...definition };
+    definitions.set(type, defined);
+    return defined;
+}
+
+function findTypeOfClass(componentClass) {
+    for (const [type, builtInClass] of builtInTypes) {
+        if (builtInClass === componentClass) return type;
+    }
+    for (const [type, { component }] of definitions) {
+        if (component === componentClass) return type;
+    }
+    return null;
+}
+
+// Called by simulator.js with its built-in blocks ({ type, component }), which definitions can't override
+export function reserveBuiltInTypes(builtIns) {
+    for (const { type, component } of builtIns) {
+        builtInTypes.set(type, component);
+    }
+}
+
+export function getComponentDefinition(type) {
+    return definitions.get(type) || null;
+}
+
+export function getComponentDefinitions() {
+    return [...definitions.values()];
+}
+
+// A component's saved state, through its definition's hooks if it has them
+export function serializeComponentState(type, component) {
+    const definition = type && definitions.get(type);
+    return definition && definition.serialize ? definition.serialize(component) : component.serialize();
+}
+
+export function deserializeComponentState(type, component, state) {
+    const definition = type && definitions.get(type);
+    if (definition && definition.deserialize) definition.deserialize(component, state);
+    else component.deserialize(state);
+}
+
+// Texture keys for defined blocks are 'type#state'; this maps one back to its file
+export function getDefinitionTextureKey(type, state = 'default') {
+    return `${type}#${state}`;
+}
+
+export function getDefinitionTexture(key) {
+    const [type, state] = key.split('#');
+    const definition = definitions.get(type);
+    return (definition && definition.textures && definition.textures[state]) || null;
+}
+
+// Import plugin modules and define what they export. Specifiers are URLs (or, in Node,
+// file URLs); relative ones resolve against this file. Stops at the first plugin that fails.
+export async function loadPlugins(specifiers) {
+    const loaded = [];
+    for (const specifier of specifiers) {
+        try {
+            const module = await import(specifier);
+            const exported = module.default;
+            if (!exported) throw new ComponentDefinitionError('it has no default export.');
+            for (const definition of Array.isArray(exported) ? exported : [exported]) {
+                loaded.push(defineComponent(definition));
+            }
+        } catch (error) {
+            throw new ComponentDefinitionError(`Could not load plugin ${specifier}: ${error.message}`);
+        }
+    }
+    return loaded;
+}
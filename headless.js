@@ -0,0 +1,108 @@
+import { RedstoneSimulator } from './simulator.js';
+import { parseCircuit, deserializeCircuit, serializeCircuit } from './serializer.js';
+import { importSchematic } from './schematic.js';
+import { readPower, setInput, runTestbench } from './testbench.js';
+// Defines the module block, so circuits with module instances load (see modules.js)
+import './modules.js';
+
+// Headless simulation API: run circuits without a browser, e.g. from Node scripts or CI.
+// Nothing here touches the DOM; only loadCircuitFile needs Node (for the file system).
+//
+//   import { loadCircuitFile } from './headless.js';
+//
+//   const circuit = await loadCircuitFile('adder.json');
+//   circuit.setInput(0, 0, 0, true);   // switch the lever at x=0, y=0, layer 0 on
+//   circuit.run(20);                   // advance 20 game ticks (1 second)
+//   circuit.getPower(5, 0, 0);         // -> 0..15
+//
+// Coordinates are grid cells: x to the east, y to the south, z is the layer (0 = bottom).
+// Circuits using modded blocks need their plugins loaded first, with loadPlugins from components.js.
+
+export class HeadlessCircuit {
+    constructor(simulator = new RedstoneSimulator()) {
+        this.simulator = simulator;
+    }
+
+    get tickCount() {
+        return this.simulator.tickCount;
+    }
+
+    // Block state at a cell plus its power, or null when the cell is empty
+    getBlock(x, y, z = 0) {
+        const entity = this.simulator.getBlockEntity(x, y, z);
+        if (!entity) return null;
+        return { ...entity.components.get('blockState'), power: this.getPower(x, y, z) };
+    }
+
+    // Power level (0-15) of the block at a cell: a component's output level,
+    // or for a solid block the power conducted into it
+    getPower(x, y, z = 0) {
+        return readPower(this.simulator, x, y, z);
+    }
+
+    isPowered(x, y, z = 0) {
+        return this.getPower(x, y, z) > 0;
+    }
+
+    // Drive an input: levers are switched to the given state, buttons are pressed
+    // when `on` is true (and release by themselves after their delay); see testbench.js
+    // setInput for the other inputs. Throws a TestbenchError if there is no input at the cell.
+    setInput(x, y, z = 0, on = true) {
+        setInput(this.simulator, x, y, z, on);
+    }
+
+    tick() {
+        this.simulator.tick();
+    }
+
+    run(ticks) {
+        for (let i = 0; i < ticks; i++) {
+            this.simulator.tick();
+        }
+    }
+
+    // Every block with its position and power, ordered by layer, row and column
+    getState() {
+        return this.simulator.entityManager
+            .getEntitiesWithComponent('position')
+            .map(({ components }) => {
+                const { x, y, z } = components.get('position');
+                const { type, rotation } = components.get('blockState');
+                return { x, y, z, type, rotation, power: this.getPower(x, y, z) };
+            })
+            .sort((a, b) => (a.z - b.z) || (a.y - b.y) || (a.x - b.x));
+    }
+
+    // Run a testbench (see testbench.js), by default the one saved with the circuit.
+    // The circuit itself isn't advanced; every test runs on a copy.
+    runTests(bench = this.simulator.testbench) {
+        return runTestbench(this.simulator, bench);
+    }
+
+    // Full circuit document, as written by Save
+    toJSON() {
+        return serializeCircuit(this.simulator);
+    }
+}
+
+// From circuit JSON text or an already parsed document
+export function loadCircuit(source) {
+    const simulator = typeof source === 'string' ? parseCircuit(source) : deserializeCircuit(source);
+    return new HeadlessCircuit(simulator);
+}
+
+// From the bytes of a .schem, .litematic or structure .nbt file
+export async function loadSchematic(bytes) {
+    const { simulator, report } = await importSchematic(bytes);
+    return { circuit: new HeadlessCircuit(simulator), report };
+}
+
+// Node only: .json files are circuit documents, anything else is imported as a schematic
+export async function loadCircuitFile(path) {
+    const { readFile } = await import('node:fs/promises');
+    if (path.toLowerCase().endsWith('.json')) {
+        return loadCircuit(await readFile(path, 'utf8'));
+    }
+    const { circuit } = await loadSchematic(new Uint8Array(await readFile(path)));
+    return circuit;
+}
@@ -0,0 +1,159 @@
+import { serializeEntity, restoreEntity } from './serializer.js';
+
+const cellKey = (x, y, z) => `${x},${y},${z}`;
+
+// Snapshot of whatever occupies a cell (null when empty)
+function captureCell(simulator, x, y, z) {
+    const entity = simulator.getBlockEntity(x, y, z);
+    if (!entity) return null;
+    return structuredClone(serializeEntity(simulator, entity.id, entity.components));
+}
+
+// Put cells back to the given snapshots, then let the circuit settle around them
+function applyCells(simulator, cells) {
+    for (const { x, y, z, snapshot } of cells.values()) {
+        const existing = simulator.getBlockEntity(x, y, z);
+        if (existing) simulator.removeEntity(existing.id);
+        if (!snapshot) continue;
+        const record = structuredClone(snapshot);
+        // Keep the original id so references like a piston's headId stay valid, unless
+        // that entity has since moved elsewhere (pushed by a piston): then it isn't ours to replace
+        if (simulator.entityManager.entities.has(record.id)) {
+            record.id = simulator.entityManager.nextId;
+        }
+        restoreEntity(simulator, record);
+    }
+
+    for (const { x, y, z } of cells.values()) {
+        simulator.refreshBlock(x, y, z);
+    }
+}
+
+// A single undoable edit: the state of every touched cell before and after it
+class CellEditCommand {
+    constructor(label) {
+        this.label = label;
+        this.before = new Map();
+        this.after = new Map();
+    }
+
+    touch(simulator, x, y, z) {
+        const key = cellKey(x, y, z);
+        if (!this.before.has(key)) {
+            this.before.set(key, { x, y, z, snapshot: captureCell(simulator, x, y, z) });
+        }
+    }
+
+    finish(simulator) {
+        for (const [key, { x, y, z }] of this.before) {
+            this.after.set(key, { x, y, z, snapshot: captureCell(simulator, x, y, z) });
+        }
+    }
+
+    isEmpty() {
+        for (const [key, cell] of this.before) {
+            if (JSON.stringify(cell.snapshot) !== JSON.stringify(this.after.get(key).snapshot)) return false;
+        }
+        return true;
+    }
+
+    undo(simulator) {
+        applyCells(simulator, this.before);
+    }
+
+    redo(simulator) {
+        applyCells(simulator, this.after);
+    }
+}
+
+export class EditHistory {
+    constructor(simulator, { limit = 100 } = {}) {
+        this.simulator = simulator;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null; // Open command while an edit (e.g. a mouse drag) is in progress
+        this.depth = 0;
+        this.onChange = null; // Called after every recorded edit, undo and redo
+    }
+
+    setSimulator(simulator) {
+        this.simulator = simulator;
+        this.clear();
+    }
+
+    setLimit(limit) {
+        this.limit = Math.max(1, limit);
+        this.trim();
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null;
+        this.depth = 0;
+    }
+
+    // Start an edit; nested begin/end pairs fold into the outermost one
+    begin(label) {
+        if (this.depth++ === 0) {
+            this.current = new CellEditCommand(label);
+        }
+    }
+
+    // Remember the state of a cell before the open edit changes it
+    touch(x, y, z) {
+        if (this.current) this.current.touch(this.simulator, x, y, z);
+    }
+
+    end() {
+        if (this.depth === 0) return;
+        if (--this.depth > 0) return;
+
+        const command = this.current;
+        this.current = null;
+        command.finish(this.simulator);
+        if (command.isEmpty()) return;
+
+        this.undoStack.push(command);
+        this.redoStack = [];
+        this.trim();
+        if (this.onChange) this.onChange();
+    }
+
+    // Convenience wrapper for single-shot edits; cells are [x, y, z] triples
+    record(label, cells, fn) {
+        this.begin(label);
+        try {
+            cells.forEach(([x, y, z]) => this.touch(x, y, z));
+            fn();
+        } finally {
+            this.end();
+        }
+    }
+
+    trim() {
+        while (this.undoStack.length > this.limit) this.undoStack.shift();
+    }
+
+    canUndo() { return this.undoStack.length > 0; }
+    canRedo() { return this.redoStack.length > 0; }
+
+    undo() {
+        if (this.current || !this.canUndo()) return false;
+        const command = this.undoStack.pop();
+        command.undo(this.simulator);
+        this.redoStack.push(command);
+        if (this.onChange) this.onChange();
+        return true;
+    }
+
+    redo() {
+        if (this.current || !this.canRedo()) return false;
+        const command = this.redoStack.pop();
+        command.redo(this.simulator);
+        this.undoStack.push(command);
+        if (this.onChange) this.onChange();
+        return true;
+    }
+}
@@ -1,14 +1,45 @@
+import { Direction, getAllowedRotations, getMaxStackSize, NOTE_BLOCK_INSTRUMENTS, NOTE_BLOCK_MAX_NOTE } from './simulator.js';
+import { getNoteName } from './audio.js';
+import { EditHistory } from './history.js';
+import { deserializeCircuit } from './serializer.js';
+import {
+    makeRect, rectContains, entitiesInRect, copyRegion, rotateClipboard, mirrorClipboard,
+    clipboardCells, pasteClipboard, parseClipboardText
+} from './clipboard.js';
+import { findMarker, setMarker, removeMarker, INPUT_TYPES } from './testbench.js';
+import { getComponentDefinition } from './components.js';
+import { MODULE_TYPE, ModuleError, createModule, placeModule, getModule, describePin } from './modules.js';
+
 export class InputManager {
-    constructor(canvas, simulator, renderer) {
+    constructor(canvas, simulator, renderer, { historyLimit = 100 } = {}) {
         this.canvas = canvas;
         this.simulator = simulator;
         this.renderer = renderer;
+        this.history = new EditHistory(simulator, { limit: historyLimit });
         this.selectedComponent = 'minecraft:redstone_dust';
         this.isMouseDown = false;
         this.lastX = -1;
         this.lastY = -1;
         this.mouseX = 0;
         this.mouseY = 0;
+        this.hoverCell = null;      // Grid cell under the mouse, null when it's off the board
+        this.layer = 0;             // Vertical layer (z) being edited
+        this.onLayerChange = null;  // Callback for the layer selector UI
+        this.onTestbenchChange = null;  // Callback for the testbench panel when inputs/outputs are (un)marked
+        this.analyzer = null;       // Set by main: logic analyzer the probe menu items add to
+        this.onProbesChange = null; // Callback for the waveform panel
+        this.onHotbarKey = null;    // Callback for the palette when 1-9 is pressed, with the slot (0-8)
+        this.onPickBlock = null;    // Callback for the palette with the type of a middle-clicked block
+        this.onModulesChange = null; // Callback when a module is created or replaced
+        this.onStepInto = null;     // Callback with a module instance's simulator and a label for it
+        this.onEditModule = null;   // Callback with the name of a module to edit
+        this.readOnly = false;      // Looking inside a module instance: nothing can be changed
+        
+        // Selection tool state
+        this.selection = null;      // { x, y, width, height } in grid cells
+        this.selectionAnchor = null; // Corner where the current drag started
+        this.clipboard = null;      // Circuit document (see clipboard.js)
+        this.isPasting = false;     // Ghost preview follows the cursor until clicked
         
         this.setupEventListeners();
     }
@@ -16,23 +47,175 @@ export class InputManager {
     setupEventListeners() {
         this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.canvas.addEventListener('mouseup', () => this.handleMouseUp());
+        this.canvas.addEventListener('mouseleave', () => { this.hoverCell = null; });
+        // Listen on window so a drag released outside the canvas still ends its undo step
+        window.addEventListener('mouseup', () => this.handleMouseUp());
         this.canvas.addEventListener('contextmenu', (e) => this.handleRightClick(e));
         this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
         
+        // Clipboard events give access to the system clipboard without a permission prompt
+        document.addEventListener('copy', (e) => this.handleClipboardEvent(e, 'copy'));
+        document.addEventListener('cut', (e) => this.handleClipboardEvent(e, 'cut'));
+        document.addEventListener('paste', (e) => this.handleClipboardEvent(e, 'paste'));
+        
         // Touch support for mobile
         this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e));
         this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e));
         this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
     }
     
+    // With a history, edits go to it and the current one is left as it is; main.js swaps
+    // histories this way while a module is open on top of the circuit
+    setSimulator(simulator, { history = null, readOnly = false } = {}) {
+        this.simulator = simulator;
+        this.readOnly = readOnly;
+        if (history) this.history = history;
+        else this.history.setSimulator(simulator);
+        this.cancelPaste();
+        this.setSelection(null);
+        this.setLayer(this.layer);
+    }
+    
+    setLayer(layer) {
+        this.layer = Math.max(0, Math.min(this.simulator.depth - 1, layer));
+        if (this.renderer) this.renderer.activeLayer = this.layer;
+        if (this.onLayerChange) this.onLayerChange(this.layer);
+    }
+    
     handleKeyDown(e) {
-        if (e.key.toLowerCase() === 'r') {
+        // Typing in the palette search, testbench and other fields isn't a shortcut
+        if (e.target.closest && e.target.closest('input, textarea, select')) return;
+        const key = e.key.toLowerCase();
+        if (this.readOnly && !['escape', 'pageup', 'pagedown'].includes(key)) return;
+        if ((e.ctrlKey || e.metaKey) && key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.history.redo();
+            } else {
+                this.history.undo();
+            }
+        } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+            e.preventDefault();
+            this.history.redo();
+        } else if (key === 'pageup') {
+            e.preventDefault();
+            this.setLayer(this.layer + 1);
+        } else if (key === 'pagedown') {
+            e.preventDefault();
+            this.setLayer(this.layer - 1);
+        } else if (key === 'escape') {
+            this.cancelPaste();
+            this.setSelection(null);
+        } else if ((key === 'delete' || key === 'backspace') && this.selection) {
+            e.preventDefault();
+            this.deleteSelection();
+        } else if (key === 'r' && this.isPasting) {
+            e.preventDefault();
+            this.setClipboard(rotateClipboard(this.clipboard));
+        } else if (key === 'm' && this.isPasting) {
+            e.preventDefault();
+            this.setClipboard(mirrorClipboard(this.clipboard));
+        } else if (key === 'r') {
             e.preventDefault();
             const pos = this.getGridPosition(this.mouseX, this.mouseY);
             this.rotateComponent(pos.x, pos.y);
+        } else if (/^[1-9]$/.test(key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            if (this.onHotbarKey) this.onHotbarKey(Number(key) - 1);
+        }
+    }
+    
+    handleClipboardEvent(e, action) {
+        // Leave text fields alone
+        if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+        if (this.readOnly && action !== 'copy') return;
+        
+        if (action === 'paste') {
+            const doc = parseClipboardText(e.clipboardData.getData('text/plain'));
+            if (doc) this.setClipboard(doc);
+            if (!this.clipboard) return;
+            e.preventDefault();
+            this.startPaste();
+            return;
+        }
+        
+        if (!this.selection) return;
+        e.preventDefault();
+        this.copySelection();
+        e.clipboardData.setData('text/plain', JSON.stringify(this.clipboard));
+        if (action === 'cut') this.deleteSelection();
+    }
+    
+    setSelection(rect) {
+        this.selection = rect;
+        if (this.renderer) this.renderer.selection = rect;
+    }
+    
+    setClipboard(doc) {
+        this.clipboard = doc;
+        if (this.isPasting) this.updatePastePreview();
+    }
+    
+    copySelection() {
+        if (!this.selection) return;
+        this.setClipboard(copyRegion(this.simulator, this.selection, this.layer));
+    }
+    
+    deleteSelection() {
+        if (!this.selection || this.readOnly) return;
+        const entities = entitiesInRect(this.simulator, this.selection);
+        const cells = entities.map(({ components }) => {
+            const pos = components.get('position');
+            return [pos.x, pos.y, pos.z];
+        });
+        this.history.record('Delete selection', cells, () => {
+            entities.forEach(({ id }) => this.simulator.removeEntity(id));
+            cells.forEach(([x, y, z]) => this.simulator.notifyNeighbors(x, y, z));
+        });
+    }
+    
+    // Copy the system clipboard (other tabs) or fall back to our own
+    async readSystemClipboard() {
+        try {
+            const doc = parseClipboardText(await navigator.clipboard.readText());
+            if (doc) this.setClipboard(doc);
+        } catch (e) {
+            // Clipboard permission denied or unavailable
         }
+        return this.clipboard;
+    }
+    
+    startPaste() {
+        if (!this.clipboard || this.readOnly) return;
+        this.isPasting = true;
+        this.updatePastePreview();
+    }
+    
+    cancelPaste() {
+        this.isPasting = false;
+        if (this.renderer) this.renderer.pastePreview = null;
+    }
+    
+    updatePastePreview() {
+        if (!this.renderer) return;
+        const pos = this.getGridPosition(this.mouseX, this.mouseY);
+        const preview = this.renderer.pastePreview;
+        // Rebuild the ghost circuit only when the clipboard itself changed
+        if (!preview || preview.doc !== this.clipboard) {
+            this.renderer.pastePreview = { doc: this.clipboard, simulator: deserializeCircuit(this.clipboard), x: pos.x, y: pos.y };
+        } else {
+            preview.x = pos.x;
+            preview.y = pos.y;
+        }
+    }
+    
+    pasteAt(x, y) {
+        const doc = this.clipboard;
+        const z = this.layer;
+        this.history.record('Paste', clipboardCells(this.simulator, doc, x, y, z), () => {
+            pasteClipboard(this.simulator, doc, x, y, z);
+        });
+        this.setSelection({ x, y, width: doc.width, height: doc.height });
     }
     
     handleWheel(e) {
@@ -42,23 +225,11 @@ export class InputManager {
         }
     }
 
+    // Block type to place, or the 'select' and 'erase' tools. Bare names like 'lever'
+    // are taken to be in the minecraft: namespace.
     setSelectedComponent(component) {
-        // Convert legacy component names to new format
-        const componentMap = {
-            'redstone_dust': 'minecraft:redstone_dust',
-            'redstone_torch': 'minecraft:redstone_torch',
-            'lever': 'minecraft:lever',
-            'button': 'minecraft:button',
-            'repeater': 'minecraft:repeater',
-            'comparator': 'minecraft:comparator',
-            'piston': 'minecraft:piston',
-            'sticky_piston': 'minecraft:sticky_piston',
-            'observer': 'minecraft:observer',
-            'redstone_block': 'minecraft:redstone_block',
-            'stone': 'minecraft:stone'
-        };
-        
-        this.selectedComponent = componentMap[component] || component;
+        const tool = component === 'select' || component === 'erase';
+        this.selectedComponent = tool || component.includes(':') ? component : `minecraft:${component}`;
     }
     
     getGridPosition(clientX, clientY) {
@@ -74,30 +245,68 @@ export class InputManager {
     
     handleMouseDown(e) {
         const pos = this.getGridPosition(e.clientX, e.clientY);
+        if (e.button === 1) {
+            e.preventDefault(); // No autoscroll
+            this.pickBlock(pos.x, pos.y);
+            return;
+        }
         this.isMouseDown = true;
         this.lastX = pos.x;
         this.lastY = pos.y;
         
-        if (e.button === 0) { // Left click
+        if (e.button !== 0) return; // Left click only
+        
+        if (this.isPasting) {
+            this.pasteAt(pos.x, pos.y);
+            // Shift keeps the ghost for repeated pastes
+            if (!e.shiftKey) this.cancelPaste();
+            this.isMouseDown = false;
+        } else if (this.selectedComponent === 'select') {
+            this.selectionAnchor = pos;
+            this.setSelection(makeRect(pos.x, pos.y, pos.x, pos.y));
+        } else {
+            // The whole drag is one undo step, closed in handleMouseUp
+            this.history.begin('Edit');
             this.placeOrInteract(pos.x, pos.y);
         }
     }
     
+    // Middle click: choose the block under the mouse, like Minecraft's pick block
+    pickBlock(x, y) {
+        const entity = this.simulator.getBlockEntity(x, y, this.layer);
+        if (!entity || !this.onPickBlock) return;
+        const redstone = entity.components.get('redstone');
+        // blockState.type can drift (e.g. 'minecraft:redstone_torch_off'); the component knows what was placed
+        const type = (redstone && this.simulator.getComponentType(redstone)) || entity.components.get('blockState').type;
+        this.onPickBlock(type);
+    }
+    
     handleMouseMove(e) {
         this.mouseX = e.clientX;
         this.mouseY = e.clientY;
+        this.hoverCell = this.getGridPosition(e.clientX, e.clientY);
 
+        if (this.isPasting) this.updatePastePreview();
         if (!this.isMouseDown) return;
         
         const pos = this.getGridPosition(e.clientX, e.clientY);
         if (pos.x !== this.lastX || pos.y !== this.lastY) {
             this.lastX = pos.x;
             this.lastY = pos.y;
-            this.placeOrInteract(pos.x, pos.y);
+            if (this.selectionAnchor) {
+                this.setSelection(makeRect(this.selectionAnchor.x, this.selectionAnchor.y, pos.x, pos.y));
+            } else {
+                this.placeOrInteract(pos.x, pos.y);
+            }
         }
     }
     
     handleMouseUp() {
+        if (this.selectionAnchor) {
+            this.selectionAnchor = null;
+        } else if (this.isMouseDown) {
+            this.history.end();
+        }
         this.isMouseDown = false;
     }
     
@@ -114,11 +323,44 @@ export class InputManager {
         menu.style.left = `${clientX}px`;
         menu.style.top = `${clientY}px`;
 
-        const entity = this.simulator.getBlockEntity(x, y);
+        const z = this.layer;
+        const entity = this.simulator.getBlockEntity(x, y, z);
+        if (this.readOnly) {
+            this.showReadOnlyMenu(menu, entity, x, y, z);
+            return;
+        }
+        
+        if (this.selection && rectContains(this.selection, x, y)) {
+            this.addMenuItem(menu, 'Copy', () => {
+                this.copySelection();
+                this.writeSystemClipboard();
+                this.hideContextMenu();
+            });
+            this.addMenuItem(menu, 'Cut', () => {
+                this.copySelection();
+                this.writeSystemClipboard();
+                this.deleteSelection();
+                this.hideContextMenu();
+            });
+            this.addMenuItem(menu, 'Delete Selection', () => {
+                this.deleteSelection();
+                this.hideContextMenu();
+            });
+            this.addMenuItem(menu, 'Create Module...', () => {
+                this.hideContextMenu();
+                this.createModuleFromSelection();
+            });
+            this.addMenuSeparator(menu);
+        }
         
         if (!entity) {
-             // Maybe add "Paste" here later
+             this.addMenuItem(menu, 'Paste here', async () => {
+                 this.hideContextMenu();
+                 if (await this.readSystemClipboard()) this.pasteAt(x, y);
+             });
+             this.addModulePlaceItems(menu, x, y, z);
              this.addMenuItem(menu, 'Cancel', () => this.hideContextMenu());
+             this.closeContextMenuOnOutsideClick(menu);
              return;
         }
 
@@ -132,31 +374,304 @@ export class InputManager {
         });
 
         // Component specific actions
-        if (type.includes('repeater')) {
+        const definition = getComponentDefinition(type);
+        if (type === MODULE_TYPE) {
+            this.addModuleItems(menu, entity, x, y, z);
+        } else if (definition) {
+            this.addDefinitionItems(menu, definition, entity, x, y, z);
+        } else if (type.includes('repeater')) {
             const redstone = entity.components.get('redstone');
             this.addMenuSeparator(menu);
             this.addMenuItem(menu, `Delay: ${redstone.delay} ticks`, () => {
-                redstone.delay = (redstone.delay % 4) + 1;
-                redstone.onScheduledTick(this.simulator, x, y);
+                this.history.record('Change delay', [[x, y, z]], () => {
+                    redstone.delay = (redstone.delay % 4) + 1;
+                    redstone.onNeighborUpdate(this.simulator, x, y, z, x, y, z);
+                });
+                this.hideContextMenu();
+            });
+            // Locking comes from the circuit (a powered diode pointing into a side), so this only reports it
+            this.addMenuItem(menu, redstone.locked ? `Locked (holding ${redstone.powered ? 'on' : 'off'})` : 'Not locked', () => {
                 this.hideContextMenu();
             });
         } else if (type.includes('comparator')) {
             const redstone = entity.components.get('redstone');
             this.addMenuSeparator(menu);
             this.addMenuItem(menu, `Mode: ${redstone.mode}`, () => {
-                redstone.mode = (redstone.mode === 'compare') ? 'subtract' : 'compare';
-                redstone.onScheduledTick(this.simulator, x, y);
+                this.history.record('Change mode', [[x, y, z]], () => {
+                    redstone.mode = (redstone.mode === 'compare') ? 'subtract' : 'compare';
+                    redstone.onScheduledTick(this.simulator, x, y, z);
+                });
+                this.hideContextMenu();
+            });
+        } else if ((INPUT_TYPES.has(type) && type !== 'minecraft:lever') ||
+            type === 'minecraft:daylight_sensor' || type === 'minecraft:tripwire_hook') {
+            this.addInputItems(menu, entity, x, y, z);
+        } else if (type === 'minecraft:note_block') {
+            const redstone = entity.components.get('redstone');
+            this.addMenuSeparator(menu);
+            this.addMenuItem(menu, `Note: ${getNoteName(redstone.instrument, redstone.note)} (${redstone.note})`, () => {
+                this.hideContextMenu();
+                const note = Number(prompt(`Note (0-${NOTE_BLOCK_MAX_NOTE}):`, redstone.note));
+                if (!Number.isInteger(note) || note < 0 || note > NOTE_BLOCK_MAX_NOTE) return;
+                this.history.record('Change note', [[x, y, z]], () => redstone.setNote(this.simulator, x, y, z, note));
+            });
+            this.addMenuItem(menu, `Instrument: ${redstone.instrument.replace(/_/g, ' ')}`, () => {
+                const next = NOTE_BLOCK_INSTRUMENTS[(NOTE_BLOCK_INSTRUMENTS.indexOf(redstone.instrument) + 1) % NOTE_BLOCK_INSTRUMENTS.length];
+                this.history.record('Change instrument', [[x, y, z]], () => redstone.setInstrument(this.simulator, x, y, z, next));
+                this.hideContextMenu();
+            });
+        } else if (typeof entity.components.get('redstone').getComparatorOutput === 'function' ||
+            type === 'minecraft:item_frame') {
+            this.addComparatorSourceItems(menu, entity, x, y, z);
+        }
+
+        // Logic analyzer probes, on the circuit the analyzer records (not a module being edited)
+        if (this.analyzer && this.analyzer.simulator === this.simulator) {
+            this.addMenuSeparator(menu);
+            const probed = this.analyzer.findProbe(x, y, z);
+            this.addMenuItem(menu, probed ? `Remove probe ${probed.name}` : 'Add probe', () => {
+                if (probed) {
+                    this.analyzer.removeProbe(x, y, z);
+                } else {
+                    const marker = findMarker(this.simulator.testbench, x, y, z);
+                    this.analyzer.addProbe(x, y, z, marker ? marker.name : undefined);
+                }
+                this.hideContextMenu();
+                if (this.onProbesChange) this.onProbesChange();
+            });
+        }
+
+        // Testbench inputs and outputs
+        this.addMenuSeparator(menu);
+        const marker = findMarker(this.simulator.testbench, x, y, z);
+        if (marker) {
+            this.addMenuItem(menu, `Unmark ${marker.kind} ${marker.name}`, () => {
+                removeMarker(this.simulator, x, y, z);
+                this.hideContextMenu();
+                if (this.onTestbenchChange) this.onTestbenchChange();
+            });
+        }
+        const kinds = INPUT_TYPES.has(type) ? ['input', 'output'] : ['output'];
+        for (const kind of kinds) {
+            this.addMenuItem(menu, `Mark as ${kind}...`, () => {
                 this.hideContextMenu();
+                const name = prompt(`Name for this ${kind}:`, marker ? marker.name : '');
+                if (!name || !name.trim()) return;
+                setMarker(this.simulator, kind, name.trim(), x, y, z);
+                if (this.onTestbenchChange) this.onTestbenchChange();
             });
         }
 
         this.addMenuSeparator(menu);
         this.addMenuItem(menu, 'Delete', () => {
-             this.simulator.entityManager.removeEntity(entity.id);
-             this.simulator.notifyNeighbors(x, y);
+             this.history.record('Delete', [[x, y, z]], () => {
+                 this.simulator.removeEntity(entity.id);
+                 this.simulator.notifyNeighbors(x, y, z);
+             });
              this.hideContextMenu();
         });
 
+        this.closeContextMenuOnOutsideClick(menu);
+    }
+
+    // Inside a module instance the circuit can be looked at and copied, nothing else
+    showReadOnlyMenu(menu, entity, x, y, z) {
+        if (this.selection && rectContains(this.selection, x, y)) {
+            this.addMenuItem(menu, 'Copy', () => {
+                this.copySelection();
+                this.writeSystemClipboard();
+                this.hideContextMenu();
+            });
+        }
+        if (entity && entity.components.get('blockState').type === MODULE_TYPE) {
+            this.addModuleItems(menu, entity, x, y, z);
+            this.addMenuSeparator(menu);
+        }
+        this.addMenuItem(menu, 'Read-only: edit the module to change it', () => this.hideContextMenu());
+        this.closeContextMenuOnOutsideClick(menu);
+    }
+
+    // The selection becomes a module; its marked inputs and outputs are the pins (modules.js)
+    createModuleFromSelection() {
+        const answer = prompt('Module name:');
+        const name = answer && answer.trim();
+        if (!name) return;
+        if (getModule(this.simulator, name) && !confirm(`Replace module ${name}? Every instance of it starts over.`)) return;
+        try {
+            const module = createModule(this.simulator, name, this.selection);
+            alert(`Module ${name}: ${module.pins.map(describePin).join(', ')}.\nRight-click an empty cell to place it.`);
+        } catch (e) {
+            if (!(e instanceof ModuleError)) throw e;
+            alert(e.message);
+            return;
+        }
+        if (this.onModulesChange) this.onModulesChange();
+    }
+
+    addModulePlaceItems(menu, x, y, z) {
+        Object.keys(this.simulator.modules || {}).forEach(name => {
+            this.addMenuItem(menu, `Place module ${name}`, () => {
+                this.history.record('Place module', [[x, y, z]], () => placeModule(this.simulator, name, x, y, z));
+                this.hideContextMenu();
+            });
+        });
+    }
+
+    // A module instance's pins, and the ways into it
+    addModuleItems(menu, entity, x, y, z) {
+        const instance = entity.components.get('redstone');
+        const inner = instance.getInner(this.simulator);
+        this.addMenuSeparator(menu);
+        (instance.pins || []).forEach(pin => {
+            const state = pin.kind === 'input' ? (instance.inputs[pin.name] ? 'on' : 'off') : `power ${instance.outputs[pin.name] || 0}`;
+            this.addMenuItem(menu, `${describePin(pin)}: ${state}`, () => this.hideContextMenu());
+        });
+        if (inner) {
+            this.addMenuItem(menu, `Step into ${instance.module}`, () => {
+                this.hideContextMenu();
+                if (this.onStepInto) this.onStepInto(inner, `${instance.module} at ${x},${y}`);
+            });
+        }
+        if (!this.readOnly && getModule(this.simulator, instance.module)) {
+            this.addMenuItem(menu, `Edit module ${instance.module}`, () => {
+                this.hideContextMenu();
+                if (this.onEditModule) this.onEditModule(instance.module);
+            });
+        }
+    }
+
+    // Entries a component definition adds (components.js); each action is one undoable edit
+    addDefinitionItems(menu, definition, entity, x, y, z) {
+        if (!definition.menu) return;
+        const items = definition.menu(entity.components.get('redstone'), { simulator: this.simulator, x, y, z });
+        if (!items || items.length === 0) return;
+        this.addMenuSeparator(menu);
+        items.forEach(({ label, action }) => {
+            this.addMenuItem(menu, label, () => {
+                this.hideContextMenu();
+                this.history.record(label, [[x, y, z]], () => action());
+            });
+        });
+    }
+
+    // Context menu entries to trigger inputs while the circuit runs
+    addInputItems(menu, entity, x, y, z) {
+        const type = entity.components.get('blockState').type;
+        const redstone = entity.components.get('redstone');
+        const simulator = this.simulator;
+        const edit = (label, change) => {
+            this.history.record(label, [[x, y, z]], change);
+            this.hideContextMenu();
+        };
+        this.addMenuSeparator(menu);
+
+        if (type === 'minecraft:button' || type === 'minecraft:wooden_button') {
+            this.addMenuItem(menu, `Press (${redstone.constructor.PRESS_TICKS} ticks)`, () => {
+                edit('Press button', () => redstone.press(simulator, x, y, z));
+            });
+        } else if (type === 'minecraft:target') {
+            this.addMenuItem(menu, `Shoot arrow (signal ${redstone.hitStrength}, 20 ticks)`, () => {
+                edit('Hit target', () => redstone.hit(simulator, x, y, z, true));
+            });
+            this.addMenuItem(menu, `Throw snowball (signal ${redstone.hitStrength}, 8 ticks)`, () => {
+                edit('Hit target', () => redstone.hit(simulator, x, y, z, false));
+            });
+            this.addMenuItem(menu, `Hit strength: ${redstone.hitStrength}...`, () => {
+                this.hideContextMenu();
+                const strength = Number(prompt('Signal from a hit, by how close to the centre it lands (1-15):', redstone.hitStrength));
+                if (!Number.isInteger(strength) || strength < 1 || strength > 15) return;
+                edit('Set hit strength', () => { redstone.hitStrength = strength; });
+            });
+        } else if (type === 'minecraft:daylight_sensor') {
+            this.addMenuItem(menu, `Inverted: ${redstone.inverted ? 'yes' : 'no'} (signal ${redstone.powerLevel})`, () => {
+                edit('Invert sensor', () => redstone.toggleInverted(simulator, x, y, z));
+            });
+        } else if (type === 'minecraft:tripwire_hook') {
+            // The hook's state comes from its string, so this only reports it
+            const state = redstone.attached ? `Attached${redstone.powerLevel > 0 ? ', tripped' : ''}` : 'Not attached';
+            this.addMenuItem(menu, state, () => this.hideContextMenu());
+        } else {
+            // Pressure plates and string
+            const count = redstone.entityCount;
+            this.addMenuItem(menu, count > 0 ? 'Step off' : 'Step on', () => {
+                edit(count > 0 ? 'Step off' : 'Step on', () => redstone.setEntityCount(simulator, x, y, z, count > 0 ? 0 : 1));
+            });
+            this.addMenuItem(menu, `Entities: ${count} (signal ${redstone.powerLevel})...`, () => {
+                this.hideContextMenu();
+                const entities = Number(prompt('Entities on it:', count));
+                if (!Number.isInteger(entities) || entities < 0) return;
+                edit('Set entities', () => redstone.setEntityCount(simulator, x, y, z, entities));
+            });
+        }
+    }
+
+    // Context menu entries for the blocks comparators can read
+    addComparatorSourceItems(menu, entity, x, y, z) {
+        const type = entity.components.get('blockState').type;
+        const redstone = entity.components.get('redstone');
+        const simulator = this.simulator;
+        const edit = (label, change) => {
+            this.history.record(label, [[x, y, z]], change);
+            this.hideContextMenu();
+        };
+        this.addMenuSeparator(menu);
+
+        if (type === 'minecraft:item_frame') {
+            if (redstone.item) {
+                this.addMenuItem(menu, `Rotate item (signal ${redstone.getSignal()})`, () => {
+                    edit('Rotate item', () => redstone.rotateItem(simulator, x, y, z));
+                });
+                this.addMenuItem(menu, `Remove ${redstone.item}`, () => {
+                    edit('Remove item', () => redstone.setItem(simulator, x, y, z, null));
+                });
+            } else {
+                this.addMenuItem(menu, 'Put item...', () => {
+                    this.hideContextMenu();
+                    const item = prompt('Item to put in the frame:', 'minecraft:redstone');
+                    if (!item || !item.trim()) return;
+                    edit('Put item', () => redstone.setItem(simulator, x, y, z, itemId(item.trim())));
+                });
+            }
+            return;
+        }
+
+        const signal = redstone.getComparatorOutput(simulator, x, y, z);
+        if (type === 'minecraft:cake') {
+            this.addMenuItem(menu, `Eat a slice (${7 - redstone.bites} left, signal ${signal})`, () => {
+                edit('Eat cake', () => redstone.eat(simulator, x, y, z));
+            });
+        } else if (type === 'minecraft:composter') {
+            this.addMenuItem(menu, `Level: ${redstone.level}`, () => {
+                this.hideContextMenu();
+                const level = Number(prompt('Composter level (0-8):', redstone.level));
+                if (!Number.isInteger(level) || level < 0 || level > 8) return;
+                edit('Set level', () => redstone.setLevel(simulator, x, y, z, level));
+            });
+        } else {
+            this.addMenuItem(menu, `Contents: ${redstone.getItemCount()} items (signal ${signal})`, () => {
+                this.hideContextMenu();
+                const text = prompt(
+                    `Slots in order, separated by commas (${redstone.slots.length} slots), e.g. "64 redstone, -, 16 ender_pearl":`,
+                    formatSlots(redstone.slots)
+                );
+                if (text === null) return;
+                try {
+                    const slots = parseSlots(text, redstone.slots.length);
+                    edit('Edit contents', () => redstone.setSlots(simulator, x, y, z, slots));
+                } catch (e) {
+                    alert(e.message);
+                }
+            });
+            this.addMenuItem(menu, 'Fill for signal...', () => {
+                this.hideContextMenu();
+                const target = Number(prompt('Comparator signal strength (0-15):', signal));
+                if (!Number.isInteger(target) || target < 0 || target > 15) return;
+                edit('Fill container', () => redstone.fillForSignal(simulator, x, y, z, target));
+            });
+        }
+    }
+
+    closeContextMenuOnOutsideClick(menu) {
         // Close on outside click (handled by document listener, but let's add one here just in case)
         const closeHandler = (e) => {
             if (!menu.contains(e.target)) {
@@ -167,6 +682,13 @@ export class InputManager {
         setTimeout(() => document.addEventListener('mousedown', closeHandler), 0);
     }
 
+    writeSystemClipboard() {
+        if (!this.clipboard || !navigator.clipboard) return;
+        navigator.clipboard.writeText(JSON.stringify(this.clipboard)).catch(() => {
+            // Still available for pasting within this tab
+        });
+    }
+
     hideContextMenu() {
         const menu = document.getElementById('context-menu');
         menu.style.display = 'none';
@@ -187,7 +709,8 @@ export class InputManager {
     }
 
     rotateComponent(x, y) {
-        const entity = this.simulator.getBlockEntity(x, y);
+        const z = this.layer;
+        const entity = this.simulator.getBlockEntity(x, y, z);
         if (entity) {
             const blockState = entity.components.get('blockState');
             
@@ -195,14 +718,21 @@ export class InputManager {
             if ((blockState.type === 'minecraft:piston' || blockState.type === 'minecraft:sticky_piston') && blockState.extended) {
                 return;
             }
+            // Blocks a piston is moving can't be touched until they land
+            if (blockState.type === 'minecraft:moving_piston') return;
 
             if (blockState) {
-                blockState.rotation = (blockState.rotation + 1) % 4;
-                const redstone = entity.components.get('redstone');
-                if (redstone) {
-                    redstone.onNeighborUpdate(this.simulator, x, y, x, y);
-                }
-                this.simulator.notifyNeighbors(x, y);
+                this.history.record('Rotate', [[x, y, z]], () => {
+                    // Cycle through the facings this block supports (some can point up/down)
+                    const rotations = getAllowedRotations(blockState.type);
+                    const index = rotations.indexOf(blockState.rotation);
+                    blockState.rotation = rotations[(index + 1) % rotations.length];
+                    const redstone = entity.components.get('redstone');
+                    if (redstone) {
+                        redstone.onNeighborUpdate(this.simulator, x, y, z, x, y, z);
+                    }
+                    this.simulator.notifyNeighbors(x, y, z);
+                });
             }
         }
     }
@@ -217,6 +747,8 @@ export class InputManager {
         const touch = e.touches[0];
         const pos = this.getGridPosition(touch.clientX, touch.clientY);
         // Long press for context menu? For now just place.
+        this.isMouseDown = true;
+        this.history.begin('Edit');
         this.placeOrInteract(pos.x, pos.y);
     }
     
@@ -229,34 +761,76 @@ export class InputManager {
     
     handleTouchEnd(e) {
         if (e) e.preventDefault();
+        if (this.isMouseDown) this.history.end();
         this.isMouseDown = false;
     }
     
     placeOrInteract(x, y) {
-        if (x < 0 || x >= this.simulator.width || y < 0 || y >= this.simulator.height) return;
+        const z = this.layer;
+        if (this.readOnly || !this.simulator.isInBounds(x, y, z)) return;
         
-        const existingEntity = this.simulator.getBlockEntity(x, y);
+        const existingEntity = this.simulator.getBlockEntity(x, y, z);
+        // Part of the open drag step, or a one-off step when called on its own
+        this.history.record('Edit', [[x, y, z]], () => this.applyTool(x, y, z, existingEntity));
+    }
+    
+    // Torches stand on a block below them, otherwise they are placed against a wall
+    getPlacementRotation(type, x, y, z) {
+        if (type === 'minecraft:redstone_torch' && this.simulator.isFullBlock(x, y, z - 1)) {
+            return Direction.UP;
+        }
+        // Hoppers point down unless turned
+        if (type === 'minecraft:hopper') return Direction.DOWN;
+        return 0;
+    }
+    
+    applyTool(x, y, z, existingEntity) {
+        if (this.selectedComponent === 'select') return;
+        // Blocks a piston is moving can't be broken or used until they land, as in Java
+        if (existingEntity && existingEntity.components.get('blockState').type === 'minecraft:moving_piston') return;
         
         if (this.selectedComponent === 'erase') {
             if (existingEntity) {
-                this.simulator.entityManager.removeEntity(existingEntity.id);
+                this.simulator.removeEntity(existingEntity.id);
                 // Notify neighbors that a block was removed
-                this.simulator.notifyNeighbors(x, y);
+                this.simulator.notifyNeighbors(x, y, z);
             }
         } else if (!existingEntity) {
             // Place new component
-            this.simulator.createEntity(this.selectedComponent, x, y);
-            // Neighbor notification is handled in createEntity -> onPlaced
+            const rotation = this.getPlacementRotation(this.selectedComponent, x, y, z);
+            this.simulator.createEntity(this.selectedComponent, x, y, z, rotation);
+            // Neighbor notification is handled in createEntity
         } else if (existingEntity) {
             // Interact
             const blockState = existingEntity.components.get('blockState');
             const redstone = existingEntity.components.get('redstone');
+            const definition = getComponentDefinition(blockState.type);
             
-            if (blockState && redstone) {
+            if (definition) {
+                if (definition.use) definition.use(redstone, this.simulator, x, y, z);
+            } else if (blockState && redstone) {
                 if (blockState.type === 'minecraft:lever') {
-                    redstone.toggle(this.simulator, x, y);
-                } else if (blockState.type === 'minecraft:button') {
-                    redstone.press(this.simulator, x, y);
+                    redstone.toggle(this.simulator, x, y, z);
+                } else if (blockState.type === 'minecraft:redstone_dust') {
+                    // Unconnected dust swaps between a cross and a dot
+                    redstone.toggleShape(this.simulator, x, y, z);
+                } else if (blockState.type === 'minecraft:button' || blockState.type === 'minecraft:wooden_button') {
+                    redstone.press(this.simulator, x, y, z);
+                } else if (typeof redstone.setEntityCount === 'function') {
+                    // Pressure plates and string: step on or off
+                    redstone.setEntityCount(this.simulator, x, y, z, redstone.entityCount > 0 ? 0 : 1);
+                } else if (blockState.type === 'minecraft:target') {
+                    redstone.hit(this.simulator, x, y, z);
+                } else if (blockState.type === 'minecraft:daylight_sensor') {
+                    redstone.toggleInverted(this.simulator, x, y, z);
+                } else if (blockState.type === 'minecraft:item_frame') {
+                    redstone.rotateItem(this.simulator, x, y, z);
+                } else if (blockState.type === 'minecraft:cake') {
+                    redstone.eat(this.simulator, x, y, z);
+                } else if (blockState.type === 'minecraft:composter') {
+                    redstone.use(this.simulator, x, y, z);
+                } else if (blockState.type === 'minecraft:note_block') {
+                    redstone.tune(this.simulator, x, y, z);
                 }
                 // Repeater and Comparator configuration moved to Context Menu (Right Click)
             }
@@ -264,3 +838,37 @@ export class InputManager {
     }
     
 }
+
+// Item ids may be typed without the minecraft: namespace
+function itemId(name) {
+    return name.includes(':') ? name : `minecraft:${name}`;
+}
+
+// Container slots as editable text: "64 redstone, -, 16 ender_pearl"
+function formatSlots(slots) {
+    let last = slots.length - 1;
+    while (last >= 0 && !slots[last]) last--;
+    return slots.slice(0, last + 1)
+        .map(stack => (stack ? `${stack.count} ${stack.item.replace(/^minecraft:/, '')}` : '-'))
+        .join(', ');
+}
+
+// The reverse of formatSlots; a slot without a count holds one item
+function parseSlots(text, slotCount) {
+    const entries = text.trim() === '' ? [] : text.split(',').map(entry => entry.trim());
+    if (entries.length > slotCount) {
+        throw new Error(`This container only has ${slotCount} slots.`);
+    }
+    return entries.map(entry => {
+        if (entry === '' || entry === '-') return null;
+        const match = entry.match(/^(?:(\d+)\s*x?\s+)?([\w:.-]+)$/);
+        if (!match) throw new Error(`Can't read slot "${entry}", expected a count and an item.`);
+        const item = itemId(match[2]);
+        const count = match[1] === undefined ? 1 : Number(match[1]);
+        if (count === 0) return null;
+        if (count > getMaxStackSize(item)) {
+            throw new Error(`${item} only stacks to ${getMaxStackSize(item)}.`);
+        }
+        return { item, count };
+    });
+}
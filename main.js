@@ -1,6 +1,29 @@
 import { RedstoneSimulator } from './simulator.js';
 import { Renderer } from './renderer.js';
 import { InputManager } from './input.js';
+import { stringifyCircuit, parseCircuit, deserializeCircuit } from './serializer.js';
+import { importSchematic, exportSchematic, describeImportReport, EXPORT_FORMATS } from './schematic.js';
+import { LogicAnalyzer } from './analyzer.js';
+import { WaveformView } from './waveform.js';
+import { Timeline } from './timeline.js';
+import { getTestbench, runTestbench, failingCells, TestbenchError } from './testbench.js';
+import { NotePlayer } from './audio.js';
+import { loadPlugins } from './components.js';
+import { Palette } from './palette.js';
+import { EditHistory } from './history.js';
+import { getModuleCircuit, saveModuleCircuit, ModuleError } from './modules.js';
+
+// Number of undo steps kept per session
+const HISTORY_LIMIT = 200;
+
+// Longest a frame may spend simulating, so high speeds and warp keep the page responsive
+const FRAME_BUDGET_MS = 12;
+
+// How often the measured TPS display is refreshed
+const TPS_SAMPLE_MS = 500;
+
+// Plugin modules to load at startup: a JSON array of URLs, relative to the page
+const PLUGIN_LIST_URL = 'plugins.json';
 
 class RedstoneCircuitDesigner {
     constructor() {
@@ -8,17 +31,38 @@ class RedstoneCircuitDesigner {
         this.ctx = this.canvas.getContext('2d');
         this.simulator = new RedstoneSimulator(64, 48);
         this.renderer = new Renderer(this.canvas, this.ctx);
-        this.inputManager = new InputManager(this.canvas, this.simulator, this.renderer);
+        this.inputManager = new InputManager(this.canvas, this.simulator, this.renderer, { historyLimit: HISTORY_LIMIT });
+        this.analyzer = new LogicAnalyzer();
+        this.analyzer.attach(this.simulator);
+        this.timeline = new Timeline();
+        this.timeline.attach(this.simulator);
+        this.notePlayer = new NotePlayer();
+        this.soundListener = (simulator, sound) => this.playSound(sound);
+        this.simulator.addSoundListener(this.soundListener);
+        // Every edit is snapshotted so rewinding and replaying past it stays exact
+        this.inputManager.history.onChange = () => {
+            this.timeline.recordEdit();
+            this.updateTickDisplay();
+        };
         
         this.isRunning = false;
-        this.tickCount = 0;
-        this.lastTickTime = Date.now();
-        this.tps = 20;
-        this.targetTickTime = 1000 / this.tps;
+        this.runUntilTick = null; // Pause when the simulation reaches this tick (Run to tick)
+        this.lastTickTime = performance.now();
+        this.tps = 20;            // Target speed; 0 is warp (as many ticks as the frame budget allows)
+        this.tickDebt = 0;        // Ticks owed at the target speed, carried between frames
+        this.tpsSampleStart = performance.now();
+        this.tpsSampleTicks = 0;  // Ticks run since tpsSampleStart, for the measured TPS
+        // Module boards shown over the circuit, innermost last: [{ simulator, label, history, readOnly, module }].
+        // The circuit keeps running underneath; module is the name of the one being edited.
+        this.views = [];
+        this.circuitHistory = this.inputManager.history;
         
         this.setupCanvas();
         this.setupEventListeners();
         this.setupToolbar();
+        this.setupTestbenchPanel();
+        this.setupAnalyzerPanel();
+        this.setupModuleBar();
         this.gameLoop();
     }
     
@@ -40,24 +84,82 @@ class RedstoneCircuitDesigner {
     }
     
     setupEventListeners() {
-        document.getElementById('play-pause').addEventListener('click', () => {
-            this.isRunning = !this.isRunning;
-            document.getElementById('play-pause').textContent = this.isRunning ? 'Pause' : 'Play';
+        document.getElementById('play-pause').addEventListener('click', () => this.setRunning(!this.isRunning));
+        
+        document.getElementById('reset').addEventListener('click', () => this.seek(this.timeline.startTick));
+        
+        document.getElementById('step').addEventListener('click', () => this.step(1));
+        document.getElementById('step-n').addEventListener('click', () => {
+            const count = parseInt(document.getElementById('step-count').value, 10);
+            if (count > 0) this.step(count);
         });
+        document.getElementById('run-to').addEventListener('click', () => {
+            const tick = parseInt(document.getElementById('run-to-tick').value, 10);
+            if (Number.isInteger(tick)) this.runToTick(tick);
+        });
+        document.getElementById('timeline').addEventListener('input', (e) => this.seek(Number(e.target.value)));
         
-        document.getElementById('reset').addEventListener('click', () => {
-            this.isRunning = false;
-            document.getElementById('play-pause').textContent = 'Play';
-            this.tickCount = 0;
-            document.getElementById('tick-count').textContent = this.tickCount;
-            this.lastTickTime = Date.now();
+        const speedSelect = document.getElementById('speed');
+        speedSelect.value = String(this.tps);
+        speedSelect.addEventListener('change', () => {
+            this.tps = Number(speedSelect.value);
+            this.tickDebt = 0;
         });
         
         document.getElementById('clear').addEventListener('click', () => {
-            this.simulator = new RedstoneSimulator(64, 48);
-            this.tickCount = 0;
+            this.setSimulator(new RedstoneSimulator(64, 48));
+        });
+        
+        document.getElementById('undo').addEventListener('click', () => this.inputManager.history.undo());
+        document.getElementById('redo').addEventListener('click', () => this.inputManager.history.redo());
+        
+        const dayTimeSlider = document.getElementById('day-time');
+        dayTimeSlider.addEventListener('input', () => {
+            this.simulator.dayTime = Number(dayTimeSlider.value);
+            // Changing the time is an edit, so rewinding past it stays exact
+            this.timeline.recordEdit();
+            this.updateTickDisplay();
+        });
+        
+        const soundButton = document.getElementById('sound');
+        soundButton.addEventListener('click', () => {
+            this.notePlayer.muted = !this.notePlayer.muted;
+            soundButton.textContent = this.notePlayer.muted ? 'Sound: Off' : 'Sound: On';
+        });
+        
+        document.getElementById('layer-down').addEventListener('click', () => this.inputManager.setLayer(this.inputManager.layer - 1));
+        document.getElementById('layer-up').addEventListener('click', () => this.inputManager.setLayer(this.inputManager.layer + 1));
+        this.inputManager.onLayerChange = (layer) => {
+            document.getElementById('layer').textContent = layer;
+        };
+        
+        document.getElementById('save').addEventListener('click', () => this.saveCircuit());
+        
+        const fileInput = document.getElementById('open-file');
+        document.getElementById('open').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = ''; // Allow re-opening the same file
+            if (file) await this.openCircuit(file);
+        });
+        
+        const importInput = document.getElementById('import-file');
+        document.getElementById('import').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file) await this.importSchematicFile(file);
         });
         
+        const formatSelect = document.getElementById('export-format');
+        for (const [format, { label }] of Object.entries(EXPORT_FORMATS)) {
+            const option = document.createElement('option');
+            option.value = format;
+            option.textContent = label;
+            formatSelect.appendChild(option);
+        }
+        document.getElementById('export').addEventListener('click', () => this.exportSchematicFile(formatSelect.value));
+        
         // Debug controls
         document.addEventListener('keydown', (e) => {
             if (e.key === 'F3') {
@@ -70,41 +172,479 @@ class RedstoneCircuitDesigner {
         });
     }
     
-    setupToolbar() {
-        const buttons = document.querySelectorAll('.component-button');
-        buttons.forEach(button => {
-            button.addEventListener('click', () => {
-                buttons.forEach(b => b.classList.remove('active'));
-                button.classList.add('active');
-                this.inputManager.setSelectedComponent(button.dataset.component);
+    // Swap in a different simulator (Clear All, Open) and keep every consumer pointing at it
+    setSimulator(simulator) {
+        this.closeViews();
+        this.simulator.removeSoundListener(this.soundListener);
+        simulator.addSoundListener(this.soundListener);
+        this.simulator = simulator;
+        this.inputManager.setSimulator(simulator);
+        this.analyzer.attach(simulator);
+        this.timeline.attach(simulator);
+        this.updateTickDisplay();
+        this.renderer.testHighlights = [];
+        document.getElementById('testbench-results').innerHTML = '';
+        this.renderTestbenchPanel();
+    }
+    
+    setupModuleBar() {
+        this.inputManager.onModulesChange = () => {
+            this.timeline.recordEdit();
+            this.updateTickDisplay();
+        };
+        this.inputManager.onStepInto = (simulator, label) => {
+            // Looking only: a history nobody records into
+            this.openView({ simulator, label, history: new EditHistory(simulator), readOnly: true, module: null });
+        };
+        this.inputManager.onEditModule = (name) => this.editModule(name);
+        document.getElementById('module-save').addEventListener('click', () => this.saveModule());
+        document.getElementById('module-back').addEventListener('click', () => this.closeView());
+    }
+    
+    // The simulator on screen: the innermost module board, or the circuit
+    getViewedSimulator() {
+        return this.views.length > 0 ? this.views[this.views.length - 1].simulator : this.simulator;
+    }
+    
+    openView(view) {
+        this.views.push(view);
+        this.showView();
+    }
+    
+    // Back out of the innermost board; leaving a module with unsaved edits asks first
+    closeView() {
+        const view = this.views[this.views.length - 1];
+        if (!view) return;
+        if (view.module && view.history.canUndo() && !confirm(`Leave module ${view.module} without saving it?`)) return;
+        this.views.pop();
+        this.showView();
+    }
+    
+    closeViews() {
+        if (this.views.length === 0) return;
+        this.views = [];
+        this.showView();
+    }
+    
+    showView() {
+        const view = this.views[this.views.length - 1];
+        if (view) {
+            this.inputManager.setSimulator(view.simulator, { history: view.history, readOnly: view.readOnly });
+        } else {
+            this.inputManager.setSimulator(this.simulator, { history: this.circuitHistory });
+        }
+        const editing = this.views.some(({ module }) => module);
+        document.getElementById('module-bar').style.display = view ? 'block' : 'none';
+        document.getElementById('module-path').textContent = this.views
+            .map(({ label, readOnly }) => (readOnly ? `Inside ${label}` : label))
+            .join(' \u203A ');
+        document.getElementById('module-save').style.display = editing ? '' : 'none';
+    }
+    
+    // Open a module's definition on a board of its own. The circuit keeps running meanwhile;
+    // Save Module rebuilds its instances.
+    editModule(name) {
+        if (this.views.some(({ module }) => module)) {
+            alert('Save or leave the module being edited first.');
+            return;
+        }
+        this.closeViews();
+        const simulator = deserializeCircuit(getModuleCircuit(this.simulator, name));
+        simulator.modules = this.simulator.modules;
+        const history = new EditHistory(simulator, { limit: HISTORY_LIMIT });
+        this.openView({ simulator, label: `Editing module ${name}`, history, readOnly: false, module: name });
+    }
+    
+    saveModule() {
+        const view = this.views.find(({ module }) => module);
+        if (!view) return;
+        try {
+            saveModuleCircuit(this.simulator, view.module, view.simulator);
+        } catch (e) {
+            if (!(e instanceof ModuleError)) throw e;
+            alert(e.message);
+            return;
+        }
+        this.views = [];
+        this.showView();
+        // Rebuilding the instances is an edit, so rewinding past it stays exact
+        this.timeline.recordEdit();
+        this.updateTickDisplay();
+    }
+    
+    setupAnalyzerPanel() {
+        const panel = document.getElementById('analyzer-panel');
+        const container = document.getElementById('canvas-container');
+        const analyzerCanvas = document.getElementById('analyzer-canvas');
+        this.waveformView = new WaveformView(analyzerCanvas, this.analyzer);
+        this.renderer.analyzer = this.analyzer;
+        this.inputManager.analyzer = this.analyzer;
+        
+        const resize = () => this.waveformView.resize(analyzerCanvas.clientWidth, analyzerCanvas.clientHeight);
+        const setOpen = (open) => {
+            panel.style.display = open ? 'flex' : 'none';
+            container.classList.toggle('analyzer-open', open);
+            if (open) resize();
+        };
+        window.addEventListener('resize', () => {
+            if (this.isAnalyzerOpen()) resize();
+        });
+        
+        document.getElementById('analyzer').addEventListener('click', () => setOpen(!this.isAnalyzerOpen()));
+        // Adding the first probe opens the panel
+        this.inputManager.onProbesChange = () => {
+            if (this.analyzer.probes.length > 0 && !this.isAnalyzerOpen()) setOpen(true);
+        };
+        
+        document.getElementById('analyzer-mode').addEventListener('change', (e) => {
+            this.waveformView.mode = e.target.value;
+        });
+        document.getElementById('analyzer-clear').addEventListener('click', () => {
+            this.analyzer.clear();
+            this.waveformView.clearCursors();
+        });
+        document.getElementById('analyzer-export').addEventListener('click', () => {
+            this.downloadFile(this.analyzer.toVCD(), 'circuit.vcd', 'text/plain');
+        });
+        
+        const readout = document.getElementById('analyzer-cursors');
+        this.waveformView.onCursorChange = ([a, b]) => {
+            const parts = [];
+            if (a !== null) parts.push(`A: tick ${a}`);
+            if (b !== null) parts.push(`B: tick ${b}`);
+            if (a !== null && b !== null) {
+                const ticks = Math.abs(b - a);
+                parts.push(`Δ ${ticks} ticks (${(ticks / 20).toFixed(2)} s)`);
+            }
+            readout.textContent = parts.join('   ');
+        };
+        this.waveformView.clearCursors();
+    }
+    
+    isAnalyzerOpen() {
+        return document.getElementById('analyzer-panel').style.display === 'flex';
+    }
+    
+    setupTestbenchPanel() {
+        const panel = document.getElementById('testbench-panel');
+        document.getElementById('testbench').addEventListener('click', () => {
+            panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
+        });
+        
+        // Keep the tests in the circuit as they are edited so Save picks them up
+        document.getElementById('testbench-tests').addEventListener('change', () => this.readTestsFromPanel());
+        document.getElementById('testbench-run').addEventListener('click', () => this.runTests());
+        this.inputManager.onTestbenchChange = () => this.renderTestbenchPanel();
+        this.renderTestbenchPanel();
+    }
+    
+    renderTestbenchPanel() {
+        const bench = this.simulator.testbench;
+        const signals = document.getElementById('testbench-signals');
+        signals.innerHTML = '';
+        const entries = bench
+            ? [...Object.entries(bench.inputs).map(e => ['in', ...e]), ...Object.entries(bench.outputs).map(e => ['out', ...e])]
+            : [];
+        if (entries.length === 0) signals.textContent = 'None marked yet.';
+        entries.forEach(([kind, name, { x, y, z }]) => {
+            const row = document.createElement('div');
+            row.textContent = `${kind} ${name} at ${x},${y} (layer ${z})`;
+            signals.appendChild(row);
+        });
+        
+        document.getElementById('testbench-tests').value = JSON.stringify(bench ? bench.tests : [], null, 2);
+    }
+    
+    // Parse the tests textarea into the circuit's testbench; false (with the error shown) if it isn't valid JSON
+    readTestsFromPanel() {
+        const results = document.getElementById('testbench-results');
+        try {
+            const tests = JSON.parse(document.getElementById('testbench-tests').value || '[]');
+            if (!Array.isArray(tests)) throw new Error('expected a list of tests');
+            getTestbench(this.simulator).tests = tests;
+            return true;
+        } catch (e) {
+            results.innerHTML = '';
+            results.textContent = `Tests are not valid JSON: ${e.message}`;
+            return false;
+        }
+    }
+    
+    runTests() {
+        if (!this.readTestsFromPanel()) return;
+        const results = document.getElementById('testbench-results');
+        results.innerHTML = '';
+        
+        let report;
+        try {
+            report = runTestbench(this.simulator);
+        } catch (e) {
+            if (!(e instanceof TestbenchError)) throw e;
+            results.textContent = e.message;
+            return;
+        }
+        
+        // Outline every failing output; clicking a failed row narrows it down to that row
+        this.renderer.testHighlights = failingCells(report);
+        report.tests.forEach(test => {
+            const heading = document.createElement('h4');
+            heading.className = test.passed ? 'test-pass' : 'test-fail';
+            heading.textContent = `${test.passed ? 'PASS' : 'FAIL'} ${test.name}`;
+            heading.addEventListener('click', () => {
+                this.renderer.testHighlights = test.results.flatMap(result => result.failures);
+            });
+            results.appendChild(heading);
+            
+            test.results.forEach(result => {
+                const row = document.createElement('div');
+                row.className = result.passed ? 'test-pass' : 'test-fail';
+                row.textContent = `#${result.index + 1} ${result.label} @ tick ${result.tick}`;
+                if (!result.passed) {
+                    const details = result.failures.map(f => `${f.name}: expected ${f.expected}, got ${f.actual}`);
+                    if (result.message) details.unshift(result.message);
+                    row.textContent += `: ${details.join('; ')}`;
+                    row.addEventListener('click', () => {
+                        this.renderer.testHighlights = result.failures;
+                    });
+                }
+                results.appendChild(row);
             });
         });
+    }
+    
+    setRunning(running) {
+        this.isRunning = running;
+        if (!running) this.runUntilTick = null;
+        this.lastTickTime = performance.now();
+        this.tickDebt = 0;
+        document.getElementById('play-pause').textContent = running ? 'Pause' : 'Play';
+    }
+    
+    // Advance exactly `count` game ticks right away
+    step(count) {
+        this.setRunning(false);
+        for (let i = 0; i < count; i++) {
+            this.simulator.tick();
+        }
+        this.updateTickDisplay();
+    }
+    
+    // Play until the given tick, or rewind to it if it has already passed
+    runToTick(tick) {
+        if (tick <= this.simulator.tickCount) {
+            this.seek(tick);
+            return;
+        }
+        this.setRunning(true);
+        this.runUntilTick = tick;
+    }
+    
+    // Restore the circuit to the state it had at a past tick
+    seek(tick) {
+        this.setRunning(false);
+        if (!this.timeline.seek(tick)) return;
+        // Instances are restored from the snapshot, so what was being looked into is gone
+        if (this.views.some(({ module }) => !module)) {
+            this.views = this.views.filter(({ module }) => module);
+            this.showView();
+        }
+        // Cell-based undo steps don't line up with the restored state
+        this.circuitHistory.clear();
+        this.updateTickDisplay();
+    }
+    
+    updateTickDisplay() {
+        document.getElementById('tick-count').textContent = this.simulator.tickCount;
+        const slider = document.getElementById('timeline');
+        slider.min = this.timeline.startTick;
+        slider.max = this.timeline.latestTick;
+        slider.value = this.simulator.tickCount;
+        document.getElementById('day-time').value = this.simulator.dayTime;
+        document.getElementById('day-time-label').textContent = formatDayTime(this.simulator.dayTime);
+    }
+    
+    downloadFile(data, fileName, mimeType) {
+        const blob = new Blob([data], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    saveCircuit() {
+        this.downloadFile(stringifyCircuit(this.simulator), 'circuit.json', 'application/json');
+    }
+    
+    async openCircuit(file) {
+        try {
+            const simulator = parseCircuit(await file.text());
+            this.setRunning(false);
+            this.setSimulator(simulator);
+        } catch (e) {
+            console.error('Failed to open circuit', e);
+            alert(`Could not open ${file.name}: ${e.message}`);
+        }
+    }
+    
+    async importSchematicFile(file) {
+        try {
+            const { simulator, report } = await importSchematic(new Uint8Array(await file.arrayBuffer()));
+            this.setRunning(false);
+            this.setSimulator(simulator);
+            alert(describeImportReport(report));
+        } catch (e) {
+            console.error('Failed to import schematic', e);
+            alert(`Could not import ${file.name}: ${e.message}`);
+        }
+    }
+    
+    async exportSchematicFile(format) {
+        try {
+            const bytes = await exportSchematic(this.simulator, format);
+            this.downloadFile(bytes, `circuit.${EXPORT_FORMATS[format].extension}`, 'application/octet-stream');
+        } catch (e) {
+            console.error('Failed to export schematic', e);
+            alert(`Could not export: ${e.message}`);
+        }
+    }
+    
+    setupToolbar() {
+        this.palette = new Palette(document.getElementById('toolbar'), this.simulator, this.renderer);
+        this.palette.onSelect = (type) => this.inputManager.setSelectedComponent(type);
+        this.inputManager.onHotbarKey = (slot) => this.palette.selectSlot(slot);
+        this.inputManager.onPickBlock = (type) => this.palette.pick(type);
+        document.querySelectorAll('#tools .component-button').forEach(button => {
+            button.addEventListener('click', () => this.palette.select(button.dataset.component));
+        });
         
-        // Set default selection
-        buttons[0].classList.add('active');
-        this.inputManager.setSelectedComponent('redstone_dust');
+        // Start with the first hotbar slot (redstone dust)
+        this.palette.selectSlot(0);
     }
     
-    gameLoop() {
-        const currentTime = Date.now();
-        const deltaTime = currentTime - this.lastTickTime;
+    // Run the ticks due since the last frame at the target speed (or, in warp, as many as
+    // fit in the frame budget). If the simulation can't keep up, the backlog is dropped
+    // instead of piling up, and the measured TPS shows the real speed.
+    runTicks(currentTime) {
+        const warp = this.tps === 0;
+        if (!warp) this.tickDebt += (currentTime - this.lastTickTime) * this.tps / 1000;
+        this.lastTickTime = currentTime;
         
-        if (this.isRunning && deltaTime >= this.targetTickTime) {
+        const deadline = currentTime + FRAME_BUDGET_MS;
+        let ran = 0;
+        while ((warp || ran < Math.floor(this.tickDebt)) && performance.now() < deadline) {
             this.simulator.tick();
-            this.tickCount++;
-            this.lastTickTime = currentTime;
-            
-            document.getElementById('tick-count').textContent = this.tickCount;
-            document.getElementById('tps').textContent = this.tps;
+            ran++;
+            if (this.runUntilTick !== null && this.simulator.tickCount >= this.runUntilTick) {
+                this.setRunning(false);
+                break;
+            }
         }
         
-        this.renderer.render(this.simulator);
+        this.tickDebt = warp ? 0 : Math.min(this.tickDebt - ran, 1);
+        this.tpsSampleTicks += ran;
+        if (ran > 0) this.updateTickDisplay();
+    }
+    
+    updateMeasuredTps(currentTime) {
+        const elapsed = currentTime - this.tpsSampleStart;
+        if (elapsed < TPS_SAMPLE_MS) return;
+        const tps = this.tpsSampleTicks * 1000 / elapsed;
+        document.getElementById('tps').textContent = tps < 10 ? tps.toFixed(1) : Math.round(tps);
+        this.tpsSampleStart = currentTime;
+        this.tpsSampleTicks = 0;
+    }
+    
+    // Note blocks are heard at normal speeds only: not while rewinding replays ticks or in warp
+    playSound({ instrument, note }) {
+        if (this.timeline.seeking || (this.isRunning && this.tps === 0)) return;
+        this.notePlayer.play(instrument, note);
+    }
+    
+    // Hovering a container shows what's in it; refreshed every frame as items move
+    updateTooltip() {
+        const tooltip = document.getElementById('tooltip');
+        const cell = this.inputManager.hoverCell;
+        const simulator = this.getViewedSimulator();
+        const entity = cell && simulator.getBlockEntity(cell.x, cell.y, this.inputManager.layer);
+        const redstone = entity && entity.components.get('redstone');
+        if (!redstone || !Array.isArray(redstone.slots)) {
+            tooltip.style.display = 'none';
+            return;
+        }
+
+        const type = entity.components.get('blockState').type;
+        tooltip.textContent = describeContainer(type, redstone, simulator, cell.x, cell.y, this.inputManager.layer);
+        const rect = document.getElementById('canvas-container').getBoundingClientRect();
+        tooltip.style.left = `${this.inputManager.mouseX - rect.left + 14}px`;
+        tooltip.style.top = `${this.inputManager.mouseY - rect.top + 14}px`;
+        tooltip.style.display = 'block';
+    }
+    
+    gameLoop() {
+        const currentTime = performance.now();
+        if (this.isRunning) this.runTicks(currentTime);
+        this.updateMeasuredTps(currentTime);
+        
+        // Lets the renderer slide piston-moved blocks smoothly between ticks
+        this.renderer.partialTick = this.isRunning && this.tps > 0 ? this.tickDebt : 0;
+        this.renderer.render(this.getViewedSimulator());
+        if (this.isAnalyzerOpen()) this.waveformView.render();
+        this.updateTooltip();
         requestAnimationFrame(() => this.gameLoop());
     }
 }
 
-// Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
+// World time as a clock reading; tick 0 is 6:00 in the morning
+function formatDayTime(dayTime) {
+    const hours = (Math.floor(dayTime / 1000) + 6) % 24;
+    const minutes = Math.floor((dayTime % 1000) * 60 / 1000);
+    return `${hours}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Tooltip text for a container: its item counts (same items added up), comparator
+// signal and, for hoppers and droppers, what they're doing
+function describeContainer(type, container, simulator, x, y, z) {
+    const name = type.replace(/^minecraft:/, '').replace(/_/g, ' ');
+    const lines = [`${name[0].toUpperCase()}${name.slice(1)}: ${container.getItemCount()} items, signal ${container.getComparatorOutput(simulator, x, y, z)}`];
+
+    const totals = new Map();
+    container.slots.forEach(stack => {
+        if (stack) totals.set(stack.item, (totals.get(stack.item) || 0) + stack.count);
+    });
+    totals.forEach((count, item) => lines.push(`${count} × ${item.replace(/^minecraft:/, '')}`));
+
+    if (container.locked) lines.push('Locked by redstone');
+    else if (container.cooldown > 0) lines.push(`Cooldown: ${container.cooldown} ticks`);
+    if (container.triggered) lines.push('Triggered');
+    return lines.join('\n');
+}
+
+// Load the plugins listed in plugins.json. A broken plugin is reported and the app starts
+// without it (and any listed after it); a missing list just means no plugins.
+async function loadPluginList() {
+    let urls;
+    try {
+        const response = await fetch(PLUGIN_LIST_URL);
+        if (!response.ok) return;
+        urls = await response.json();
+        if (!Array.isArray(urls)) throw new Error(`${PLUGIN_LIST_URL} should be an array of module URLs`);
+    } catch (e) {
+        console.error('Failed to read the plugin list', e);
+        return;
+    }
+    try {
+        await loadPlugins(urls.map(url => new URL(url, document.baseURI).href));
+    } catch (e) {
+        console.error(e);
+        alert(e.message);
+    }
+}
+
+// Initialize the application once plugins have defined their blocks
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadPluginList();
     new RedstoneCircuitDesigner();
 });
 
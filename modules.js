@@ -0,0 +1,358 @@
+import { RedstoneComponent, Direction } from './simulator.js';
+import { deserializeCircuit, serializeCircuit, migrateCircuit } from './serializer.js';
+import { copyRegion, rectContains } from './clipboard.js';
+import { readPower, setInput, INPUT_TYPES } from './testbench.js';
+import { defineComponent } from './components.js';
+
+// Modules: a piece of circuit (an adder, a latch) saved once and placed any number of times
+// as a single black-box block. Definitions are stored with the circuit as simulator.modules:
+//
+// {
+//   adder: {
+//     circuit: { ...circuit document of the selection, positions relative to its corner },
+//     pins: [{ name: 'A', kind: 'input', x, y, z, side }, ...]
+//   }
+// }
+//
+// Pins are the testbench inputs and outputs (testbench.js) marked on the edge of the selection.
+// An input pin is a lever or other INPUT_TYPES block, switched on while the instance is powered
+// from that side; an output pin is any block, whose power the instance gives out on that side.
+// Each pin takes one side of the instance: the edge it sits on, or the top or bottom when two
+// pins share an edge. Sides turn with the instance.
+//
+// Every instance runs its own copy of the module in a nested RedstoneSimulator, one inner tick
+// per game tick. Inputs reach the inner circuit as soon as the instance gets a block update, so
+// dust through a module is as quick as dust around it; anything with a delay still takes it.
+
+export const MODULE_TYPE = 'designer:module';
+
+const SIDE_NAMES = ['north', 'east', 'south', 'west', 'up', 'down'];
+
+export class ModuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ModuleError';
+    }
+}
+
+// The module definitions stored with a circuit, created on first use. Nested simulators share
+// their parent's object, so it is only ever changed in place.
+export function getModules(simulator) {
+    if (!simulator.modules) simulator.modules = {};
+    return simulator.modules;
+}
+
+export function getModule(simulator, name) {
+    return (simulator.modules && simulator.modules[name]) || null;
+}
+
+export function describePin(pin) {
+    return `${pin.kind} ${pin.name} (${SIDE_NAMES[pin.side]})`;
+}
+
+// Side of an instance a pin is on, for an instance turned to `rotation`
+function getPinSide(pin, rotation) {
+    return pin.side < 4 ? (pin.side + rotation) % 4 : pin.side;
+}
+
+// Edges of a width x height area a cell lies on
+function getEdgeSides(x, y, width, height) {
+    const sides = [];
+    if (x === 0) sides.push(Direction.WEST);
+    if (x === width - 1) sides.push(Direction.EAST);
+    if (y === 0) sides.push(Direction.NORTH);
+    if (y === height - 1) sides.push(Direction.SOUTH);
+    return sides;
+}
+
+// Pins from a module circuit's testbench markers, inputs first
+function findPins(circuit) {
+    const bench = circuit.testbench || { inputs: {}, outputs: {} };
+    const marked = [
+        ...Object.entries(bench.inputs).map(([name, cell]) => ({ name, kind: 'input', ...cell })),
+        ...Object.entries(bench.outputs).map(([name, cell]) => ({ name, kind: 'output', ...cell }))
+    ];
+    if (marked.length === 0) {
+        throw new ModuleError('Mark the module\'s inputs and outputs on the edge of the selection first.');
+    }
+
+    const taken = new Set();
+    return marked.map(({ name, kind, x, y, z }) => {
+        const edges = getEdgeSides(x, y, circuit.width, circuit.height);
+        if (edges.length === 0) {
+            throw new ModuleError(`The ${kind} ${name} at ${x},${y} isn't on the edge of the module.`);
+        }
+        if (kind === 'input') {
+            const record = circuit.entities.find(({ position }) => position.x === x && position.y === y && position.z === z);
+            if (!record || !INPUT_TYPES.has(record.blockState.type)) {
+                throw new ModuleError(`The input ${name} needs a lever or other input block to switch.`);
+            }
+        }
+        const side = [...edges, Direction.UP, Direction.DOWN].find(candidate => !taken.has(candidate));
+        if (side === undefined) {
+            throw new ModuleError(`A module has at most 6 pins, one for each side of its block; ${name} doesn't fit.`);
+        }
+        taken.add(side);
+        return { name, kind, x, y, z, side };
+    });
+}
+
+// Whether a module's circuit places `name`, directly or through the modules it uses
+function usesModule(modules, circuit, name, seen = new Set()) {
+    return circuit.entities.some(({ component, state }) => {
+        if (component !== MODULE_TYPE || !state || !state.module) return false;
+        if (state.module === name) return true;
+        if (seen.has(state.module) || !modules[state.module]) return false;
+        seen.add(state.module);
+        return usesModule(modules, modules[state.module].circuit, name, seen);
+    });
+}
+
+// Save a circuit document as module `name`, replacing any module of that name. Instances of it,
+// here and inside other modules, are rebuilt from the new definition with their state reset.
+export function defineModule(simulator, name, circuit) {
+    if (!name) throw new ModuleError('A module needs a name.');
+    const modules = getModules(simulator);
+    const doc = migrateCircuit(circuit);
+    if (usesModule(modules, doc, name)) {
+        throw new ModuleError(`Module ${name} can't contain an instance of itself.`);
+    }
+    const definition = { circuit: doc, pins: findPins(doc) };
+    const replacing = Boolean(modules[name]);
+    modules[name] = definition;
+
+    if (replacing) {
+        // Instances saved inside other modules start over from the new definition when built
+        Object.values(modules).forEach(other => other.circuit.entities.forEach(record => {
+            if (record.component === MODULE_TYPE && record.state && record.state.module === name) {
+                record.state = { ...record.state, circuit: null, pins: null, inputs: {}, outputs: {} };
+            }
+        }));
+        rebuildInstances(simulator, name);
+    }
+    return definition;
+}
+
+// Turn the selected area into module `name`. Its markers become the pins.
+export function createModule(simulator, name, rect) {
+    const circuit = copyRegion(simulator, rect, 0);
+    const bench = simulator.testbench || { inputs: {}, outputs: {} };
+    circuit.testbench = { inputs: {}, outputs: {}, tests: [] };
+    for (const kind of ['inputs', 'outputs']) {
+        for (const [pin, { x, y, z }] of Object.entries(bench[kind])) {
+            if (rectContains(rect, x, y)) circuit.testbench[kind][pin] = { x: x - rect.x, y: y - rect.y, z };
+        }
+    }
+    return defineModule(simulator, name, circuit);
+}
+
+// Circuit document for editing a module on a board of its own
+export function getModuleCircuit(simulator, name) {
+    const definition = getModule(simulator, name);
+    if (!definition) throw new ModuleError(`There is no module called ${name}.`);
+    return structuredClone(definition.circuit);
+}
+
+// The module edited on its own board (see getModuleCircuit) becomes the new definition
+export function saveModuleCircuit(simulator, name, editor) {
+    const circuit = serializeCircuit(editor);
+    delete circuit.modules;
+    // A module starts from its saved state, not from where the editor's clock stopped
+    circuit.tickCount = 0;
+    circuit.scheduledTicks.forEach(tick => { tick.time -= editor.tickCount; });
+    return defineModule(simulator, name, circuit);
+}
+
+export function placeModule(simulator, name, x, y, z, rotation = 0) {
+    if (!getModule(simulator, name)) throw new ModuleError(`There is no module called ${name}.`);
+    const entityId = simulator.createEntity(MODULE_TYPE, x, y, z, rotation);
+    const instance = simulator.entityManager.getComponent(entityId, 'redstone');
+    instance.module = name;
+    instance.rebuild(simulator, x, y, z);
+    return entityId;
+}
+
+// Instances of a module in a simulator and, recursively, in the instances it holds
+export function findInstances(simulator, name = null) {
+    const found = [];
+    for (const { components } of simulator.entityManager.getEntitiesWithComponent('redstone')) {
+        const instance = components.get('redstone');
+        if (!(instance instanceof ModuleInstanceComponent)) continue;
+        const { x, y, z } = components.get('position');
+        if (name === null || instance.module === name) found.push({ simulator, instance, x, y, z });
+        const inner = instance.getInner(simulator);
+        if (inner) found.push(...findInstances(inner, name));
+    }
+    return found;
+}
+
+function rebuildInstances(simulator, name) {
+    findInstances(simulator, name).forEach(({ simulator: owner, instance, x, y, z }) => instance.rebuild(owner, x, y, z));
+}
+
+class ModuleInstanceComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.module = null;   // Name of the module this is an instance of
+        this.pins = null;     // The module's pins when this instance was built
+        this.inputs = {};     // Input pin name -> whether it is switched on
+        this.outputs = {};    // Output pin name -> power level
+        this.circuit = null;  // Saved inner circuit, until the nested simulator is made from it
+        this.inner = null;    // Nested RedstoneSimulator running the module
+    }
+
+    // The nested simulator, made on first use from the saved state or else the module definition.
+    // Instances pasted from a circuit without the definition keep running from their saved state.
+    getInner(simulator) {
+        if (this.inner) return this.inner;
+        if (!this.circuit) {
+            const definition = getModule(simulator, this.module);
+            if (!definition) return null;
+            this.circuit = definition.circuit;
+            this.pins = structuredClone(definition.pins);
+        }
+        // Copied, so the inner circuit never writes into the definition it came from
+        this.inner = deserializeCircuit(structuredClone(this.circuit));
+        this.inner.modules = simulator.modules;
+        this.circuit = null;
+        return this.inner;
+    }
+
+    // Start over from the module's current definition
+    rebuild(simulator, x, y, z) {
+        this.inner = null;
+        this.circuit = null;
+        this.pins = null;
+        this.inputs = {};
+        this.outputs = {};
+        this.update(simulator, x, y, z);
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        this.update(simulator, x, y, z);
+    }
+
+    onGameTick(simulator, x, y, z) {
+        const inner = this.getInner(simulator);
+        if (!inner) return;
+        // Daylight sensors inside see the world's time
+        inner.dayTime = simulator.dayTime;
+        inner.tick();
+        this.update(simulator, x, y, z);
+    }
+
+    // Switch the inner inputs to match the power around the instance, then pass on the outputs
+    update(simulator, x, y, z) {
+        const inner = this.getInner(simulator);
+        if (!inner) return;
+        const rotation = this.getRotation(simulator, x, y, z);
+
+        this.pins.filter(pin => pin.kind === 'input').forEach(pin => {
+            const on = simulator.getPower(x, y, z, getPinSide(pin, rotation), false) > 0;
+            if (this.inputs[pin.name] === on) return;
+            this.inputs[pin.name] = on;
+            setInput(inner, pin.x, pin.y, pin.z, on);
+        });
+
+        let changed = false;
+        this.pins.filter(pin => pin.kind === 'output').forEach(pin => {
+            const power = readPower(inner, pin.x, pin.y, pin.z);
+            if (this.outputs[pin.name] === power) return;
+            this.outputs[pin.name] = power;
+            changed = true;
+        });
+        if (!changed) return;
+
+        this.powerLevel = Math.max(0, ...Object.values(this.outputs));
+        this.updateBlockState(simulator, x, y, z, { powered: this.powerLevel > 0, powerLevel: this.powerLevel });
+        simulator.notifyNeighbors(x, y, z);
+    }
+
+    getPin(simulator, x, y, z, direction) {
+        if (!this.pins) return null;
+        const rotation = this.getRotation(simulator, x, y, z);
+        return this.pins.find(pin => getPinSide(pin, rotation) === direction) || null;
+    }
+
+    // Output pins power what they point into, strongly like a repeater does
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        const pin = this.getPin(simulator, x, y, z, toDirection);
+        return pin && pin.kind === 'output' ? this.outputs[pin.name] || 0 : 0;
+    }
+
+    getStrongPowerOutput(simulator, x, y, z, toDirection) {
+        return this.getPowerOutput(simulator, x, y, z, toDirection);
+    }
+
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return Boolean(this.getPin(simulator, x, y, z, fromDirection));
+    }
+
+    // The nested simulator is saved as a circuit document, without the definitions it shares
+    serialize() {
+        let circuit = this.circuit;
+        if (this.inner) {
+            circuit = serializeCircuit(this.inner);
+            delete circuit.modules;
+        }
+        return {
+            powerLevel: this.powerLevel,
+            module: this.module,
+            pins: this.pins,
+            inputs: { ...this.inputs },
+            outputs: { ...this.outputs },
+            circuit
+        };
+    }
+
+    deserialize(state) {
+        Object.assign(this, structuredClone(state));
+        this.inner = null;
+    }
+}
+
+// A dark box with the module's name, and a notch on every pin: green for inputs, red for
+// outputs, lit while on. Pins on the top or bottom are listed in the corner instead.
+function drawModuleInstance(ctx, { px, py, size, blockState, component }) {
+    ctx.fillStyle = '#2b2d42';
+    ctx.fillRect(px, py, size, size);
+    ctx.strokeStyle = '#8d99ae';
+    ctx.lineWidth = Math.max(1, size / 16);
+    ctx.strokeRect(px + 0.5, py + 0.5, size - 1, size - 1);
+
+    const pins = component.pins || [];
+    const rotation = blockState.rotation || 0;
+    const notch = Math.max(2, size / 6);
+    pins.forEach(pin => {
+        const on = pin.kind === 'input' ? component.inputs[pin.name] : component.outputs[pin.name] > 0;
+        if (pin.kind === 'input') ctx.fillStyle = on ? '#7dff7d' : '#2e7d32';
+        else ctx.fillStyle = on ? '#ff4040' : '#7f1d1d';
+        const side = getPinSide(pin, rotation);
+        if (side >= 4) {
+            ctx.fillRect(px + size - notch - 1, side === Direction.UP ? py + 1 : py + size - notch - 1, notch, notch);
+            return;
+        }
+        const vec = Direction.toVector(side);
+        const cx = px + size / 2 + vec.x * (size - notch) / 2;
+        const cy = py + size / 2 + vec.y * (size - notch) / 2;
+        ctx.fillRect(cx - notch / 2, cy - notch / 2, notch, notch);
+    });
+
+    if (size < 12 || !component.module) return;
+    ctx.fillStyle = '#edf2f4';
+    ctx.font = `${Math.floor(size * 0.4)}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(component.module.slice(0, 3), px + size / 2, py + size / 2, size - 2 * notch);
+}
+
+defineComponent({
+    type: MODULE_TYPE,
+    component: ModuleInstanceComponent,
+    name: 'Module',
+    // Placed from the context menu, by module name
+    palette: false,
+    // Moving one would mean moving the circuit running inside it
+    pushReaction: 'block',
+    draw: drawModuleInstance
+});
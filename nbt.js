@@ -0,0 +1,286 @@
+// Minimal NBT (Named Binary Tag) reader/writer for Minecraft structure formats.
+// Tags are kept in tagged form ({ type, value }) so they can be written back
+// with the exact same types; use simplify() to get plain JS values for reading.
+
+export const TagType = {
+    END: 0,
+    BYTE: 1,
+    SHORT: 2,
+    INT: 3,
+    LONG: 4,
+    FLOAT: 5,
+    DOUBLE: 6,
+    BYTE_ARRAY: 7,
+    STRING: 8,
+    LIST: 9,
+    COMPOUND: 10,
+    INT_ARRAY: 11,
+    LONG_ARRAY: 12
+};
+
+export class NbtError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NbtError';
+    }
+}
+
+// Tag builders
+export const nbt = {
+    byte: (value) => ({ type: TagType.BYTE, value }),
+    short: (value) => ({ type: TagType.SHORT, value }),
+    int: (value) => ({ type: TagType.INT, value }),
+    long: (value) => ({ type: TagType.LONG, value: BigInt(value) }),
+    float: (value) => ({ type: TagType.FLOAT, value }),
+    double: (value) => ({ type: TagType.DOUBLE, value }),
+    string: (value) => ({ type: TagType.STRING, value }),
+    byteArray: (value) => ({ type: TagType.BYTE_ARRAY, value: Int8Array.from(value) }),
+    intArray: (value) => ({ type: TagType.INT_ARRAY, value: Int32Array.from(value) }),
+    longArray: (value) => ({ type: TagType.LONG_ARRAY, value: BigInt64Array.from(value, v => BigInt(v)) }),
+    // Items are tags of elementType; an empty list may use TagType.END
+    list: (elementType, items) => ({ type: TagType.LIST, value: { elementType, items } }),
+    compound: (entries) => ({ type: TagType.COMPOUND, value: entries })
+};
+
+class NbtReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+        this.decoder = new TextDecoder();
+    }
+
+    ensure(length) {
+        if (this.offset + length > this.bytes.byteLength) {
+            throw new NbtError('Unexpected end of NBT data.');
+        }
+    }
+
+    byte() { this.ensure(1); return this.view.getInt8(this.offset++); }
+    ubyte() { this.ensure(1); return this.view.getUint8(this.offset++); }
+    short() { this.ensure(2); const v = this.view.getInt16(this.offset); this.offset += 2; return v; }
+    ushort() { this.ensure(2); const v = this.view.getUint16(this.offset); this.offset += 2; return v; }
+    int() { this.ensure(4); const v = this.view.getInt32(this.offset); this.offset += 4; return v; }
+    long() { this.ensure(8); const v = this.view.getBigInt64(this.offset); this.offset += 8; return v; }
+    float() { this.ensure(4); const v = this.view.getFloat32(this.offset); this.offset += 4; return v; }
+    double() { this.ensure(8); const v = this.view.getFloat64(this.offset); this.offset += 8; return v; }
+
+    string() {
+        const length = this.ushort();
+        this.ensure(length);
+        const value = this.decoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+
+    arrayLength() {
+        const length = this.int();
+        if (length < 0) throw new NbtError(`Negative NBT array length: ${length}.`);
+        return length;
+    }
+
+    payload(type) {
+        switch (type) {
+            case TagType.BYTE: return this.byte();
+            case TagType.SHORT: return this.short();
+            case TagType.INT: return this.int();
+            case TagType.LONG: return this.long();
+            case TagType.FLOAT: return this.float();
+            case TagType.DOUBLE: return this.double();
+            case TagType.STRING: return this.string();
+            case TagType.BYTE_ARRAY: {
+                const length = this.arrayLength();
+                this.ensure(length);
+                const value = Int8Array.from(this.bytes.subarray(this.offset, this.offset + length));
+                this.offset += length;
+                return value;
+            }
+            case TagType.INT_ARRAY: {
+                const length = this.arrayLength();
+                const value = new Int32Array(length);
+                for (let i = 0; i < length; i++) value[i] = this.int();
+                return value;
+            }
+            case TagType.LONG_ARRAY: {
+                const length = this.arrayLength();
+                const value = new BigInt64Array(length);
+                for (let i = 0; i < length; i++) value[i] = this.long();
+                return value;
+            }
+            case TagType.LIST: {
+                const elementType = this.ubyte();
+                const length = this.arrayLength();
+                const items = [];
+                for (let i = 0; i < length; i++) {
+                    items.push({ type: elementType, value: this.payload(elementType) });
+                }
+                return { elementType, items };
+            }
+            case TagType.COMPOUND: {
+                const entries = {};
+                while (true) {
+                    const childType = this.ubyte();
+                    if (childType === TagType.END) break;
+                    const name = this.string();
+                    entries[name] = { type: childType, value: this.payload(childType) };
+                }
+                return entries;
+            }
+            default:
+                throw new NbtError(`Unknown NBT tag type ${type} at byte ${this.offset}.`);
+        }
+    }
+}
+
+class NbtWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1024);
+        this.view = new DataView(this.buffer.buffer);
+        this.offset = 0;
+        this.encoder = new TextEncoder();
+    }
+
+    reserve(length) {
+        if (this.offset + length <= this.buffer.length) return;
+        let size = this.buffer.length * 2;
+        while (size < this.offset + length) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this.buffer);
+        this.buffer = next;
+        this.view = new DataView(next.buffer);
+    }
+
+    byte(v) { this.reserve(1); this.view.setInt8(this.offset++, v); }
+    ubyte(v) { this.reserve(1); this.view.setUint8(this.offset++, v); }
+    short(v) { this.reserve(2); this.view.setInt16(this.offset, v); this.offset += 2; }
+    int(v) { this.reserve(4); this.view.setInt32(this.offset, v); this.offset += 4; }
+    long(v) { this.reserve(8); this.view.setBigInt64(this.offset, BigInt(v)); this.offset += 8; }
+    float(v) { this.reserve(4); this.view.setFloat32(this.offset, v); this.offset += 4; }
+    double(v) { this.reserve(8); this.view.setFloat64(this.offset, v); this.offset += 8; }
+
+    string(v) {
+        const encoded = this.encoder.encode(v);
+        if (encoded.length > 0xFFFF) throw new NbtError('NBT string is too long.');
+        this.reserve(2 + encoded.length);
+        this.view.setUint16(this.offset, encoded.length);
+        this.offset += 2;
+        this.buffer.set(encoded, this.offset);
+        this.offset += encoded.length;
+    }
+
+    payload(tag) {
+        const { type, value } = tag;
+        switch (type) {
+            case TagType.BYTE: return this.byte(value);
+            case TagType.SHORT: return this.short(value);
+            case TagType.INT: return this.int(value);
+            case TagType.LONG: return this.long(value);
+            case TagType.FLOAT: return this.float(value);
+            case TagType.DOUBLE: return this.double(value);
+            case TagType.STRING: return this.string(value);
+            case TagType.BYTE_ARRAY:
+                this.int(value.length);
+                this.reserve(value.length);
+                this.buffer.set(new Uint8Array(value.buffer, value.byteOffset, value.length), this.offset);
+                this.offset += value.length;
+                return;
+            case TagType.INT_ARRAY:
+                this.int(value.length);
+                for (const v of value) this.int(v);
+                return;
+            case TagType.LONG_ARRAY:
+                this.int(value.length);
+                for (const v of value) this.long(v);
+                return;
+            case TagType.LIST:
+                this.ubyte(value.items.length ? value.elementType : TagType.END);
+                this.int(value.items.length);
+                for (const item of value.items) {
+                    if (item.type !== value.elementType) {
+                        throw new NbtError(`NBT list of type ${value.elementType} contains a tag of type ${item.type}.`);
+                    }
+                    this.payload(item);
+                }
+                return;
+            case TagType.COMPOUND:
+                for (const [name, child] of Object.entries(value)) {
+                    this.ubyte(child.type);
+                    this.string(name);
+                    this.payload(child);
+                }
+                this.ubyte(TagType.END);
+                return;
+            default:
+                throw new NbtError(`Cannot write unknown NBT tag type ${type}.`);
+        }
+    }
+
+    result() {
+        return this.buffer.slice(0, this.offset);
+    }
+}
+
+// Parse an uncompressed NBT document. Returns the root name and the root tag.
+export function readNbt(bytes) {
+    const reader = new NbtReader(bytes);
+    const type = reader.ubyte();
+    if (type !== TagType.COMPOUND) {
+        throw new NbtError(`NBT root must be a compound tag (got type ${type}).`);
+    }
+    const name = reader.string();
+    const tag = { type, value: reader.payload(type) };
+    return { name, tag };
+}
+
+export function writeNbt(tag, name = '') {
+    const writer = new NbtWriter();
+    writer.ubyte(tag.type);
+    writer.string(name);
+    writer.payload(tag);
+    return writer.result();
+}
+
+// gzip via the Compression Streams API (browsers and Node 18+)
+async function pipeThrough(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+export function gzip(bytes) {
+    return pipeThrough(bytes, new CompressionStream('gzip'));
+}
+
+export function gunzip(bytes) {
+    return pipeThrough(bytes, new DecompressionStream('gzip'));
+}
+
+export function isGzipped(bytes) {
+    return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+// Read an NBT file that may or may not be gzip compressed
+export async function parseNbtFile(bytes) {
+    return readNbt(isGzipped(bytes) ? await gunzip(bytes) : bytes);
+}
+
+export async function writeNbtFile(tag, name = '') {
+    return gzip(writeNbt(tag, name));
+}
+
+// Convert a tagged value into plain JS (compounds -> objects, lists -> arrays).
+// Longs stay BigInt and typed arrays stay typed arrays.
+export function simplify(tag) {
+    switch (tag.type) {
+        case TagType.COMPOUND: {
+            const result = {};
+            for (const [name, child] of Object.entries(tag.value)) {
+                result[name] = simplify(child);
+            }
+            return result;
+        }
+        case TagType.LIST:
+            return tag.value.items.map(simplify);
+        default:
+            return tag.value;
+    }
+}
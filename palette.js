@@ -0,0 +1,197 @@
+import { RedstoneSimulator } from './simulator.js';
+import { COMPONENT_CATEGORIES } from './components.js';
+
+// Component palette, generated from the simulator's componentRegistry: every placeable block
+// with its icon, grouped by category, plus a search box, the recently used blocks and a
+// Minecraft-style hotbar. Keys 1-9 pick a hotbar slot; choosing a block from the palette (or
+// picking one off the canvas with the middle button) puts it in the current slot.
+
+const HOTBAR_SIZE = 9;
+const RECENT_LIMIT = 8;
+const ICON_SIZE = 24;
+
+// What the hotbar holds when the app starts
+const DEFAULT_HOTBAR = [
+    'minecraft:redstone_dust',
+    'minecraft:redstone_torch',
+    'minecraft:lever',
+    'minecraft:button',
+    'minecraft:repeater',
+    'minecraft:comparator',
+    'minecraft:piston',
+    'minecraft:sticky_piston',
+    'minecraft:stone'
+];
+
+export class Palette {
+    constructor(toolbar, simulator, renderer) {
+        this.toolbar = toolbar;
+        this.renderer = renderer;
+        this.list = toolbar.querySelector('#palette-list');
+        this.search = toolbar.querySelector('#palette-search');
+        this.recentBar = toolbar.querySelector('#palette-recent');
+        this.hotbarBar = toolbar.querySelector('#palette-hotbar');
+
+        this.entries = simulator.getPaletteEntries(); // [{ type, name, category, title }]
+        this.hotbar = Array.from({ length: HOTBAR_SIZE }, (_, i) => (this.findEntry(DEFAULT_HOTBAR[i]) ? DEFAULT_HOTBAR[i] : null));
+        this.hotbarSlot = 0;
+        this.recent = [];        // Most recent first
+        this.selected = null;    // Block type or tool ('select', 'erase')
+        this.onSelect = null;    // Callback with whatever was chosen
+        this.iconSimulators = new Map(); // type -> one-block simulator its icon is drawn from
+
+        this.search.addEventListener('input', () => this.filter(this.search.value));
+        this.search.addEventListener('keydown', (e) => this.handleSearchKey(e));
+
+        this.build();
+        this.renderHotbar();
+        this.renderRecent();
+        this.refreshIcons();
+    }
+
+    findEntry(type) {
+        return this.entries.find(entry => entry.type === type) || null;
+    }
+
+    // One section per category; blocks registered with a category of their own get theirs after the standard ones
+    build() {
+        this.list.innerHTML = '';
+        const categories = [...new Set([...Object.keys(COMPONENT_CATEGORIES), ...this.entries.map(entry => entry.category)])];
+        categories.forEach(category => {
+            const entries = this.entries.filter(entry => entry.category === category);
+            if (entries.length === 0) return;
+            const section = document.createElement('div');
+            section.className = 'palette-category';
+            const heading = document.createElement('h4');
+            heading.textContent = COMPONENT_CATEGORIES[category] || category;
+            section.appendChild(heading);
+            entries.forEach(entry => section.appendChild(this.createButton(entry, true)));
+            this.list.appendChild(section);
+        });
+    }
+
+    createButton(entry, labelled) {
+        const button = document.createElement('button');
+        button.className = labelled ? 'component-button palette-button' : 'component-button palette-icon-button';
+        button.dataset.component = entry.type;
+        button.title = entry.title ? `${entry.name}: ${entry.title}` : entry.name;
+        button.appendChild(this.createIcon(entry.type));
+        if (labelled) {
+            const label = document.createElement('span');
+            label.textContent = entry.name;
+            button.appendChild(label);
+        }
+        button.classList.toggle('active', entry.type === this.selected);
+        button.addEventListener('click', () => this.select(entry.type));
+        return button;
+    }
+
+    createIcon(type) {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'palette-icon';
+        canvas.width = ICON_SIZE;
+        canvas.height = ICON_SIZE;
+        canvas.dataset.icon = type;
+        this.drawIcon(canvas);
+        return canvas;
+    }
+
+    drawIcon(canvas) {
+        const type = canvas.dataset.icon;
+        if (!this.iconSimulators.has(type)) {
+            const simulator = new RedstoneSimulator(1, 1, 1);
+            simulator.createEntity(type, 0, 0, 0);
+            this.iconSimulators.set(type, simulator);
+        }
+        this.renderer.drawIcon(canvas, this.iconSimulators.get(type));
+    }
+
+    // Draw every icon, then again as the textures they asked for arrive
+    async refreshIcons() {
+        for (let pass = 0; pass < 3; pass++) {
+            this.toolbar.querySelectorAll('canvas.palette-icon').forEach(canvas => this.drawIcon(canvas));
+            await this.renderer.texturesLoaded();
+        }
+        this.toolbar.querySelectorAll('canvas.palette-icon').forEach(canvas => this.drawIcon(canvas));
+    }
+
+    renderHotbar() {
+        this.hotbarBar.innerHTML = '';
+        this.hotbar.forEach((type, index) => {
+            const slot = document.createElement('div');
+            slot.className = 'hotbar-slot';
+            slot.classList.toggle('current', index === this.hotbarSlot);
+            const entry = type && this.findEntry(type);
+            slot.title = `${index + 1}: ${entry ? entry.name : 'empty'}`;
+            if (entry) slot.appendChild(this.createIcon(type));
+            const number = document.createElement('span');
+            number.textContent = index + 1;
+            slot.appendChild(number);
+            slot.addEventListener('click', () => this.selectSlot(index));
+            this.hotbarBar.appendChild(slot);
+        });
+    }
+
+    renderRecent() {
+        this.recentBar.innerHTML = '';
+        this.recent.forEach(type => this.recentBar.appendChild(this.createButton(this.findEntry(type), false)));
+        this.recentBar.style.display = this.recent.length > 0 ? '' : 'none';
+    }
+
+    // Choose a block type or tool
+    select(type) {
+        if (this.findEntry(type)) {
+            // Like Minecraft's creative inventory: a block already on the hotbar is switched to,
+            // anything else goes into the current slot
+            const slot = this.hotbar.indexOf(type);
+            if (slot !== -1) this.hotbarSlot = slot;
+            else this.hotbar[this.hotbarSlot] = type;
+            this.recent = [type, ...this.recent.filter(recent => recent !== type)].slice(0, RECENT_LIMIT);
+            this.renderHotbar();
+            this.renderRecent();
+        }
+        this.selected = type;
+        this.toolbar.querySelectorAll('.component-button').forEach(button => {
+            button.classList.toggle('active', button.dataset.component === type);
+        });
+        if (this.onSelect) this.onSelect(type);
+    }
+
+    selectSlot(index) {
+        this.hotbarSlot = index;
+        if (this.hotbar[index]) this.select(this.hotbar[index]);
+        else this.renderHotbar();
+    }
+
+    // Middle click on the canvas; piston heads and the like aren't in the palette
+    pick(type) {
+        if (this.findEntry(type)) this.select(type);
+    }
+
+    // Show the blocks whose name or id contains the search text
+    filter(text) {
+        const query = text.trim().toLowerCase();
+        this.list.querySelectorAll('.palette-category').forEach(section => {
+            let visible = 0;
+            section.querySelectorAll('.palette-button').forEach(button => {
+                const entry = this.findEntry(button.dataset.component);
+                const match = !query || entry.name.toLowerCase().includes(query) || entry.type.includes(query);
+                button.style.display = match ? '' : 'none';
+                if (match) visible++;
+            });
+            section.style.display = visible > 0 ? '' : 'none';
+        });
+    }
+
+    // Enter takes the first match, Escape clears the search
+    handleSearchKey(e) {
+        if (e.key === 'Enter') {
+            const first = [...this.list.querySelectorAll('.palette-button')].find(button => button.style.display !== 'none');
+            if (first) this.select(first.dataset.component);
+        } else if (e.key === 'Escape') {
+            this.search.value = '';
+            this.filter('');
+            this.search.blur();
+        }
+    }
+}
@@ -1,3 +1,5 @@
+import { getComponentDefinition, getDefinitionTexture, getDefinitionTextureKey } from './components.js';
+
 /**
  * TextureManager - Simple local texture loader
  */
@@ -23,12 +25,21 @@ class TextureManager {
       'minecraft:comparator_on': 'comparator_on.png',
       'minecraft:piston': 'piston_top.png',
       'minecraft:sticky_piston': 'piston_top_sticky.png',
+      'minecraft:piston_bottom': 'piston_bottom.png',
       'minecraft:piston_inner': 'piston_inner.png',
       'minecraft:observer': 'observer_top.png',
       'minecraft:observer_on': 'observer_top.png',
+      'minecraft:observer_front': 'observer_front.png',
+      'minecraft:observer_back': 'observer_back.png',
+      'minecraft:observer_back_on': 'observer_back_on.png',
       'minecraft:redstone_block': 'redstone_block.png',
       'minecraft:stone': 'stone.png',
-      'minecraft:piston_head': 'piston_top.png'
+      'minecraft:piston_head': 'piston_top.png',
+      'minecraft:redstone_lamp': 'redstone_lamp.png',
+      'minecraft:redstone_lamp_on': 'redstone_lamp_on.png',
+      'minecraft:iron_door': 'iron_door_top.png',
+      'minecraft:iron_trapdoor': 'iron_trapdoor.png',
+      'minecraft:note_block': 'note_block.png'
     };
     
     // Preload map for redstone logic
@@ -45,13 +56,15 @@ class TextureManager {
     if (this.cache.has(key)) return this.cache.get(key);
     if (this.loading.has(key)) return this.loading.get(key);
 
-    const filename = this.textureMapping[key];
+    // Blocks from component definitions bring their own textures
+    const filename = this.textureMapping[key] || getDefinitionTexture(key);
     if (!filename) {
         console.warn(`No texture mapping for ${key}`);
         return this._createPlaceholder();
     }
 
-    const url = this.basePath + filename;
+    // Plain file names live in basePath; paths and URLs are used as they are
+    const url = /[/:]/.test(filename) ? filename : this.basePath + filename;
 
     const promise = this._loadImage(url)
       .then(img => {
@@ -94,6 +107,37 @@ class TextureManager {
   }
 }
 
+// Blocks with no texture in textures/block, drawn as a coloured square with a darker frame
+const FLAT_BLOCK_COLORS = {
+    'minecraft:slime_block': { fill: 'rgba(120, 200, 90, 0.85)', frame: '#4e8f3a' },
+    'minecraft:honey_block': { fill: 'rgba(240, 165, 40, 0.85)', frame: '#b8741a' },
+    'minecraft:obsidian': { fill: '#1b1029', frame: '#3b2a55' },
+    'minecraft:bedrock': { fill: '#575757', frame: '#2e2e2e' },
+    'minecraft:chest': { fill: '#a8742c', frame: '#5e3d12' },
+    'minecraft:barrel': { fill: '#8a6333', frame: '#4d3418' },
+    'minecraft:hopper': { fill: '#4a4a4a', frame: '#262626' },
+    'minecraft:dropper': { fill: '#7a7a7a', frame: '#3c3c3c' },
+    'minecraft:dispenser': { fill: '#858585', frame: '#5a4632' },
+    'minecraft:composter': { fill: '#7a5a2e', frame: '#3f2c12' },
+    'minecraft:cake': { fill: '#f2e6d8', frame: '#c0392b' }
+};
+
+// Oak planks, for wooden buttons and the like
+const WOOD_COLOR = '#a0793d';
+
+const PRESSURE_PLATE_COLORS = {
+    'minecraft:stone_pressure_plate': '#8f8f8f',
+    'minecraft:wooden_pressure_plate': WOOD_COLOR,
+    'minecraft:light_weighted_pressure_plate': '#e8c33a',
+    'minecraft:heavy_weighted_pressure_plate': '#c9c9c9'
+};
+
+// Defined blocks with neither textures nor a colour of their own
+const DEFAULT_DEFINED_BLOCK_COLOR = { fill: '#6b5d8f', frame: '#3d3357' };
+
+// Flat blocks whose facing matters get a notch on the side they face
+const FACING_BLOCKS = new Set(['minecraft:barrel', 'minecraft:hopper', 'minecraft:dropper', 'minecraft:dispenser']);
+
 export class Renderer {
     constructor(canvas, ctx) {
         this.canvas = canvas;
@@ -108,6 +152,14 @@ export class Renderer {
         this.redstoneCache = new Map(); // Cache for tinted textures: power -> { dot, line0, line1 }
         this.debugMode = false;
         this.showQuasiConnectivity = true;
+        this.selection = null;     // Set by InputManager: { x, y, width, height }
+        this.pastePreview = null;  // Set by InputManager: { simulator, x, y } ghost of the clipboard
+        this.activeLayer = 0;      // Set by InputManager: z of the layer being edited
+        this.ghostAlphaBelow = 0.3; // Neighbouring layers are drawn faded for context
+        this.ghostAlphaAbove = 0.15;
+        this.testHighlights = [];  // Set by the testbench panel: [{ x, y, z }] of failing outputs
+        this.analyzer = null;      // Set by main: logic analyzer whose probes are marked on the board
+        this.partialTick = 0;      // Set by main: how far (0-1) the simulation is towards its next tick
 
         // instantiate texture manager (local)
         this.textureManager = new TextureManager('./textures/block/');
@@ -200,32 +252,233 @@ export class Renderer {
         // Draw grid
         this.drawGrid(width, height, offsetX, offsetY);
 
-        // Draw entities (non-blocking: textures may still be loading)
-        entities.forEach(({ id, components }) => {
+        // Draw the layers below and above faded, then the active layer on top
+        // (non-blocking: textures may still be loading)
+        const layer = this.activeLayer;
+        this.drawLayer(entities, layer - 1, this.ghostAlphaBelow, offsetX, offsetY, simulator);
+        this.drawLayer(entities, layer + 1, this.ghostAlphaAbove, offsetX, offsetY, simulator);
+        this.drawLayer(entities, layer, 1, offsetX, offsetY, simulator);
+
+        if (this.pastePreview) {
+            this.drawPastePreview(offsetX, offsetY);
+        }
+
+        if (this.selection) {
+            this.drawSelection(this.selection, offsetX, offsetY);
+        }
+
+        // Probes belong to the circuit the analyzer records, not to a module shown over it
+        if (this.analyzer && this.analyzer.probes.length > 0 && this.analyzer.simulator === simulator) {
+            this.drawProbes(offsetX, offsetY);
+        }
+
+        if (simulator.testbench || this.testHighlights.length > 0) {
+            this.drawTestbench(simulator, offsetX, offsetY);
+        }
+
+        // Draw debug overlays
+        if (this.debugMode) {
+            this.drawDebugOverlays(simulator, offsetX, offsetY);
+        }
+    }
+
+    drawLayer(entities, z, alpha, offsetX, offsetY, simulator) {
+        this.ctx.save();
+        this.ctx.globalAlpha = alpha;
+        entities.forEach(({ components }) => {
             const position = components.get('position');
             const blockState = components.get('blockState');
-            const redstone = components.get('redstone');
 
-            if (position && blockState) {
+            if (position && blockState && (position.z || 0) === z) {
                 this.drawEntity(
                     position.x,
                     position.y,
+                    position.z || 0,
                     blockState,
-                    redstone,
+                    components.get('redstone'),
                     offsetX,
                     offsetY,
                     simulator
                 );
             }
         });
+        this.ctx.restore();
+    }
 
-        // Draw debug overlays
-        if (this.debugMode) {
-            this.drawDebugOverlays(simulator, offsetX, offsetY);
+    drawSelection(rect, offsetX, offsetY) {
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(80, 160, 255, 0.15)';
+        this.ctx.strokeStyle = '#50a0ff';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([6, 4]);
+        const px = offsetX + rect.x * this.cellSize;
+        const py = offsetY + rect.y * this.cellSize;
+        this.ctx.fillRect(px, py, rect.width * this.cellSize, rect.height * this.cellSize);
+        this.ctx.strokeRect(px, py, rect.width * this.cellSize, rect.height * this.cellSize);
+        this.ctx.restore();
+    }
+
+    drawPastePreview(offsetX, offsetY) {
+        const { simulator, x, y } = this.pastePreview;
+        const ghostX = offsetX + x * this.cellSize;
+        const ghostY = offsetY + y * this.cellSize;
+
+        // Clipboard z is relative to the layer it will be pasted on
+        const entities = simulator.entityManager.getEntitiesWithComponent('position');
+        this.drawLayer(entities, -1, 0.15, ghostX, ghostY, simulator);
+        this.drawLayer(entities, 0, 0.5, ghostX, ghostY, simulator);
+
+        this.drawSelection({ x, y, width: simulator.width, height: simulator.height }, offsetX, offsetY);
+    }
+
+    // A small yellow flag in the top right corner of every probed cell on the active layer
+    drawProbes(offsetX, offsetY) {
+        const size = this.cellSize;
+        this.ctx.save();
+        this.ctx.fillStyle = '#ffd800';
+        this.ctx.strokeStyle = '#000';
+        this.ctx.lineWidth = 1;
+        this.analyzer.probes.forEach(({ x, y, z }) => {
+            if (z !== this.activeLayer) return;
+            const px = offsetX + (x + 1) * size;
+            const py = offsetY + y * size;
+            this.ctx.beginPath();
+            this.ctx.moveTo(px, py);
+            this.ctx.lineTo(px - size * 0.4, py);
+            this.ctx.lineTo(px, py + size * 0.4);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    // Name tags for the testbench inputs (green) and outputs (blue) on the active layer,
+    // and a red frame around every output that failed the last test run
+    drawTestbench(simulator, offsetX, offsetY) {
+        const layer = this.activeLayer;
+        const size = this.cellSize;
+        this.ctx.save();
+
+        this.ctx.strokeStyle = '#ff3030';
+        this.ctx.lineWidth = 3;
+        this.testHighlights.forEach(({ x, y, z }) => {
+            if (z !== layer) return;
+            this.ctx.strokeRect(offsetX + x * size - 1.5, offsetY + y * size - 1.5, size + 3, size + 3);
+        });
+
+        if (simulator.testbench) {
+            this.ctx.font = `${Math.max(9, Math.floor(size * 0.6))}px sans-serif`;
+            this.ctx.textAlign = 'left';
+            this.ctx.textBaseline = 'bottom';
+            for (const [kind, color] of [['inputs', '#2e9d4a'], ['outputs', '#3a78d8']]) {
+                for (const [name, { x, y, z }] of Object.entries(simulator.testbench[kind])) {
+                    if (z !== layer) continue;
+                    const px = offsetX + x * size;
+                    const py = offsetY + y * size;
+                    const textWidth = this.ctx.measureText(name).width;
+                    this.ctx.fillStyle = color;
+                    this.ctx.fillRect(px, py - size * 0.7, textWidth + 4, size * 0.7);
+                    this.ctx.fillStyle = '#fff';
+                    this.ctx.fillText(name, px + 2, py);
+                }
+            }
         }
+
+        this.ctx.restore();
+    }
+
+    toggleDebugMode() {
+        this.debugMode = !this.debugMode;
+        const panel = document.getElementById('debug-info');
+        if (panel) panel.style.display = this.debugMode ? 'block' : 'none';
     }
 
-    drawRedstoneDust(px, py, blockState, redstone, x, y, simulator) {
+    toggleQuasiConnectivity() {
+        this.showQuasiConnectivity = !this.showQuasiConnectivity;
+    }
+
+    drawDebugOverlays(simulator, offsetX, offsetY) {
+        const entityCount = document.getElementById('entity-count');
+        if (entityCount) entityCount.textContent = simulator.entityManager.entities.size;
+        const scheduledTicks = document.getElementById('scheduled-ticks');
+        if (scheduledTicks) scheduledTicks.textContent = simulator.nextTickList.length;
+
+        const layer = this.activeLayer;
+        this.ctx.save();
+
+        // Cells with a pending scheduled tick
+        this.ctx.strokeStyle = '#ffd800';
+        this.ctx.lineWidth = 1;
+        simulator.nextTickList.forEach(tick => {
+            if ((tick.z || 0) !== layer) return;
+            this.ctx.strokeRect(offsetX + tick.x * this.cellSize + 1.5, offsetY + tick.y * this.cellSize + 1.5,
+                this.cellSize - 3, this.cellSize - 3);
+        });
+
+        // Power level of every powered component (dust prints its own)
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = `${Math.max(8, Math.floor(this.cellSize * 0.4))}px monospace`;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        simulator.entityManager.getEntitiesWithComponent('redstone').forEach(({ components }) => {
+            const position = components.get('position');
+            const redstone = components.get('redstone');
+            if ((position.z || 0) !== layer || simulator.isDust(position.x, position.y, layer)) return;
+            if (redstone.powerLevel > 0) {
+                this.ctx.fillText(redstone.powerLevel, offsetX + position.x * this.cellSize + 1, offsetY + (position.y + 1) * this.cellSize);
+            }
+        });
+
+        this.ctx.restore();
+
+        if (this.showQuasiConnectivity) {
+            this.drawQuasiConnectivity(simulator, offsetX, offsetY);
+        }
+    }
+
+    // For each piston on the active layer, mark the cells that would power it through
+    // quasi-connectivity: diagonally above (drawn over their x,y) and two above (over the
+    // piston). Filled markers are powered right now. A piston whose state doesn't match
+    // its power is waiting for a block update (BUD) and gets a red frame.
+    drawQuasiConnectivity(simulator, offsetX, offsetY) {
+        const layer = this.activeLayer;
+        const size = this.cellSize;
+        this.ctx.save();
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([3, 2]);
+
+        simulator.entityManager.getEntitiesWithComponent('redstone').forEach(({ components }) => {
+            const position = components.get('position');
+            const redstone = components.get('redstone');
+            if ((position.z || 0) !== layer || typeof redstone.shouldExtend !== 'function') return;
+
+            simulator.getQuasiConnectivitySources(position.x, position.y, layer).forEach(source => {
+                const px = offsetX + source.x * size;
+                const py = offsetY + source.y * size;
+                const inset = source.z > layer + 1 ? size * 0.3 : size * 0.15; // Two above: smaller box
+                if (source.power > 0) {
+                    this.ctx.fillStyle = 'rgba(255, 140, 0, 0.35)';
+                    this.ctx.fillRect(px + inset, py + inset, size - inset * 2, size - inset * 2);
+                }
+                this.ctx.strokeStyle = source.power > 0 ? '#ff8c00' : 'rgba(255, 140, 0, 0.5)';
+                this.ctx.strokeRect(px + inset, py + inset, size - inset * 2, size - inset * 2);
+            });
+
+            if (redstone.shouldExtend(simulator, position.x, position.y, layer) !== redstone.extended) {
+                this.ctx.strokeStyle = '#ff3030';
+                this.ctx.setLineDash([]);
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(offsetX + position.x * size + 1, offsetY + position.y * size + 1, size - 2, size - 2);
+                this.ctx.lineWidth = 1;
+                this.ctx.setLineDash([3, 2]);
+            }
+        });
+
+        this.ctx.restore();
+    }
+
+    drawRedstoneDust(px, py, blockState, redstone, x, y, z, simulator) {
         const power = redstone ? redstone.powerLevel : 0;
         
         // Ensure we have tinted textures for this power level
@@ -238,10 +491,10 @@ export class Renderer {
             return;
         }
 
-        const connections = this.getRedstoneConnections(simulator, x, y);
+        const connections = this.getRedstoneConnections(simulator, x, y, z);
         const { north, south, east, west } = connections;
         
-        // Determine if we are just a dot (no connections)
+        // A dot points nowhere
         const isDot = !north && !south && !east && !west;
 
         this.ctx.save();
@@ -437,100 +690,17 @@ export class Renderer {
         return `rgb(${val}, 0, 0)`;
     }
 
-    getRedstoneConnections(simulator, x, y) {
-        const check = (dx, dy, dir) => {
-            const nx = x + dx;
-            const ny = y + dy;
-            const neighbor = simulator.getBlockEntity(nx, ny);
-            if (!neighbor) return false;
-            
-            const blockState = neighbor.components.get('blockState');
-            if (!blockState) return false;
-            const type = blockState.type;
-            
-            // 1. Connect to other Redstone Dust
-            if (type === 'minecraft:redstone_dust') return true;
-
-            // 2. Connect to Redstone Block
-            if (type === 'minecraft:redstone_block') return true;
-
-            // 3. Connect to specific components based on their orientation
-            if (type.includes('repeater') || type.includes('comparator')) {
-                // Connect only to the Front (Input) or Back (Output)
-                // Repeater facing North (0): Input from South (2), Output to North (0)
-                // So if we are South of it (dy=+1), we connect to its Input.
-                // If we are North of it (dy=-1), we connect to its Output.
-                // We are at (x,y). Neighbor is at (x+dx, y+dy).
-                // "dir" is the direction FROM us TO neighbor.
-                // e.g. check(0, -1, NORTH): Neighbor is North.
-                // If Neighbor is Repeater Facing North (0):
-                // It outputs North. We are South of it? No, we are South of the neighbor relative to the neighbor?
-                // Neighbor is at (0, -1). We are at (0, 0). We are South of the neighbor.
-                // Neighbor outputs North. So it outputs AWAY from us. We don't connect?
-                // Wait.
-                // Repeater (at 0,-1) Facing North (0).
-                // Output is at (0, -2). Input is at (0, 0).
-                // We are at (0, 0). So we are at the Input.
-                // So we connect.
-                
-                const rot = blockState.rotation || 0;
-                
-                // If neighbor is facing TOWARDS us, we connect (Output)
-                // Neighbor pos: (nx, ny). Facing: rot.
-                // Output pos: (nx + vec(rot).x, ny + vec(rot).y)
-                // If Output pos == (x, y), then it faces us.
-                
-                // If neighbor is facing AWAY from us, we connect (Input)
-                // Input pos: (nx - vec(rot).x, ny - vec(rot).y) -> actually (nx + vec(rot+2).x...)
-                // If Input pos == (x, y), then we are at its input.
-                
-                const vec = this.getDirectionVector(rot);
-                // Check if we are at Output
-                if (nx + vec.x === x && ny + vec.y === y) return true;
-                
-                // Check if we are at Input (Back)
-                const backVec = this.getDirectionVector((rot + 2) % 4);
-                if (nx + backVec.x === x && ny + backVec.y === y) return true;
-                
-                return false;
-            }
-
-            if (type.includes('observer')) {
-                // Observer Output is at the Back.
-                // If we are at the Back, we connect.
-                const rot = blockState.rotation || 0;
-                // Facing is Input (Face). Back is Output.
-                const backVec = this.getDirectionVector((rot + 2) % 4);
-                if (nx + backVec.x === x && ny + backVec.y === y) return true;
-                return false;
-            }
-            
-            // 4. Connect to Inputs/Outputs (Levers, Buttons, Pistons, Lamps, Torches)
-            // Most of these connect on all sides (or at least visual dust connects to them)
-            // Stone does not connect.
-            if (type === 'minecraft:stone') return false;
-            
-            // Pistons connect on all sides? 
-            // In Java, dust connects to Piston (it can power it).
-            if (type.includes('piston')) return true;
-            
-            // Levers/Buttons connect
-            if (type === 'minecraft:lever' || type === 'minecraft:button') return true;
-            
-            // Torches
-            if (type.includes('torch')) return true;
-
-            // Generic fallback: if it has redstone component, connect (unless excluded above)
-            if (neighbor.components.has('redstone')) return true;
-            
-            return false;
-        };
-
+    // Which arms of the dust to draw. The simulator decides where dust points (and so
+    // which blocks it powers), so the picture always matches the logic.
+    getRedstoneConnections(simulator, x, y, z = 0) {
+        const entity = simulator.getBlockEntity(x, y, z);
+        const dust = entity && entity.components.get('redstone');
+        const pointed = dust ? dust.getPointedDirections(simulator, x, y, z) : [];
         return {
-            north: check(0, -1, 0),
-            south: check(0, 1, 2),
-            west: check(-1, 0, 3),
-            east: check(1, 0, 1)
+            north: pointed.includes(0),
+            east: pointed.includes(1),
+            south: pointed.includes(2),
+            west: pointed.includes(3)
         };
     }
 
@@ -563,21 +733,87 @@ export class Renderer {
         }
     }
 
-    drawEntity(x, y, blockState, redstone, offsetX, offsetY, simulator) {
+    drawEntity(x, y, z, blockState, redstone, offsetX, offsetY, simulator) {
         const px = offsetX + x * this.cellSize;
         const py = offsetY + y * this.cellSize;
         const type = blockState.type;
 
+        const definition = getComponentDefinition(type);
+        if (definition) {
+            this.drawDefinedBlock(px, py, x, y, z, definition, blockState, redstone, simulator);
+            return;
+        }
+
         if (type === 'minecraft:redstone_dust') {
-            this.drawRedstoneDust(px, py, blockState, redstone, x, y, simulator);
+            this.drawRedstoneDust(px, py, blockState, redstone, x, y, z, simulator);
             return;
         }
 
-        if (type === 'minecraft:button') {
+        if (type === 'minecraft:button' || type === 'minecraft:wooden_button') {
             this.drawButton(px, py, blockState, redstone);
             return;
         }
 
+        if (PRESSURE_PLATE_COLORS[type]) {
+            this.drawPressurePlate(px, py, PRESSURE_PLATE_COLORS[type], redstone);
+            return;
+        }
+
+        if (type === 'minecraft:target') {
+            this.drawTarget(px, py, redstone);
+            return;
+        }
+
+        if (type === 'minecraft:daylight_sensor') {
+            this.drawDaylightSensor(px, py, redstone);
+            return;
+        }
+
+        if (type === 'minecraft:tripwire') {
+            this.drawTripwire(px, py, x, y, z, redstone, simulator);
+            return;
+        }
+
+        if (type === 'minecraft:tripwire_hook') {
+            this.drawTripwireHook(px, py, blockState, redstone);
+            return;
+        }
+
+        if (type === 'minecraft:moving_piston') {
+            this.drawMovingBlock(x, y, z, redstone, offsetX, offsetY, simulator);
+            return;
+        }
+
+        if (type === 'designer:placeholder') {
+            this.drawPlaceholder(px, py);
+            return;
+        }
+
+        if (type === 'minecraft:glass') {
+            this.drawGlass(px, py);
+            return;
+        }
+
+        if (type === 'minecraft:item_frame') {
+            this.drawItemFrame(px, py, blockState, redstone);
+            return;
+        }
+
+        if (type === 'minecraft:iron_door' || type === 'minecraft:iron_trapdoor') {
+            this.drawDoor(px, py, blockState);
+            return;
+        }
+
+        if (FLAT_BLOCK_COLORS[type]) {
+            this.drawFlatBlock(px, py, FLAT_BLOCK_COLORS[type]);
+            if (FACING_BLOCKS.has(type)) this.drawFacingNotch(px, py, blockState.rotation || 0);
+            // Containers, cake and composters show what a comparator would read from them
+            if (redstone && typeof redstone.getComparatorOutput === 'function') {
+                this.drawSignalBar(px, py, redstone.getComparatorOutput(simulator, x, y, z));
+            }
+            return;
+        }
+
         let textureKey = type;
         if (type.includes('torch') && (!redstone || !redstone.isPowered)) {
             textureKey = 'minecraft:redstone_torch_off';
@@ -587,6 +823,20 @@ export class Renderer {
             textureKey = 'minecraft:comparator_on';
         } else if (type.includes('observer') && redstone && redstone.isPowered) {
             textureKey = 'minecraft:observer_on';
+        } else if (type === 'minecraft:redstone_lamp' && blockState.lit) {
+            textureKey = 'minecraft:redstone_lamp_on';
+        }
+
+        // Blocks facing up or down are seen end-on from above, so use the matching face
+        // instead of rotating the side texture
+        const rotation = blockState.rotation || 0;
+        const vertical = rotation === 4 || rotation === 5;
+        if (vertical && type.includes('observer')) {
+            const powered = redstone && redstone.isPowered;
+            textureKey = rotation === 4 ? 'minecraft:observer_front'
+                : (powered ? 'minecraft:observer_back_on' : 'minecraft:observer_back');
+        } else if (rotation === 5 && type.includes('piston') && !type.includes('head')) {
+            textureKey = 'minecraft:piston_bottom';
         }
 
         const texture = this.loadedTextures.get(textureKey);
@@ -594,8 +844,7 @@ export class Renderer {
             this.ctx.save();
             this.ctx.translate(px + this.cellSize / 2, py + this.cellSize / 2);
             
-            const rotation = blockState.rotation || 0;
-            this.ctx.rotate(rotation * Math.PI / 2);
+            if (!vertical) this.ctx.rotate(rotation * Math.PI / 2);
 
             if (type.includes('piston') && blockState.extended) {
                 // Draw piston base (inner part)
@@ -606,8 +855,19 @@ export class Renderer {
             } else {
                 this.ctx.drawImage(texture, -this.cellSize / 2, -this.cellSize / 2, this.cellSize, this.cellSize);
             }
+
+            if (type.includes('repeater') && blockState.locked) {
+                this.drawLockBar();
+            }
             
             this.ctx.restore();
+
+            if (vertical && !type.includes('torch')) {
+                this.drawVerticalMarker(px, py, rotation);
+            }
+            if (type === 'minecraft:note_block' && redstone) {
+                this.drawCellLabel(px, py, redstone.note);
+            }
         } else {
             // Fallback for loading textures
             this.textureManager.load(textureKey).then(img => {
@@ -616,9 +876,370 @@ export class Renderer {
         }
     }
 
+    // Palette icon: the block at 0,0,0 of a one-block scratch simulator, drawn to fill a
+    // small canvas. Textures load on first use, so icons are redrawn once texturesLoaded() settles.
+    drawIcon(canvas, simulator) {
+        const entity = simulator.getBlockEntity(0, 0, 0);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!entity) return;
+
+        const saved = { ctx: this.ctx, cellSize: this.cellSize };
+        this.ctx = ctx;
+        this.cellSize = canvas.width;
+        ctx.imageSmoothingEnabled = false;
+        try {
+            this.drawEntity(0, 0, 0, entity.components.get('blockState'), entity.components.get('redstone'), 0, 0, simulator);
+        } finally {
+            this.ctx = saved.ctx;
+            this.cellSize = saved.cellSize;
+        }
+    }
+
+    // Resolves once every texture requested so far has loaded (or failed)
+    texturesLoaded() {
+        return Promise.all([...this.textureManager.loading.values()]);
+    }
+
+    // Blocks from component definitions (components.js): their own draw function, or the
+    // texture for their state turned to their rotation, or a flat square
+    drawDefinedBlock(px, py, x, y, z, definition, blockState, redstone, simulator) {
+        if (definition.draw) {
+            this.ctx.save();
+            definition.draw(this.ctx, { px, py, size: this.cellSize, blockState, component: redstone, simulator, x, y, z });
+            this.ctx.restore();
+            return;
+        }
+
+        const rotation = blockState.rotation || 0;
+        const vertical = rotation === 4 || rotation === 5;
+        if (!definition.textures) {
+            this.drawFlatBlock(px, py, definition.color || DEFAULT_DEFINED_BLOCK_COLOR);
+            if (!definition.rotations || definition.rotations.length > 1) this.drawFacingNotch(px, py, rotation);
+            return;
+        }
+
+        let state = definition.getTextureState ? definition.getTextureState(blockState, redstone) : 'default';
+        if (!definition.textures[state]) state = 'default';
+        const textureKey = getDefinitionTextureKey(definition.type, state);
+        const texture = this.loadedTextures.get(textureKey);
+        if (!texture) {
+            this.textureManager.load(textureKey).then(img => {
+                this.loadedTextures.set(textureKey, img);
+            });
+            return;
+        }
+
+        this.ctx.save();
+        this.ctx.translate(px + this.cellSize / 2, py + this.cellSize / 2);
+        if (!vertical) this.ctx.rotate(rotation * Math.PI / 2);
+        this.ctx.drawImage(texture, -this.cellSize / 2, -this.cellSize / 2, this.cellSize, this.cellSize);
+        this.ctx.restore();
+        if (vertical) this.drawVerticalMarker(px, py, rotation);
+    }
+
+    // A block a piston is moving sits in the cell it's heading for; draw it sliding in from
+    // the cell it left. A retracting piston base is drawn extended with its head sliding in.
+    // Blocks moving up or down just appear in their new layer.
+    drawMovingBlock(x, y, z, moving, offsetX, offsetY, simulator) {
+        const progress = moving.getProgress(simulator, this.partialTick);
+        const vec = this.getDirectionVector(moving.direction);
+        const lag = 1 - progress;
+
+        if (moving.source && !moving.extending) {
+            const facing = moving.blockState.rotation || 0;
+            this.drawEntity(x, y, z, { ...moving.blockState, extended: true }, null, offsetX, offsetY, simulator);
+            const head = { type: 'minecraft:piston_head', rotation: facing, isSticky: moving.blockState.type === 'minecraft:sticky_piston' };
+            this.drawEntity(x - vec.x * lag, y - vec.y * lag, z, head, null, offsetX, offsetY, simulator);
+            return;
+        }
+
+        const component = moving.createComponent(simulator);
+        this.drawEntity(x - vec.x * lag, y - vec.y * lag, z, moving.blockState, component, offsetX, offsetY, simulator);
+    }
+
+    // The bedrock bar across a locked repeater, drawn in the repeater's rotated frame
+    // (output at the top) where its delay torch would be
+    drawLockBar() {
+        const unit = this.cellSize / 16;
+        this.ctx.fillStyle = '#6f6f6f';
+        this.ctx.strokeStyle = '#262626';
+        this.ctx.lineWidth = Math.max(1, unit / 2);
+        this.ctx.fillRect(-6 * unit, 1 * unit, 12 * unit, 2.5 * unit);
+        this.ctx.strokeRect(-6 * unit, 1 * unit, 12 * unit, 2.5 * unit);
+    }
+
+    // Seen from above, a door is a thin slab along the back of its cell (away from where it
+    // faces) and swings round to the clockwise edge when open. A shut trapdoor covers the
+    // whole cell; an open one stands up along the back edge.
+    drawDoor(px, py, blockState) {
+        const texture = this.loadedTextures.get(blockState.type);
+        if (!texture) {
+            this.textureManager.load(blockState.type).then(img => this.loadedTextures.set(blockState.type, img));
+            return;
+        }
+
+        const size = this.cellSize;
+        const thickness = size * 3 / 16;
+        this.ctx.save();
+        // Rotated so the block faces the top of the cell
+        this.ctx.translate(px + size / 2, py + size / 2);
+        this.ctx.rotate((blockState.rotation || 0) * Math.PI / 2);
+        if (blockState.type === 'minecraft:iron_trapdoor' && !blockState.open) {
+            this.ctx.drawImage(texture, -size / 2, -size / 2, size, size);
+        } else if (blockState.type === 'minecraft:iron_door' && blockState.open) {
+            this.ctx.drawImage(texture, size / 2 - thickness, -size / 2, thickness, size);
+        } else {
+            this.ctx.drawImage(texture, -size / 2, size / 2 - thickness, size, thickness);
+        }
+        this.ctx.restore();
+    }
+
+    // A number in the bottom left corner (a note block's note, the entities on a plate),
+    // once cells are big enough to read it
+    drawCellLabel(px, py, value) {
+        if (this.cellSize < 12) return;
+        this.ctx.save();
+        this.ctx.fillStyle = '#fff';
+        this.ctx.strokeStyle = '#000';
+        this.ctx.lineWidth = 2;
+        this.ctx.font = `${Math.floor(this.cellSize * 0.45)}px monospace`;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.strokeText(value, px + 1, py + this.cellSize - 1);
+        this.ctx.fillText(value, px + 1, py + this.cellSize - 1);
+        this.ctx.restore();
+    }
+
+    // A plate inset in the cell, darker while pressed, with the number of entities on it
+    drawPressurePlate(px, py, color, redstone) {
+        const size = this.cellSize;
+        const inset = size / 16;
+        this.ctx.save();
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(px + inset, py + inset, size - inset * 2, size - inset * 2);
+        if (redstone && redstone.powerLevel > 0) {
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+            this.ctx.fillRect(px + inset, py + inset, size - inset * 2, size - inset * 2);
+        }
+        this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.lineWidth = Math.max(1, inset);
+        this.ctx.strokeRect(px + inset, py + inset, size - inset * 2, size - inset * 2);
+        this.ctx.restore();
+        if (redstone && redstone.entityCount > 0) this.drawCellLabel(px, py, redstone.entityCount);
+    }
+
+    // Red and white rings; while lit, a bar shows the signal from the last hit
+    drawTarget(px, py, redstone) {
+        const size = this.cellSize;
+        this.ctx.save();
+        [0, 2, 4, 6].forEach((ring, index) => {
+            this.ctx.fillStyle = index % 2 ? '#eee6d6' : '#c8302c';
+            const offset = ring * size / 16;
+            this.ctx.fillRect(px + offset, py + offset, size - offset * 2, size - offset * 2);
+        });
+        this.ctx.restore();
+        if (redstone && redstone.powerLevel > 0) this.drawSignalBar(px, py, redstone.powerLevel);
+    }
+
+    // A wooden frame round a glass panel, dark blue when inverted, with a bar for its signal
+    drawDaylightSensor(px, py, redstone) {
+        const size = this.cellSize;
+        const inset = size * 3 / 16;
+        this.ctx.save();
+        this.ctx.fillStyle = WOOD_COLOR;
+        this.ctx.fillRect(px, py, size, size);
+        this.ctx.fillStyle = redstone && redstone.inverted ? '#2c3d5c' : '#7fa4c9';
+        this.ctx.fillRect(px + inset, py + inset, size - inset * 2, size - inset * 2);
+        this.ctx.restore();
+        this.drawSignalBar(px, py, redstone ? redstone.powerLevel : 0);
+    }
+
+    // String runs through the cell towards the string and hooks next to it
+    drawTripwire(px, py, x, y, z, redstone, simulator) {
+        const size = this.cellSize;
+        const isWire = (dx, dy) => {
+            const type = simulator.getBlockType(x + dx, y + dy, z);
+            return type === 'minecraft:tripwire' || type === 'minecraft:tripwire_hook';
+        };
+        const eastWest = isWire(1, 0) || isWire(-1, 0);
+        const northSouth = isWire(0, 1) || isWire(0, -1);
+        this.ctx.save();
+        this.ctx.strokeStyle = redstone && redstone.pressed ? '#9a9a9a' : '#e8e8e8';
+        this.ctx.lineWidth = Math.max(1, size / 16);
+        this.ctx.beginPath();
+        if (eastWest || !northSouth) {
+            this.ctx.moveTo(px, py + size / 2);
+            this.ctx.lineTo(px + size, py + size / 2);
+        }
+        if (northSouth) {
+            this.ctx.moveTo(px + size / 2, py);
+            this.ctx.lineTo(px + size / 2, py + size);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    // Drawn facing the top of the cell: a plank on the block it hangs from at the bottom,
+    // a ring in the middle (red while tripped) and, once attached, the start of its string
+    drawTripwireHook(px, py, blockState, redstone) {
+        const size = this.cellSize;
+        const unit = size / 16;
+        this.ctx.save();
+        this.ctx.translate(px + size / 2, py + size / 2);
+        this.ctx.rotate((blockState.rotation || 0) * Math.PI / 2);
+        this.ctx.fillStyle = WOOD_COLOR;
+        this.ctx.fillRect(-3 * unit, 5 * unit, 6 * unit, 3 * unit);
+        this.ctx.fillStyle = '#8a8a8a';
+        this.ctx.fillRect(-unit, 0, 2 * unit, 5 * unit);
+        this.ctx.strokeStyle = redstone && redstone.powerLevel > 0 ? this.poweredColor : '#8a8a8a';
+        this.ctx.lineWidth = Math.max(1, unit * 1.5);
+        this.ctx.beginPath();
+        this.ctx.arc(0, -unit, 2.5 * unit, 0, Math.PI * 2);
+        this.ctx.stroke();
+        if (redstone && redstone.attached) {
+            this.ctx.strokeStyle = '#e8e8e8';
+            this.ctx.lineWidth = Math.max(1, unit);
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, -3.5 * unit);
+            this.ctx.lineTo(0, -size / 2);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    // Small arrow in the corner showing a block faces up (4) or down (5)
+    drawVerticalMarker(px, py, rotation) {
+        this.ctx.save();
+        this.ctx.fillStyle = '#fff';
+        this.ctx.strokeStyle = '#000';
+        this.ctx.lineWidth = 1;
+        this.ctx.font = `${Math.floor(this.cellSize * 0.5)}px monospace`;
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'top';
+        const marker = rotation === 4 ? '\u25B2' : '\u25BC';
+        this.ctx.strokeText(marker, px + this.cellSize - 1, py + 1);
+        this.ctx.fillText(marker, px + this.cellSize - 1, py + 1);
+        this.ctx.restore();
+    }
+
+    // No glass texture ships with the app, so draw a pale pane with a frame and glint
+    drawGlass(px, py) {
+        const inset = Math.max(1, this.cellSize / 16);
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(200, 230, 255, 0.25)';
+        this.ctx.fillRect(px, py, this.cellSize, this.cellSize);
+        this.ctx.strokeStyle = '#d8f0ff';
+        this.ctx.lineWidth = inset;
+        this.ctx.strokeRect(px + inset / 2, py + inset / 2, this.cellSize - inset, this.cellSize - inset);
+        this.ctx.beginPath();
+        this.ctx.moveTo(px + this.cellSize * 0.25, py + this.cellSize * 0.6);
+        this.ctx.lineTo(px + this.cellSize * 0.6, py + this.cellSize * 0.25);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    drawFlatBlock(px, py, { fill, frame }) {
+        const inset = Math.max(1, this.cellSize / 8);
+        this.ctx.save();
+        this.ctx.fillStyle = fill;
+        this.ctx.fillRect(px, py, this.cellSize, this.cellSize);
+        this.ctx.strokeStyle = frame;
+        this.ctx.lineWidth = inset;
+        this.ctx.strokeRect(px + inset / 2, py + inset / 2, this.cellSize - inset, this.cellSize - inset);
+        this.ctx.restore();
+    }
+
+    drawFacingNotch(px, py, rotation) {
+        if (rotation >= 4) {
+            this.drawVerticalMarker(px, py, rotation);
+            return;
+        }
+        const vec = this.getDirectionVector(rotation);
+        const size = this.cellSize;
+        const thickness = Math.max(2, size / 6);
+        this.ctx.save();
+        this.ctx.fillStyle = '#111';
+        this.ctx.translate(px + size / 2, py + size / 2);
+        this.ctx.fillRect(
+            vec.x === 0 ? -size / 4 : vec.x * size / 2 - (vec.x > 0 ? thickness : 0),
+            vec.y === 0 ? -size / 4 : vec.y * size / 2 - (vec.y > 0 ? thickness : 0),
+            vec.x === 0 ? size / 2 : thickness,
+            vec.y === 0 ? size / 2 : thickness
+        );
+        this.ctx.restore();
+    }
+
+    // Comparator signal (0-15) as a red bar along the bottom of the cell
+    drawSignalBar(px, py, signal) {
+        const size = this.cellSize;
+        const height = Math.max(2, size / 8);
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(px + 1, py + size - height - 1, size - 2, height);
+        this.ctx.fillStyle = this.poweredColor;
+        this.ctx.fillRect(px + 1, py + size - height - 1, (size - 2) * signal / 15, height);
+        this.ctx.restore();
+    }
+
+    // A wooden frame on the side of the cell it hangs from; the item is a diamond
+    // with a tick showing its rotation (eighths of a turn)
+    drawItemFrame(px, py, blockState, redstone) {
+        const size = this.cellSize;
+        const rotation = blockState.rotation || 0;
+        this.ctx.save();
+        this.ctx.translate(px + size / 2, py + size / 2);
+        this.ctx.fillStyle = 'rgba(140, 95, 50, 0.9)';
+        this.ctx.strokeStyle = '#4d3418';
+        this.ctx.lineWidth = Math.max(1, size / 16);
+        this.ctx.fillRect(-size * 0.35, -size * 0.35, size * 0.7, size * 0.7);
+        this.ctx.strokeRect(-size * 0.35, -size * 0.35, size * 0.7, size * 0.7);
+
+        if (redstone && redstone.item) {
+            this.ctx.rotate(redstone.itemRotation * Math.PI / 4);
+            this.ctx.fillStyle = '#e8e8e8';
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, -size * 0.25);
+            this.ctx.lineTo(size * 0.15, 0);
+            this.ctx.lineTo(0, size * 0.25);
+            this.ctx.lineTo(-size * 0.15, 0);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.strokeStyle = this.poweredColor;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, 0);
+            this.ctx.lineTo(0, -size * 0.25);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+
+        // The side it hangs on
+        if (rotation < 4) {
+            this.drawFacingNotch(px, py, (rotation + 2) % 4);
+        } else {
+            this.drawVerticalMarker(px, py, rotation);
+        }
+    }
+
+    // Imported block the simulator doesn't know (see schematic.js)
+    drawPlaceholder(px, py) {
+        this.ctx.fillStyle = 'rgba(255, 0, 255, 0.35)';
+        this.ctx.fillRect(px, py, this.cellSize, this.cellSize);
+        this.ctx.strokeStyle = '#ff00ff';
+        this.ctx.lineWidth = Math.max(1, this.cellSize / 16);
+        this.ctx.strokeRect(px + 0.5, py + 0.5, this.cellSize - 1, this.cellSize - 1);
+
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = `${Math.floor(this.cellSize * 0.75)}px monospace`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('?', px + this.cellSize / 2, py + this.cellSize / 2);
+    }
+
     drawButton(px, py, blockState, redstone) {
+        const wooden = blockState.type === 'minecraft:wooden_button';
         const stoneTexture = this.loadedTextures.get('minecraft:stone');
-        if (!stoneTexture) {
+        if (!wooden && !stoneTexture) {
             this.textureManager.load('minecraft:stone').then(img => this.loadedTextures.set('minecraft:stone', img));
             return;
         }
@@ -629,18 +1250,23 @@ export class Renderer {
         const buttonX = px + (this.cellSize - buttonWidth) / 2;
         const buttonY = py + (this.cellSize - buttonHeight) / 2;
 
-        // Draw the button using the stone texture (center crop)
-        const texWidth = stoneTexture.width;
-        const texHeight = stoneTexture.height;
-        const sW = (6 / 16) * texWidth;
-        const sH = (4 / 16) * texHeight;
-        const sX = (texWidth - sW) / 2;
-        const sY = (texHeight - sH) / 2;
+        if (wooden) {
+            this.ctx.fillStyle = WOOD_COLOR;
+            this.ctx.fillRect(buttonX, buttonY, buttonWidth, buttonHeight);
+        } else {
+            // Draw the button using the stone texture (center crop)
+            const texWidth = stoneTexture.width;
+            const texHeight = stoneTexture.height;
+            const sW = (6 / 16) * texWidth;
+            const sH = (4 / 16) * texHeight;
+            const sX = (texWidth - sW) / 2;
+            const sY = (texHeight - sH) / 2;
 
-        this.ctx.drawImage(stoneTexture, sX, sY, sW, sH, buttonX, buttonY, buttonWidth, buttonHeight);
+            this.ctx.drawImage(stoneTexture, sX, sY, sW, sH, buttonX, buttonY, buttonWidth, buttonHeight);
+        }
 
         // Visual feedback for pressed state (darker overlay)
-        if (redstone && redstone.isPowered) {
+        if (redstone && redstone.powerLevel > 0) {
             this.ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
             this.ctx.fillRect(buttonX, buttonY, buttonWidth, buttonHeight);
         }
@@ -0,0 +1,826 @@
+import { RedstoneSimulator, Direction, NOTE_BLOCK_INSTRUMENTS, NOTE_BLOCK_MAX_NOTE } from './simulator.js';
+import { TagType, nbt, parseNbtFile, writeNbtFile, simplify } from './nbt.js';
+import { getComponentDefinition } from './components.js';
+
+// Stand-in for blocks the simulator doesn't know; keeps the original state for export
+export const PLACEHOLDER_TYPE = 'designer:placeholder';
+
+const DATA_VERSION = 3465; // Minecraft 1.20.1
+const LITEMATICA_VERSION = 6;
+
+// Indexed by our Direction values
+const DIRECTION_NAMES = ['north', 'east', 'south', 'west', 'up', 'down'];
+
+// Wooden buttons and pressure plates come in every kind of wood; all import as oak
+const WOOD_TYPES = ['oak', 'spruce', 'birch', 'jungle', 'acacia', 'dark_oak', 'mangrove', 'cherry', 'bamboo', 'crimson', 'warped'];
+const WOODEN_BUTTONS = new Set(WOOD_TYPES.map(wood => `minecraft:${wood}_button`));
+const WOODEN_PRESSURE_PLATES = new Set(WOOD_TYPES.map(wood => `minecraft:${wood}_pressure_plate`));
+
+// Blocks that never need an entity
+const AIR_BLOCKS = new Set(['minecraft:air', 'minecraft:cave_air', 'minecraft:void_air', 'minecraft:structure_void']);
+
+export const EXPORT_FORMATS = {
+    sponge3: { label: 'Sponge Schematic v3 (.schem)', extension: 'schem' },
+    sponge2: { label: 'Sponge Schematic v2 (.schem)', extension: 'schem' },
+    litematic: { label: 'Litematica (.litematic)', extension: 'litematic' },
+    structure: { label: 'Structure block (.nbt)', extension: 'nbt' }
+};
+
+export class SchematicError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SchematicError';
+    }
+}
+
+// 'minecraft:repeater[delay=2,facing=north]' <-> { name, properties }
+export function formatBlockState({ name, properties = {} }) {
+    const keys = Object.keys(properties).sort();
+    if (keys.length === 0) return name;
+    return `${name}[${keys.map(k => `${k}=${properties[k]}`).join(',')}]`;
+}
+
+export function parseBlockState(text) {
+    const match = /^([^[\]]+)(?:\[(.*)\])?$/.exec(text.trim());
+    if (!match) throw new SchematicError(`Malformed block state: ${text}`);
+    let name = match[1];
+    if (!name.includes(':')) name = `minecraft:${name}`;
+    const properties = {};
+    if (match[2]) {
+        for (const pair of match[2].split(',')) {
+            const [key, value] = pair.split('=');
+            if (key) properties[key.trim()] = (value || '').trim();
+        }
+    }
+    return { name, properties };
+}
+
+// --- Block conversion -------------------------------------------------------
+
+function facingName(rotation) {
+    return DIRECTION_NAMES[rotation] || 'north';
+}
+
+function rotationFromFacing(facing) {
+    const rotation = DIRECTION_NAMES.indexOf(facing);
+    return rotation === -1 ? Direction.NORTH : rotation;
+}
+
+// Diodes: Minecraft's "facing" points at the input side, our rotation points at the output
+function diodeFacing(rotation) {
+    return facingName(Direction.opposite(rotation));
+}
+
+// The wire's "side" properties describe where it points, as worked out by the simulator
+function dustSide(simulator, x, y, z, dir) {
+    const layer = simulator.getClimbingDustLayer(x, y, z, dir);
+    if (layer !== null) return layer > z ? 'up' : 'side';
+
+    const dust = simulator.getBlockEntity(x, y, z).components.get('redstone');
+    return dust.getPointedDirections(simulator, x, y, z).includes(dir) ? 'side' : 'none';
+}
+
+// String connects to the string and hooks beside it
+function tripwireSide(simulator, x, y, z, dir) {
+    const vec = Direction.toVector(dir);
+    const type = simulator.getBlockType(x + vec.x, y + vec.y, z);
+    return type === 'minecraft:tripwire' || type === 'minecraft:tripwire_hook';
+}
+
+// Simulator entity -> Minecraft block state ({ name, properties })
+export function entityToBlockState(simulator, components) {
+    const position = components.get('position');
+    const blockState = components.get('blockState');
+    const redstone = components.get('redstone');
+    const type = (redstone && simulator.getComponentType(redstone)) || blockState.type;
+    const rotation = blockState.rotation || 0;
+    const powered = String(!!(redstone && redstone.powerLevel > 0));
+
+    switch (type) {
+        case PLACEHOLDER_TYPE:
+            return parseBlockState(blockState.sourceState || 'minecraft:air');
+        case 'minecraft:moving_piston': {
+            // Mid-move blocks are saved as they'll be once they land
+            const landed = new Map(components);
+            landed.set('blockState', redstone.blockState);
+            const component = redstone.createComponent(simulator);
+            if (component) landed.set('redstone', component);
+            else landed.delete('redstone');
+            return entityToBlockState(simulator, landed);
+        }
+        case 'minecraft:redstone_dust':
+            return {
+                name: 'minecraft:redstone_wire',
+                properties: {
+                    power: String(redstone.powerLevel),
+                    north: dustSide(simulator, position.x, position.y, position.z, Direction.NORTH),
+                    east: dustSide(simulator, position.x, position.y, position.z, Direction.EAST),
+                    south: dustSide(simulator, position.x, position.y, position.z, Direction.SOUTH),
+                    west: dustSide(simulator, position.x, position.y, position.z, Direction.WEST)
+                }
+            };
+        case 'minecraft:redstone_torch':
+            if (rotation === Direction.UP) {
+                return { name: 'minecraft:redstone_torch', properties: { lit: powered } };
+            }
+            return { name: 'minecraft:redstone_wall_torch', properties: { facing: facingName(rotation), lit: powered } };
+        case 'minecraft:lever':
+            return { name: 'minecraft:lever', properties: { face: 'floor', facing: facingName(rotation), powered } };
+        case 'minecraft:button':
+            return { name: 'minecraft:stone_button', properties: { face: 'floor', facing: facingName(rotation), powered } };
+        case 'minecraft:wooden_button':
+            return { name: 'minecraft:oak_button', properties: { face: 'floor', facing: facingName(rotation), powered } };
+        // Plates and tripwire are saved as they are now; with nothing on them, Minecraft releases them
+        case 'minecraft:stone_pressure_plate':
+            return { name: type, properties: { powered } };
+        case 'minecraft:wooden_pressure_plate':
+            return { name: 'minecraft:oak_pressure_plate', properties: { powered } };
+        case 'minecraft:light_weighted_pressure_plate':
+        case 'minecraft:heavy_weighted_pressure_plate':
+        case 'minecraft:target':
+            return { name: type, properties: { power: String(redstone.powerLevel) } };
+        case 'minecraft:daylight_sensor':
+            return { name: type, properties: { inverted: String(!!redstone.inverted), power: String(redstone.powerLevel) } };
+        case 'minecraft:tripwire_hook':
+            return { name: type, properties: { attached: String(!!redstone.attached), facing: facingName(rotation), powered } };
+        case 'minecraft:tripwire':
+            return {
+                name: type,
+                properties: {
+                    attached: 'false',
+                    disarmed: 'false',
+                    powered: String(!!redstone.pressed),
+                    north: String(tripwireSide(simulator, position.x, position.y, position.z, Direction.NORTH)),
+                    east: String(tripwireSide(simulator, position.x, position.y, position.z, Direction.EAST)),
+                    south: String(tripwireSide(simulator, position.x, position.y, position.z, Direction.SOUTH)),
+                    west: String(tripwireSide(simulator, position.x, position.y, position.z, Direction.WEST))
+                }
+            };
+        case 'minecraft:repeater':
+            return {
+                name: 'minecraft:repeater',
+                properties: {
+                    delay: String(redstone.delay),
+                    facing: diodeFacing(rotation),
+                    locked: String(!!redstone.locked),
+                    powered: String(!!redstone.powered)
+                }
+            };
+        case 'minecraft:comparator':
+            return {
+                name: 'minecraft:comparator',
+                properties: { facing: diodeFacing(rotation), mode: redstone.mode, powered }
+            };
+        case 'minecraft:observer':
+            return { name: 'minecraft:observer', properties: { facing: facingName(rotation), powered } };
+        case 'minecraft:piston':
+        case 'minecraft:sticky_piston':
+            return { name: type, properties: { extended: String(!!redstone.extended), facing: facingName(rotation) } };
+        case 'minecraft:piston_head':
+            return {
+                name: 'minecraft:piston_head',
+                properties: { facing: facingName(rotation), short: 'false', type: redstone.isSticky ? 'sticky' : 'normal' }
+            };
+        // Container contents aren't written: they live in block entities, which we don't export
+        case 'minecraft:chest':
+            return { name: type, properties: { facing: facingName(rotation), type: 'single' } };
+        case 'minecraft:barrel':
+            return { name: type, properties: { facing: facingName(rotation), open: 'false' } };
+        case 'minecraft:hopper':
+            return { name: type, properties: { facing: facingName(rotation), enabled: String(!redstone.locked) } };
+        case 'minecraft:dropper':
+        case 'minecraft:dispenser':
+            return { name: type, properties: { facing: facingName(rotation), triggered: String(!!redstone.triggered) } };
+        case 'minecraft:cake':
+            return { name: type, properties: { bites: String(redstone.bites) } };
+        case 'minecraft:composter':
+            return { name: type, properties: { level: String(redstone.level) } };
+        case 'minecraft:item_frame':
+            // Item frames are entities in Minecraft, not blocks
+            return { name: 'minecraft:air', properties: {} };
+        case 'minecraft:redstone_lamp':
+            return { name: type, properties: { lit: String(!!redstone.lit) } };
+        case 'minecraft:iron_door':
+            // collectBlocks adds the upper half
+            return {
+                name: type,
+                properties: { facing: facingName(rotation), half: 'lower', hinge: 'left', open: String(!!redstone.open), powered: String(!!redstone.open) }
+            };
+        case 'minecraft:iron_trapdoor':
+            return {
+                name: type,
+                properties: { facing: facingName(rotation), half: 'bottom', open: String(!!redstone.open), powered: String(!!redstone.open), waterlogged: 'false' }
+            };
+        case 'minecraft:note_block':
+            return {
+                name: type,
+                properties: { instrument: redstone.instrument, note: String(redstone.note), powered: String(!!redstone.triggered) }
+            };
+        default: {
+            // Modded blocks from component definitions keep their id, and their facing if they turn
+            const definition = getComponentDefinition(type);
+            const turns = definition && (!definition.rotations || definition.rotations.length > 1);
+            return { name: type, properties: turns ? { facing: facingName(rotation) } : {} };
+        }
+    }
+}
+
+// Minecraft block state -> how to place it in the simulator, or null if unsupported.
+// `setup` applies saved component state after the entity exists.
+function blockStateToPlacement({ name, properties }) {
+    const facing = properties.facing;
+    switch (name) {
+        case 'minecraft:redstone_wire':
+            return {
+                type: 'minecraft:redstone_dust',
+                rotation: 0,
+                setup: (redstone, blockState) => {
+                    // A wire with no sides at all is a dot; otherwise its neighbours shape it
+                    redstone.dot = ['north', 'east', 'south', 'west'].every(side => (properties[side] || 'none') === 'none');
+                    blockState.dot = redstone.dot;
+                }
+            };
+        case 'minecraft:redstone_wall_torch':
+            return { type: 'minecraft:redstone_torch', rotation: rotationFromFacing(facing) };
+        case 'minecraft:redstone_torch':
+            // Standing torch, attached to the block below
+            return { type: 'minecraft:redstone_torch', rotation: Direction.UP };
+        case 'minecraft:lever':
+            return {
+                type: 'minecraft:lever',
+                rotation: rotationFromFacing(facing),
+                setup: (redstone, blockState) => {
+                    if (properties.powered === 'true') {
+                        redstone.powerLevel = 15;
+                        blockState.powered = true;
+                    }
+                }
+            };
+        case 'minecraft:stone_button':
+        case 'minecraft:polished_blackstone_button':
+            return { type: 'minecraft:button', rotation: rotationFromFacing(facing) };
+        case 'minecraft:repeater':
+            return {
+                type: 'minecraft:repeater',
+                rotation: Direction.opposite(rotationFromFacing(facing)),
+                setup: (redstone, blockState) => {
+                    const delay = parseInt(properties.delay, 10);
+                    if (delay >= 1 && delay <= 4) redstone.delay = delay;
+                    // A locked repeater may be holding a signal its input no longer gives (memory cells)
+                    if (properties.powered === 'true') {
+                        redstone.powered = true;
+                        redstone.powerLevel = 15;
+                        blockState.type = 'minecraft:repeater_on';
+                        blockState.powered = true;
+                    }
+                }
+            };
+        case 'minecraft:comparator':
+            return {
+                type: 'minecraft:comparator',
+                rotation: Direction.opposite(rotationFromFacing(facing)),
+                setup: (redstone) => {
+                    redstone.mode = properties.mode === 'subtract' ? 'subtract' : 'compare';
+                }
+            };
+        case 'minecraft:observer':
+            return { type: 'minecraft:observer', rotation: rotationFromFacing(facing) };
+        case 'minecraft:piston':
+        case 'minecraft:sticky_piston':
+            return { type: name, rotation: rotationFromFacing(facing) };
+        case 'minecraft:chest':
+        case 'minecraft:barrel':
+        case 'minecraft:hopper':
+        case 'minecraft:dropper':
+        case 'minecraft:dispenser':
+            return { type: name, rotation: rotationFromFacing(facing) };
+        case 'minecraft:cake':
+            return {
+                type: name,
+                rotation: 0,
+                setup: (redstone) => {
+                    const bites = parseInt(properties.bites, 10);
+                    if (bites >= 0 && bites <= 6) redstone.bites = bites;
+                }
+            };
+        case 'minecraft:composter':
+            return {
+                type: name,
+                rotation: 0,
+                setup: (redstone) => {
+                    const level = parseInt(properties.level, 10);
+                    if (level >= 0 && level <= 8) redstone.level = level;
+                }
+            };
+        // Plates, targets and tripwire come in released: there is nothing on them to hold them down
+        case 'minecraft:stone_pressure_plate':
+        case 'minecraft:polished_blackstone_pressure_plate':
+            return { type: 'minecraft:stone_pressure_plate', rotation: 0 };
+        case 'minecraft:light_weighted_pressure_plate':
+        case 'minecraft:heavy_weighted_pressure_plate':
+        case 'minecraft:target':
+        case 'minecraft:tripwire':
+            return { type: name, rotation: 0 };
+        case 'minecraft:tripwire_hook':
+            return { type: name, rotation: rotationFromFacing(facing) };
+        case 'minecraft:daylight_sensor':
+            return {
+                type: name,
+                rotation: 0,
+                setup: (redstone, blockState) => {
+                    redstone.inverted = properties.inverted === 'true';
+                    blockState.inverted = redstone.inverted;
+                }
+            };
+        case 'minecraft:redstone_lamp':
+            return {
+                type: name,
+                rotation: 0,
+                setup: (redstone, blockState) => {
+                    redstone.lit = properties.lit === 'true';
+                    blockState.lit = redstone.lit;
+                }
+            };
+        case 'minecraft:iron_door':
+        case 'minecraft:iron_trapdoor':
+            return {
+                type: name,
+                rotation: rotationFromFacing(facing),
+                setup: (redstone, blockState) => {
+                    redstone.open = properties.open === 'true';
+                    blockState.open = redstone.open;
+                }
+            };
+        case 'minecraft:note_block':
+            return {
+                type: name,
+                rotation: 0,
+                setup: (redstone, blockState) => {
+                    const note = parseInt(properties.note, 10);
+                    if (note >= 0 && note <= NOTE_BLOCK_MAX_NOTE) redstone.note = note;
+                    if (NOTE_BLOCK_INSTRUMENTS.includes(properties.instrument)) redstone.instrument = properties.instrument;
+                    redstone.triggered = properties.powered === 'true';
+                    Object.assign(blockState, { note: redstone.note, instrument: redstone.instrument });
+                }
+            };
+        case 'minecraft:redstone_block':
+        case 'minecraft:stone':
+        case 'minecraft:obsidian':
+        case 'minecraft:bedrock':
+        case 'minecraft:glass':
+        case 'minecraft:slime_block':
+        case 'minecraft:honey_block':
+            return { type: name, rotation: 0 };
+        default:
+            if (WOODEN_BUTTONS.has(name)) return { type: 'minecraft:wooden_button', rotation: rotationFromFacing(facing) };
+            if (WOODEN_PRESSURE_PLATES.has(name)) return { type: 'minecraft:wooden_pressure_plate', rotation: 0 };
+            if (getComponentDefinition(name)) return { type: name, rotation: facing ? rotationFromFacing(facing) : 0 };
+            return null;
+    }
+}
+
+// --- Generic block lists ----------------------------------------------------
+// Every format is read into / written from:
+// { width, height, length, blocks: [{ x, y, z, state: { name, properties } }] }
+// using Minecraft axes (y is vertical). Our grid maps x -> x, y -> z and layer z -> y.
+
+function collectBlocks(simulator) {
+    const entities = simulator.entityManager.getEntitiesWithComponent('position');
+    const blocks = [];
+    for (const { components } of entities) {
+        const position = components.get('position');
+        const state = entityToBlockState(simulator, components);
+        if (AIR_BLOCKS.has(state.name)) continue;
+        blocks.push({ x: position.x, y: position.z || 0, z: position.y, state });
+        // Doors are one cell here; Minecraft needs their upper half too, if there's room
+        if (state.name === 'minecraft:iron_door' && !simulator.getBlockEntity(position.x, position.y, (position.z || 0) + 1)) {
+            const upper = { name: state.name, properties: { ...state.properties, half: 'upper' } };
+            blocks.push({ x: position.x, y: (position.z || 0) + 1, z: position.y, state: upper });
+        }
+    }
+
+    if (blocks.length === 0) return { width: 1, height: 1, length: 1, blocks };
+
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    for (const block of blocks) {
+        for (const axis of ['x', 'y', 'z']) {
+            min[axis] = Math.min(min[axis], block[axis]);
+            max[axis] = Math.max(max[axis], block[axis]);
+        }
+    }
+    for (const block of blocks) {
+        block.x -= min.x;
+        block.y -= min.y;
+        block.z -= min.z;
+    }
+    return {
+        width: max.x - min.x + 1,
+        height: max.y - min.y + 1,
+        length: max.z - min.z + 1,
+        blocks
+    };
+}
+
+// Builds a palette with air at index 0 and a dense index array in x-fastest, then z, then y order
+function buildPalette(region) {
+    const palette = ['minecraft:air'];
+    const indices = new Map([['minecraft:air', 0]]);
+    const data = new Array(region.width * region.height * region.length).fill(0);
+
+    for (const block of region.blocks) {
+        const key = formatBlockState(block.state);
+        if (!indices.has(key)) {
+            indices.set(key, palette.length);
+            palette.push(key);
+        }
+        data[(block.y * region.length + block.z) * region.width + block.x] = indices.get(key);
+    }
+    return { palette, data };
+}
+
+function blocksFromDense(width, height, length, palette, data) {
+    const blocks = [];
+    for (let y = 0; y < height; y++) {
+        for (let z = 0; z < length; z++) {
+            for (let x = 0; x < width; x++) {
+                const state = palette[data[(y * length + z) * width + x]];
+                if (!state) throw new SchematicError('Block data references a missing palette entry.');
+                if (!AIR_BLOCKS.has(state.name)) blocks.push({ x, y, z, state });
+            }
+        }
+    }
+    return { width, height, length, blocks };
+}
+
+// --- Sponge Schematic v2 / v3 -----------------------------------------------
+
+function encodeVarints(values) {
+    const bytes = [];
+    for (let value of values) {
+        while ((value & ~0x7f) !== 0) {
+            bytes.push((value & 0x7f) | 0x80);
+            value >>>= 7;
+        }
+        bytes.push(value);
+    }
+    return bytes;
+}
+
+function decodeVarints(bytes, count) {
+    const values = new Array(count);
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+        let value = 0;
+        let shift = 0;
+        while (true) {
+            if (offset >= bytes.length) throw new SchematicError('Block data ends early.');
+            const b = bytes[offset++] & 0xff;
+            value |= (b & 0x7f) << shift;
+            if ((b & 0x80) === 0) break;
+            shift += 7;
+            if (shift > 28) throw new SchematicError('Block data contains an oversized varint.');
+        }
+        values[i] = value;
+    }
+    return values;
+}
+
+function writeSponge(region, version) {
+    const { palette, data } = buildPalette(region);
+    const paletteTag = {};
+    palette.forEach((state, index) => { paletteTag[state] = nbt.int(index); });
+
+    const common = {
+        Version: nbt.int(version),
+        DataVersion: nbt.int(DATA_VERSION),
+        Width: nbt.short(region.width),
+        Height: nbt.short(region.height),
+        Length: nbt.short(region.length),
+        Offset: nbt.intArray([0, 0, 0])
+    };
+
+    if (version === 2) {
+        return {
+            name: 'Schematic',
+            tag: nbt.compound({
+                ...common,
+                PaletteMax: nbt.int(palette.length),
+                Palette: nbt.compound(paletteTag),
+                BlockData: nbt.byteArray(encodeVarints(data)),
+                BlockEntities: nbt.list(TagType.COMPOUND, [])
+            })
+        };
+    }
+
+    return {
+        name: '',
+        tag: nbt.compound({
+            Schematic: nbt.compound({
+                ...common,
+                Blocks: nbt.compound({
+                    Palette: nbt.compound(paletteTag),
+                    Data: nbt.byteArray(encodeVarints(data)),
+                    BlockEntities: nbt.list(TagType.COMPOUND, [])
+                })
+            })
+        })
+    };
+}
+
+function readSponge(schematic) {
+    const width = schematic.Width & 0xffff;
+    const height = schematic.Height & 0xffff;
+    const length = schematic.Length & 0xffff;
+    // v3 nests the block container, v1/v2 keep it at the top level
+    const paletteTag = schematic.Blocks ? schematic.Blocks.Palette : schematic.Palette;
+    const blockData = schematic.Blocks ? schematic.Blocks.Data : schematic.BlockData;
+    if (!paletteTag || !blockData) throw new SchematicError('Sponge schematic has no block palette or block data.');
+
+    const palette = [];
+    for (const [state, index] of Object.entries(paletteTag)) {
+        palette[index] = parseBlockState(state);
+    }
+    const data = decodeVarints(blockData, width * height * length);
+    return blocksFromDense(width, height, length, palette, data);
+}
+
+// --- Litematica -------------------------------------------------------------
+
+function litematicaBits(paletteSize) {
+    return Math.max(2, Math.ceil(Math.log2(paletteSize)));
+}
+
+// Litematica packs entries tightly, letting them span two longs
+function packLongs(values, bits) {
+    const longs = new BigInt64Array(Math.ceil((values.length * bits) / 64));
+    const words = new Array(longs.length).fill(0n);
+    values.forEach((value, i) => {
+        const startBit = i * bits;
+        const startLong = Math.floor(startBit / 64);
+        const offset = startBit % 64;
+        words[startLong] |= BigInt(value) << BigInt(offset);
+        if (offset + bits > 64) {
+            words[startLong + 1] |= BigInt(value) >> BigInt(64 - offset);
+        }
+    });
+    words.forEach((word, i) => { longs[i] = BigInt.asIntN(64, word & 0xFFFFFFFFFFFFFFFFn); });
+    return longs;
+}
+
+function unpackLongs(longs, bits, count) {
+    const mask = (1n << BigInt(bits)) - 1n;
+    const values = new Array(count);
+    for (let i = 0; i < count; i++) {
+        const startBit = i * bits;
+        const startLong = Math.floor(startBit / 64);
+        const offset = startBit % 64;
+        if (startLong >= longs.length) throw new SchematicError('Litematica block states end early.');
+        let value = BigInt.asUintN(64, longs[startLong]) >> BigInt(offset);
+        if (offset + bits > 64) {
+            value |= BigInt.asUintN(64, longs[startLong + 1]) << BigInt(64 - offset);
+        }
+        values[i] = Number(value & mask);
+    }
+    return values;
+}
+
+function paletteEntryTag(stateText) {
+    const { name, properties } = parseBlockState(stateText);
+    const entry = { Name: nbt.string(name) };
+    if (Object.keys(properties).length > 0) {
+        const props = {};
+        for (const [key, value] of Object.entries(properties)) props[key] = nbt.string(value);
+        entry.Properties = nbt.compound(props);
+    }
+    return nbt.compound(entry);
+}
+
+function paletteEntryState(entry) {
+    return { name: entry.Name, properties: { ...(entry.Properties || {}) } };
+}
+
+function vec3(x, y, z) {
+    return nbt.compound({ x: nbt.int(x), y: nbt.int(y), z: nbt.int(z) });
+}
+
+function writeLitematic(region, name) {
+    const { palette, data } = buildPalette(region);
+    const now = BigInt(Date.now());
+    const volume = region.width * region.height * region.length;
+
+    return {
+        name: '',
+        tag: nbt.compound({
+            MinecraftDataVersion: nbt.int(DATA_VERSION),
+            Version: nbt.int(LITEMATICA_VERSION),
+            Metadata: nbt.compound({
+                Name: nbt.string(name),
+                Author: nbt.string('Redstone Circuit Designer'),
+                Description: nbt.string(''),
+                RegionCount: nbt.int(1),
+                TotalVolume: nbt.int(volume),
+                TotalBlocks: nbt.int(region.blocks.length),
+                TimeCreated: nbt.long(now),
+                TimeModified: nbt.long(now),
+                EnclosingSize: vec3(region.width, region.height, region.length)
+            }),
+            Regions: nbt.compound({
+                [name]: nbt.compound({
+                    Position: vec3(0, 0, 0),
+                    Size: vec3(region.width, region.height, region.length),
+                    BlockStatePalette: nbt.list(TagType.COMPOUND, palette.map(paletteEntryTag)),
+                    BlockStates: { type: TagType.LONG_ARRAY, value: packLongs(data, litematicaBits(palette.length)) },
+                    Entities: nbt.list(TagType.COMPOUND, []),
+                    TileEntities: nbt.list(TagType.COMPOUND, []),
+                    PendingBlockTicks: nbt.list(TagType.COMPOUND, []),
+                    PendingFluidTicks: nbt.list(TagType.COMPOUND, [])
+                })
+            })
+        })
+    };
+}
+
+function readLitematic(root) {
+    const blocks = [];
+    for (const region of Object.values(root.Regions)) {
+        const size = region.Size;
+        const width = Math.abs(size.x);
+        const height = Math.abs(size.y);
+        const length = Math.abs(size.z);
+        // Negative sizes extend from Position towards negative coordinates
+        const originX = region.Position.x + (size.x < 0 ? size.x + 1 : 0);
+        const originY = region.Position.y + (size.y < 0 ? size.y + 1 : 0);
+        const originZ = region.Position.z + (size.z < 0 ? size.z + 1 : 0);
+
+        const palette = region.BlockStatePalette.map(paletteEntryState);
+        const data = unpackLongs(region.BlockStates, litematicaBits(palette.length), width * height * length);
+        const regionBlocks = blocksFromDense(width, height, length, palette, data).blocks;
+        for (const block of regionBlocks) {
+            blocks.push({ ...block, x: block.x + originX, y: block.y + originY, z: block.z + originZ });
+        }
+    }
+    return normalizeBlocks(blocks);
+}
+
+// --- Vanilla structure files ------------------------------------------------
+
+function writeStructure(region) {
+    const { palette, data } = buildPalette(region);
+    const blockTags = [];
+    for (const block of region.blocks) {
+        const index = data[(block.y * region.length + block.z) * region.width + block.x];
+        blockTags.push(nbt.compound({
+            pos: nbt.list(TagType.INT, [nbt.int(block.x), nbt.int(block.y), nbt.int(block.z)]),
+            state: nbt.int(index)
+        }));
+    }
+
+    return {
+        name: '',
+        tag: nbt.compound({
+            DataVersion: nbt.int(DATA_VERSION),
+            size: nbt.list(TagType.INT, [nbt.int(region.width), nbt.int(region.height), nbt.int(region.length)]),
+            palette: nbt.list(TagType.COMPOUND, palette.map(paletteEntryTag)),
+            blocks: nbt.list(TagType.COMPOUND, blockTags),
+            entities: nbt.list(TagType.COMPOUND, [])
+        })
+    };
+}
+
+function readStructure(root) {
+    // Structures with random variants store several palettes; the first is the default
+    const paletteList = root.palette || (root.palettes && root.palettes[0]);
+    if (!paletteList) throw new SchematicError('Structure file has no palette.');
+    const palette = paletteList.map(paletteEntryState);
+
+    const blocks = [];
+    for (const block of root.blocks || []) {
+        const state = palette[block.state];
+        if (!state) throw new SchematicError('Structure block references a missing palette entry.');
+        if (AIR_BLOCKS.has(state.name)) continue;
+        blocks.push({ x: block.pos[0], y: block.pos[1], z: block.pos[2], state });
+    }
+    return normalizeBlocks(blocks);
+}
+
+// Shift blocks so the smallest coordinates are 0. Bounds are found in one loop: spreading
+// a large build's blocks into Math.min would overflow the call stack.
+function normalizeBlocks(blocks) {
+    if (blocks.length === 0) return { width: 0, height: 0, length: 0, blocks };
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (const { x, y, z } of blocks) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        minZ = Math.min(minZ, z);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+        maxZ = Math.max(maxZ, z);
+    }
+    return {
+        width: maxX - minX + 1,
+        height: maxY - minY + 1,
+        length: maxZ - minZ + 1,
+        blocks: blocks.map(b => ({ ...b, x: b.x - minX, y: b.y - minY, z: b.z - minZ }))
+    };
+}
+
+// --- Simulator placement ----------------------------------------------------
+
+function detectFormat(root) {
+    if (root.Schematic && root.Schematic.Version === 3) return { format: 'sponge3', data: root.Schematic };
+    if (root.Regions) return { format: 'litematic', data: root };
+    if (root.Palette && (root.BlockData || root.Version)) return { format: root.Version === 1 ? 'sponge1' : 'sponge2', data: root };
+    if (root.size && (root.palette || root.palettes)) return { format: 'structure', data: root };
+    throw new SchematicError('Unrecognised NBT structure: expected a Sponge schematic, Litematica file or structure file.');
+}
+
+function placeBlocks(region, report) {
+    // Minecraft's vertical y axis becomes our layer (z)
+    const simulator = new RedstoneSimulator(
+        Math.max(64, region.width),
+        Math.max(48, region.length),
+        Math.max(new RedstoneSimulator().depth, region.height)
+    );
+    for (const block of region.blocks) {
+        const cell = { x: block.x, y: block.z, z: block.y };
+        // A door is one cell, standing for its lower half
+        if (block.state.name === 'minecraft:iron_door' && block.state.properties.half === 'upper') continue;
+        if (block.state.name === 'minecraft:piston_head') {
+            // Heads are recreated by their piston when it extends
+            report.skipped.push({ ...cell, state: formatBlockState(block.state) });
+            continue;
+        }
+
+        const placement = blockStateToPlacement(block.state);
+        if (!placement) {
+            const id = simulator.createEntity(PLACEHOLDER_TYPE, cell.x, cell.y, cell.z);
+            const sourceState = formatBlockState(block.state);
+            simulator.entityManager.getComponent(id, 'blockState').sourceState = sourceState;
+            report.placeholders.push({ ...cell, state: sourceState });
+            continue;
+        }
+
+        const id = simulator.createEntity(placement.type, cell.x, cell.y, cell.z, placement.rotation);
+        const blockState = simulator.entityManager.getComponent(id, 'blockState');
+        const redstone = simulator.entityManager.getComponent(id, 'redstone');
+        if (placement.setup) placement.setup(redstone, blockState);
+        report.imported++;
+    }
+
+    // Let every component settle against its final neighbours
+    for (const { components } of simulator.entityManager.getEntitiesWithComponent('redstone')) {
+        const { x, y, z } = components.get('position');
+        components.get('redstone').onNeighborUpdate(simulator, x, y, z, x, y, z);
+    }
+    return simulator;
+}
+
+// Read a .schem / .litematic / .nbt file. Returns { simulator, report } where the
+// report lists unknown blocks that were imported as placeholders.
+export async function importSchematic(bytes) {
+    const { tag } = await parseNbtFile(bytes);
+    const root = simplify(tag);
+    const { format, data } = detectFormat(root);
+
+    let region;
+    if (format === 'litematic') region = readLitematic(data);
+    else if (format === 'structure') region = readStructure(data);
+    else region = readSponge(data);
+
+    const report = { format, imported: 0, placeholders: [], skipped: [] };
+    const simulator = placeBlocks(region, report);
+    return { simulator, report };
+}
+
+export async function exportSchematic(simulator, format, name = 'circuit') {
+    const region = collectBlocks(simulator);
+    let root;
+    switch (format) {
+        case 'sponge2': root = writeSponge(region, 2); break;
+        case 'sponge3': root = writeSponge(region, 3); break;
+        case 'litematic': root = writeLitematic(region, name); break;
+        case 'structure': root = writeStructure(region); break;
+        default: throw new SchematicError(`Unknown export format: ${format}`);
+    }
+    return writeNbtFile(root.tag, root.name);
+}
+
+// Human readable summary of an import report
+export function describeImportReport(report) {
+    const lines = [`Imported ${report.imported} block(s) from ${report.format}.`];
+    if (report.placeholders.length > 0) {
+        const counts = new Map();
+        for (const { state } of report.placeholders) {
+            const name = parseBlockState(state).name;
+            counts.set(name, (counts.get(name) || 0) + 1);
+        }
+        lines.push(`${report.placeholders.length} unknown block(s) were imported as placeholders:`);
+        for (const [name, count] of counts) lines.push(`  ${name} x${count}`);
+    }
+    if (report.skipped.length > 0) {
+        lines.push(`${report.skipped.length} piston head(s) skipped; pistons re-extend when powered.`);
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,220 @@
+import { RedstoneSimulator, EntityManager, DEFAULT_DAY_TIME } from './simulator.js';
+import { serializeComponentState, deserializeComponentState } from './components.js';
+
+// Identifies circuit documents written by this app
+export const CIRCUIT_FORMAT = 'redstone-circuit';
+
+// Bump this whenever the document layout changes and add a migration below
+export const CIRCUIT_VERSION = 3;
+
+// Upgrades a document from version N to version N + 1.
+// Each entry receives the parsed document and must return the migrated one.
+const MIGRATIONS = {
+    // v2 added vertical layers: a board depth and z on positions and scheduled ticks
+    1: (doc) => ({
+        ...doc,
+        version: 2,
+        depth: new RedstoneSimulator().depth,
+        entities: Array.isArray(doc.entities)
+            ? doc.entities.map(record => ({ ...record, position: record.position && { z: 0, ...record.position } }))
+            : doc.entities,
+        scheduledTicks: (doc.scheduledTicks || []).map(tick => ({ z: 0, ...tick }))
+    }),
+    // v3 orders scheduled ticks by priority, then by when they were scheduled
+    2: (doc) => ({
+        ...doc,
+        version: 3,
+        scheduledTicks: (doc.scheduledTicks || []).map((tick, index) => ({ priority: 0, order: index, ...tick }))
+    })
+};
+
+export class CircuitFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CircuitFormatError';
+    }
+}
+
+// Capture one entity as a plain JSON-friendly record
+export function serializeEntity(simulator, id, components) {
+    const position = components.get('position');
+    const blockState = components.get('blockState');
+    const redstone = components.get('redstone');
+    const type = redstone ? simulator.getComponentType(redstone) : null;
+
+    return {
+        id,
+        position: { ...position },
+        blockState: { ...blockState },
+        // Registry key of the component class; blockState.type can drift (e.g. 'minecraft:repeater_on')
+        component: type,
+        state: redstone ? serializeComponentState(type, redstone) : null
+    };
+}
+
+export function serializeCircuit(simulator) {
+    const entities = simulator.entityManager
+        .getEntitiesWithComponent('position')
+        .map(({ id, components }) => serializeEntity(simulator, id, components));
+
+    return {
+        format: CIRCUIT_FORMAT,
+        version: CIRCUIT_VERSION,
+        width: simulator.width,
+        height: simulator.height,
+        depth: simulator.depth,
+        tickCount: simulator.tickCount,
+        dayTime: simulator.dayTime,
+        entities,
+        scheduledTicks: simulator.nextTickList.map(tick => ({ ...tick })),
+        // Block events queued between ticks (e.g. a piston whose lever was just flipped)
+        ...(simulator.blockEvents.length > 0 ? { blockEvents: simulator.blockEvents.map(event => ({ ...event })) } : {}),
+        // Optional named inputs/outputs and tests, see testbench.js
+        ...(simulator.testbench ? { testbench: structuredClone(simulator.testbench) } : {}),
+        // Optional module definitions, see modules.js
+        ...(simulator.modules && Object.keys(simulator.modules).length > 0 ? { modules: structuredClone(simulator.modules) } : {})
+    };
+}
+
+export function stringifyCircuit(simulator) {
+    return JSON.stringify(serializeCircuit(simulator), null, 2);
+}
+
+// Bring an older document up to CIRCUIT_VERSION, or throw if it can't be read
+export function migrateCircuit(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new CircuitFormatError('Circuit file is not a JSON object.');
+    }
+    if (doc.format !== CIRCUIT_FORMAT) {
+        throw new CircuitFormatError(`Not a circuit file (expected format "${CIRCUIT_FORMAT}", got "${doc.format}").`);
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new CircuitFormatError(`Invalid circuit file version: ${doc.version}.`);
+    }
+    if (doc.version > CIRCUIT_VERSION) {
+        throw new CircuitFormatError(
+            `Circuit file version ${doc.version} is newer than this designer supports (${CIRCUIT_VERSION}). Please update the app.`
+        );
+    }
+
+    let migrated = doc;
+    while (migrated.version < CIRCUIT_VERSION) {
+        const migrate = MIGRATIONS[migrated.version];
+        if (!migrate) {
+            throw new CircuitFormatError(`Circuit file version ${migrated.version} is no longer supported.`);
+        }
+        migrated = migrate(migrated);
+    }
+    return migrated;
+}
+
+// Recreate an entity from its record. Components are rebuilt through the simulator's
+// componentRegistry and get their saved state back instead of running onPlaced.
+// With an idMap (old id -> new id) the entity and its entityRefs fields are renumbered.
+// Unless `resume` is off (loading a circuit, which brings its own scheduled ticks) the component's onRestored runs.
+// Records go into `entityManager`, the simulator's own unless given another.
+export function restoreEntity(simulator, record, { idMap = null, resume = true, entityManager = simulator.entityManager } = {}) {
+    const { position, blockState, component, state } = record;
+    if (!position || !blockState || typeof blockState.type !== 'string') {
+        throw new CircuitFormatError(`Entity ${record.id} is missing its position or block state.`);
+    }
+
+    let redstone = null;
+    if (component) {
+        const ComponentClass = simulator.componentRegistry.get(component);
+        if (!ComponentClass) {
+            // Modded blocks need the plugin that defines them
+            const hint = component.startsWith('minecraft:') ? '' : ' Is the plugin that adds it loaded?';
+            throw new CircuitFormatError(`Unknown component type "${component}" (entity ${record.id}).${hint}`);
+        }
+        redstone = new ComponentClass();
+        if (state) deserializeComponentState(component, redstone, state);
+        if (idMap) {
+            for (const field of ComponentClass.entityRefs || []) {
+                redstone[field] = idMap.has(redstone[field]) ? idMap.get(redstone[field]) : -1;
+            }
+        }
+    }
+
+    const entityId = entityManager.createEntity(idMap ? idMap.get(record.id) : record.id);
+    entityManager.addComponent(entityId, 'position', { ...position });
+    if (redstone) {
+        entityManager.addComponent(entityId, 'redstone', redstone);
+    }
+    entityManager.addComponent(entityId, 'blockState', { ...blockState });
+    if (redstone && resume) {
+        redstone.onRestored(simulator, position.x, position.y, position.z || 0);
+    }
+    return entityId;
+}
+
+export function deserializeCircuit(input) {
+    const doc = migrateCircuit(input);
+    return restoreCircuit(new RedstoneSimulator(doc.width, doc.height, doc.depth), doc);
+}
+
+// Load a document into an existing simulator, replacing its blocks, scheduled ticks, block
+// events, tick count and world time. Used to rewind to a snapshot while everything holding the simulator keeps it.
+// The testbench and module definitions are only replaced when the document has them.
+// Everything is read before the simulator is touched, so a bad document leaves it as it was.
+export function restoreCircuit(simulator, input) {
+    const doc = migrateCircuit(input);
+
+    if (!Array.isArray(doc.entities)) {
+        throw new CircuitFormatError('Circuit file has no entity list.');
+    }
+
+    const entityManager = new EntityManager();
+    const seenIds = new Set();
+    for (const record of doc.entities) {
+        if (!Number.isInteger(record.id) || seenIds.has(record.id)) {
+            throw new CircuitFormatError(`Invalid or duplicate entity id: ${record.id}.`);
+        }
+        seenIds.add(record.id);
+        restoreEntity(simulator, record, { resume: false, entityManager });
+    }
+    const modules = doc.modules ? readModules(doc.modules) : null;
+
+    simulator.entityManager = entityManager;
+    simulator.tickCount = doc.tickCount || 0;
+    // Circuits saved before daylight sensors have no world time
+    simulator.dayTime = Number.isInteger(doc.dayTime) ? doc.dayTime : DEFAULT_DAY_TIME;
+    simulator.setScheduledTicks((doc.scheduledTicks || []).map(tick => ({ ...tick })));
+    simulator.nextTickOrder = simulator.nextTickList.reduce((next, tick) => Math.max(next, tick.order + 1), 0);
+    simulator.blockEvents = (doc.blockEvents || []).map(event => ({ ...event }));
+    if (doc.testbench) simulator.testbench = structuredClone(doc.testbench);
+    if (modules) restoreModules(simulator, modules);
+    return simulator;
+}
+
+// Copies of a document's module definitions, checked and brought up to date
+function readModules(modules) {
+    if (typeof modules !== 'object' || Array.isArray(modules)) {
+        throw new CircuitFormatError('Circuit file has an invalid module list.');
+    }
+    const result = {};
+    for (const [name, module] of Object.entries(modules)) {
+        if (!module || !Array.isArray(module.pins)) {
+            throw new CircuitFormatError(`Module ${name} has no pin list.`);
+        }
+        result[name] = { pins: structuredClone(module.pins), circuit: migrateCircuit(structuredClone(module.circuit)) };
+    }
+    return result;
+}
+
+// Module definitions are updated in place: nested simulators share the object (modules.js)
+function restoreModules(simulator, modules) {
+    if (!simulator.modules) simulator.modules = {};
+    for (const name of Object.keys(simulator.modules)) delete simulator.modules[name];
+    Object.assign(simulator.modules, modules);
+}
+
+export function parseCircuit(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (e) {
+        throw new CircuitFormatError(`Circuit file is not valid JSON: ${e.message}`);
+    }
+    return deserializeCircuit(doc);
+}
@@ -1,3 +1,7 @@
+import {
+    getComponentDefinition, getComponentDefinitions, serializeComponentState, deserializeComponentState, reserveBuiltInTypes
+} from './components.js';
+
 
 export const Direction = {
     NORTH: 0,
@@ -6,6 +10,9 @@ export const Direction = {
     WEST: 3,
     UP: 4,
     DOWN: 5,
+
+    HORIZONTALS: [0, 1, 2, 3],
+    ALL: [0, 1, 2, 3, 4, 5],
     
     // Helpers to get vector from direction
     toVector: (dir) => {
@@ -31,33 +38,111 @@ export const Direction = {
             case 5: return 4;
             default: return dir;
         }
-    }
+    },
+
+    // Axis a direction runs along: 'x', 'y' or 'z'
+    axis: (dir) => (dir >= 4 ? 'z' : (dir % 2 === 0 ? 'y' : 'x'))
+};
+
+// Scheduled tick priorities, lowest runs first (Java's TickPriority)
+export const TickPriority = {
+    EXTREMELY_HIGH: -3,
+    VERY_HIGH: -2,
+    HIGH: -1,
+    NORMAL: 0
 };
 
+function compareTicks(a, b) {
+    return (a.time - b.time) || (a.priority - b.priority) || (a.order - b.order);
+}
+
 export class EntityManager {
     constructor() {
         this.entities = new Map();
         this.nextId = 1;
+        // Spatial index: chunk key -> Chunk mapping cells to entity ids.
+        // Kept in sync through the 'position' component, so never assign to
+        // a position's fields directly - use moveEntity.
+        this.chunks = new Map();
+        // Ids of entities whose component has onGameTick, in the order those components were added.
+        // Kept in sync through the 'redstone' component, so createEntity, removeEntity, restoring
+        // and pistons all maintain it and tickBlockEntities doesn't have to look at every block.
+        this.tickingEntities = new Set();
     }
     
-    createEntity() {
-        const id = this.nextId++;
+    createEntity(id = this.nextId) {
+        // An explicit id is used when restoring saved circuits
+        this.nextId = Math.max(this.nextId, id + 1);
         this.entities.set(id, new Map());
         return id;
     }
     
     removeEntity(id) {
+        const components = this.entities.get(id);
+        if (components && components.has('position')) {
+            this.unindex(id, components.get('position'));
+        }
+        this.tickingEntities.delete(id);
         this.entities.delete(id);
     }
     
     addComponent(entityId, componentName, component) {
         if (!this.entities.has(entityId)) return;
-        this.entities.get(entityId).set(componentName, component);
+        const components = this.entities.get(entityId);
+        if (componentName === 'position') {
+            if (components.has('position')) this.unindex(entityId, components.get('position'));
+            this.index(entityId, component);
+        }
+        if (componentName === 'redstone' && components.get('redstone') !== component) {
+            this.tickingEntities.delete(entityId);
+            if (typeof component.onGameTick === 'function') this.tickingEntities.add(entityId);
+        }
+        components.set(componentName, component);
     }
     
     removeComponent(entityId, componentName) {
         if (!this.entities.has(entityId)) return;
-        this.entities.get(entityId).delete(componentName);
+        const components = this.entities.get(entityId);
+        if (componentName === 'position' && components.has('position')) {
+            this.unindex(entityId, components.get('position'));
+        }
+        if (componentName === 'redstone') this.tickingEntities.delete(entityId);
+        components.delete(componentName);
+    }
+    
+    moveEntity(entityId, x, y, z) {
+        const position = this.getComponent(entityId, 'position');
+        if (!position) return;
+        this.unindex(entityId, position);
+        position.x = x;
+        position.y = y;
+        position.z = z;
+        this.index(entityId, position);
+    }
+    
+    // Id of the entity occupying a cell, or undefined
+    getEntityAt(x, y, z) {
+        const chunk = this.chunks.get(chunkKey(x, y));
+        return chunk ? chunk.getBlock(x, y, z) : undefined;
+    }
+    
+    index(entityId, { x, y, z = 0 }) {
+        const key = chunkKey(x, y);
+        let chunk = this.chunks.get(key);
+        if (!chunk) {
+            chunk = new Chunk(Math.floor(x / CHUNK_SIZE), Math.floor(y / CHUNK_SIZE));
+            this.chunks.set(key, chunk);
+        }
+        chunk.setBlock(x, y, z, entityId);
+    }
+    
+    unindex(entityId, { x, y, z = 0 }) {
+        const key = chunkKey(x, y);
+        const chunk = this.chunks.get(key);
+        // Only clear the cell if it still points at this entity
+        if (!chunk || chunk.getBlock(x, y, z) !== entityId) return;
+        chunk.removeBlock(x, y, z);
+        if (chunk.blocks.size === 0) this.chunks.delete(key);
     }
     
     getComponent(entityId, componentName) {
@@ -76,6 +161,19 @@ export class EntityManager {
     }
 }
 
+// Chunks are CHUNK_SIZE x CHUNK_SIZE columns covering every layer, like Minecraft's.
+// Their x/z are chunk coordinates in Minecraft terms, i.e. our grid x and y.
+const CHUNK_SIZE = 16;
+
+// Key of a single cell, for sets of cells
+function cellKey(x, y, z) {
+    return `${x},${y},${z}`;
+}
+
+function chunkKey(x, y) {
+    return `${Math.floor(x / CHUNK_SIZE)},${Math.floor(y / CHUNK_SIZE)}`;
+}
+
 export class Chunk {
     constructor(x, z) {
         this.x = x;
@@ -93,54 +191,84 @@ export class Chunk {
         const key = `${x},${y},${z}`;
         this.blocks.set(key, block);
     }
+    
+    removeBlock(x, y, z) {
+        this.blocks.delete(`${x},${y},${z}`);
+    }
 }
+// World time: a day is 24000 ticks, starting at sunrise
+export const DAY_LENGTH = 24000;
+export const DEFAULT_DAY_TIME = 6000; // Noon
 
 export class RedstoneSimulator {
-    constructor(width = 64, height = 48) {
+    constructor(width = 64, height = 48, depth = 16) {
         this.width = width;
         this.height = height;
+        this.depth = depth; // Number of vertical layers (z = 0 is the bottom)
         this.cellSize = 16;
         this.entityManager = new EntityManager();
         this.tickCount = 0;
         this.nextTickList = [];
+        this.scheduledCells = new Set(); // 'x,y,z' of every cell in nextTickList; change both together
+        this.nextTickOrder = 0; // Insertion counter, the last tie-breaker between ticks
+        this.testbench = null;  // Named inputs/outputs and tests saved with the circuit (testbench.js)
+        this.modules = null;    // Module definitions saved with the circuit (modules.js)
+        this.tickListeners = []; // Called with the simulator after every game tick (e.g. the logic analyzer)
+        this.blockEvents = [];  // Queued block events, run at the end of the tick (pistons)
+        this.soundListeners = []; // Called with the simulator and { x, y, z, instrument, note } when a note plays
+        this.dayTime = DEFAULT_DAY_TIME; // World time of day in ticks, read by daylight sensors; the daylight cycle is off
         
-        this.componentRegistry = new Map();
+        this.componentRegistry = new Map(); // type -> component class, or null for blocks without one
+        this.paletteEntries = new Map();    // type -> { type, name, category, title } for placeable blocks
         this.initComponentRegistry();
     }
     
     initComponentRegistry() {
-        this.registerComponent('minecraft:redstone_dust', RedstoneDustComponent);
-        this.registerComponent('minecraft:redstone_torch', RedstoneTorchComponent);
-        this.registerComponent('minecraft:lever', LeverComponent);
-        this.registerComponent('minecraft:button', ButtonComponent);
-        this.registerComponent('minecraft:repeater', RepeaterComponent);
-        this.registerComponent('minecraft:comparator', ComparatorComponent);
-        this.registerComponent('minecraft:observer', ObserverComponent);
-        this.registerComponent('minecraft:piston', PistonComponent);
-        this.registerComponent('minecraft:sticky_piston', StickyPistonComponent);
-        this.registerComponent('minecraft:piston_head', PistonHeadComponent);
-        this.registerComponent('minecraft:redstone_block', RedstoneBlockComponent);
-        this.registerComponent('minecraft:stone', StoneComponent);
+        // Built-in blocks first, then blocks added through component definitions (components.js)
+        [...BUILT_IN_COMPONENTS, ...getComponentDefinitions()].forEach(({ type, component, name, category, title, palette }) => {
+            this.registerComponent(type, component || null, palette === false ? null : { name, category, title });
+        });
     }
     
-    registerComponent(type, componentClass) {
+    // componentClass is null for blocks without logic. Types with a palette entry
+    // ({ name, category, title }) are offered in the palette; piston heads and moving
+    // blocks only ever appear through pistons.
+    registerComponent(type, componentClass, palette = null) {
         this.componentRegistry.set(type, componentClass);
+        if (palette) this.paletteEntries.set(type, { type, ...palette });
+        else this.paletteEntries.delete(type);
+    }
+
+    getPaletteEntries() {
+        return [...this.paletteEntries.values()];
+    }
+
+    // Reverse registry lookup: which type id was this component created from?
+    getComponentType(component) {
+        for (const [type, componentClass] of this.componentRegistry) {
+            if (component.constructor === componentClass) return type;
+        }
+        return null;
+    }
+    
+    isInBounds(x, y, z = 0) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height && z >= 0 && z < this.depth;
     }
     
-    createEntity(type, x, y) {
+    createEntity(type, x, y, z = 0, rotation = 0) {
         const entityId = this.entityManager.createEntity();
         
-        this.entityManager.addComponent(entityId, 'position', { x, y, z: 0 });
+        this.entityManager.addComponent(entityId, 'position', { x, y, z });
         
-        if (this.componentRegistry.has(type)) {
-            const ComponentClass = this.componentRegistry.get(type);
+        const ComponentClass = this.componentRegistry.get(type);
+        if (ComponentClass) {
             const component = new ComponentClass();
             this.entityManager.addComponent(entityId, 'redstone', component);
         }
         
         this.entityManager.addComponent(entityId, 'blockState', {
             type: type,
-            rotation: 0,
+            rotation,
             powered: false,
             powerLevel: 0,
             waterlogged: false
@@ -149,8 +277,10 @@ export class RedstoneSimulator {
         // Initial update for the new component
         const component = this.entityManager.getComponent(entityId, 'redstone');
         if (component) {
-             component.onPlaced(this, x, y);
+             component.onPlaced(this, x, y, z);
         }
+        // Placing any block is a block update for its neighbours (BUD switches rely on this)
+        this.notifyNeighbors(x, y, z);
 
         return entityId;
     }
@@ -158,6 +288,9 @@ export class RedstoneSimulator {
     tick() {
         this.tickCount++;
         this.processScheduledTicks();
+        this.processBlockEvents();
+        this.tickBlockEntities();
+        this.tickListeners.forEach(listener => listener(this));
         
         // Note: In a true event-driven system, we don't need a global update loop for redstone.
         // Updates are triggered by interactions or scheduled ticks.
@@ -165,277 +298,641 @@ export class RedstoneSimulator {
         // For now, we rely on scheduled ticks and neighbor updates.
     }
     
+    addTickListener(listener) {
+        this.tickListeners.push(listener);
+    }
+    
+    removeTickListener(listener) {
+        this.tickListeners = this.tickListeners.filter(l => l !== listener);
+    }
+
+    // Sounds are left to whoever listens (main.js plays them); the simulation itself is silent
+    addSoundListener(listener) {
+        this.soundListeners.push(listener);
+    }
+
+    removeSoundListener(listener) {
+        this.soundListeners = this.soundListeners.filter(l => l !== listener);
+    }
+
+    playSound(sound) {
+        this.soundListeners.forEach(listener => listener(this, sound));
+    }
+    
     processScheduledTicks() {
-        // Sort by time, then priority (not implemented here, but Java does it)
-        // We just process all ticks that are due.
+        // Like Java Edition: run every due tick ordered by time, then priority
+        // (lower first), then the order they were scheduled in.
         const now = this.tickCount; // Use tickCount as time
         
         // Filter ticks that are due
-        const dueTicks = this.nextTickList.filter(t => t.time <= now);
+        const dueTicks = this.nextTickList.filter(t => t.time <= now).sort(compareTicks);
         // Remove due ticks from list
         this.nextTickList = this.nextTickList.filter(t => t.time > now);
+        dueTicks.forEach(t => this.scheduledCells.delete(cellKey(t.x, t.y, t.z)));
         
         // Process them
-        // To avoid infinite loops in one tick (though delay should prevent that), we iterate a copy
+        // Ticks scheduled while these run (even with delay 0) wait for the next game tick
         for (const tick of dueTicks) {
-            const entity = this.getBlockEntity(tick.x, tick.y);
+            const entity = this.getBlockEntity(tick.x, tick.y, tick.z);
             if (entity) {
                 const redstone = entity.components.get('redstone');
                 if (redstone) {
-                    redstone.onScheduledTick(this, tick.x, tick.y, tick.data);
+                    redstone.onScheduledTick(this, tick.x, tick.y, tick.z, tick.data);
                 }
             }
         }
     }
     
-    scheduleBlockUpdate(x, y, delay, priority = 0) {
-        // delay is in game ticks. 
+    // Block events run after the scheduled ticks, in the order they were queued. Like Java,
+    // events queued while they run are handled in the same tick, and a block can't have
+    // the same event queued twice. Returns whether the event was added.
+    queueBlockEvent(x, y, z, type, data = 0) {
+        const queued = this.blockEvents.some(event =>
+            event.x === x && event.y === y && event.z === z && event.type === type && event.data === data);
+        if (queued) return false;
+        this.blockEvents.push({ x, y, z, type, data });
+        return true;
+    }
+
+    processBlockEvents() {
+        while (this.blockEvents.length > 0) {
+            const event = this.blockEvents.shift();
+            const entity = this.getBlockEntity(event.x, event.y, event.z);
+            const redstone = entity && entity.components.get('redstone');
+            if (redstone) {
+                redstone.onBlockEvent(this, event.x, event.y, event.z, event.type, event.data);
+            }
+        }
+    }
+
+    // Components that act every game tick (hoppers) define onGameTick; like Java's block
+    // entities they run after the block events, in the order they were placed
+    tickBlockEntities() {
+        // A copy, as ticking can add or remove blocks
+        for (const id of [...this.entityManager.tickingEntities]) {
+            const components = this.entityManager.entities.get(id);
+            const redstone = components && components.get('redstone');
+            if (!redstone || typeof redstone.onGameTick !== 'function') continue;
+            const { x, y, z } = components.get('position');
+            redstone.onGameTick(this, x, y, z);
+        }
+    }
+
+    // delay is in game ticks; priority is one of TickPriority.
+    // A block has at most one pending tick: scheduling another while one is
+    // waiting does nothing, as in Java. Returns whether the tick was added.
+    scheduleBlockUpdate(x, y, z, delay, priority = TickPriority.NORMAL) {
+        if (this.hasScheduledTick(x, y, z)) return false;
+        this.scheduledCells.add(cellKey(x, y, z));
         this.nextTickList.push({
-            x, y,
+            x, y, z,
             time: this.tickCount + delay,
-            priority
+            priority,
+            order: this.nextTickOrder++
         });
+        return true;
     }
 
-    getBlockEntity(x, y) {
-        // Optimized lookup could be added here (e.g., a 2D array cache)
-        // For now, linear search is okay for small grids, but Map is better.
-        // The EntityManager is not spatially indexed. 
-        // Let's implement a quick spatial lookup helper if needed, 
-        // but for <1000 entities, find() is acceptable for this prototype.
-        const entities = this.entityManager.getEntitiesWithComponent('position');
-        return entities.find(({ components }) => {
-            const pos = components.get('position');
-            return pos.x === x && pos.y === y;
-        });
+    hasScheduledTick(x, y, z) {
+        return this.scheduledCells.has(cellKey(x, y, z));
+    }
+
+    // Replace every pending tick (loading a circuit, rewinding)
+    setScheduledTicks(ticks) {
+        this.nextTickList = ticks;
+        this.scheduledCells = new Set(ticks.map(tick => cellKey(tick.x, tick.y, tick.z)));
+    }
+
+    cancelScheduledTick(x, y, z) {
+        if (!this.scheduledCells.delete(cellKey(x, y, z))) return;
+        this.nextTickList = this.nextTickList.filter(tick => tick.x !== x || tick.y !== y || tick.z !== z);
+    }
+
+    // Same { id, components } shape as getEntitiesWithComponent, via the chunk index
+    getBlockEntity(x, y, z = 0) {
+        const id = this.entityManager.getEntityAt(x, y, z);
+        if (id === undefined) return undefined;
+        return { id, components: this.entityManager.entities.get(id) };
     }
 
-    // Get power level at x,y coming FROM a specific direction
-    // direction is where the power is coming FROM (relative to x,y)
+    removeEntity(id) {
+        const position = this.entityManager.getComponent(id, 'position');
+        const redstone = this.entityManager.getComponent(id, 'redstone');
+        this.entityManager.removeEntity(id);
+        // Comparators reading the block see it go
+        if (position && isComparatorSource(redstone)) {
+            this.updateComparatorsAround(position.x, position.y, position.z);
+        }
+    }
+
+    moveEntity(id, x, y, z) {
+        this.entityManager.moveEntity(id, x, y, z);
+    }
+
+    getBlockType(x, y, z) {
+        const entity = this.getBlockEntity(x, y, z);
+        return entity ? entity.components.get('blockState').type : null;
+    }
+
+    // Solid blocks conduct power and stop dust from climbing diagonally past them
+    isConductive(x, y, z) {
+        const type = this.getBlockType(x, y, z);
+        return CONDUCTIVE_BLOCKS.has(type) || hasDefinedProperty(type, 'conductive');
+    }
+
+    // Full-height blocks that dust can sit on and climb onto
+    isFullBlock(x, y, z) {
+        const type = this.getBlockType(x, y, z);
+        return FULL_BLOCKS.has(type) || hasDefinedProperty(type, 'fullBlock') ||
+            hasDefinedProperty(type, 'conductive') || hasDefinedProperty(type, 'transparent');
+    }
+
+    // Full blocks that don't conduct; dust on them won't pass power back down
+    isTransparent(x, y, z) {
+        const type = this.getBlockType(x, y, z);
+        return TRANSPARENT_BLOCKS.has(type) || hasDefinedProperty(type, 'transparent');
+    }
+
+    isDust(x, y, z) {
+        return this.getBlockType(x, y, z) === 'minecraft:redstone_dust';
+    }
+
+    // Dust one layer up or down that a dust at (x, y, z) connects to in a horizontal direction.
+    // Returns the z of that dust, or null. Dust climbs onto a full block beside it unless a
+    // solid block above cuts it, and runs down a block's side into dust below.
+    getClimbingDustLayer(x, y, z, dir) {
+        const vec = Direction.toVector(dir);
+        const nx = x + vec.x;
+        const ny = y + vec.y;
+        if (this.isFullBlock(nx, ny, z) && !this.isConductive(x, y, z + 1) && this.isDust(nx, ny, z + 1)) {
+            return z + 1;
+        }
+        // Mirror of the case above, seen from the upper dust sitting on its block
+        if (this.isFullBlock(x, y, z - 1) && !this.getBlockEntity(nx, ny, z) && this.isDust(nx, ny, z - 1)) {
+            return z - 1;
+        }
+        return null;
+    }
+
+    // Get power level at x,y,z coming FROM a specific direction
+    // direction is where the power is coming FROM (relative to x,y,z)
     // So if I am at (x,y) and checking input from North (x, y-1), 
     // I ask the block at (x, y-1) for its weak/strong power output towards South (Direction.SOUTH).
-    getPower(x, y, fromDirection) {
-        // x,y is the target block. 
-        // fromDirection is the direction relative to x,y where the source is.
+    // forDust: whether the reader is dust (and so ignores weakly powered blocks);
+    // by default that is decided by what sits at x,y,z.
+    getPower(x, y, z, fromDirection, forDust = this.isDust(x, y, z)) {
+        // x,y,z is the target block. 
+        // fromDirection is the direction relative to x,y,z where the source is.
         // e.g. fromDirection = NORTH means source is at (x, y-1).
         
         const vec = Direction.toVector(fromDirection);
         const sourceX = x + vec.x;
         const sourceY = y + vec.y;
+        const sourceZ = z + vec.z;
         
-        const sourceEntity = this.getBlockEntity(sourceX, sourceY);
+        const sourceEntity = this.getBlockEntity(sourceX, sourceY, sourceZ);
         if (!sourceEntity) return 0;
         
-        const redstone = sourceEntity.components.get('redstone');
-        if (!redstone) {
-            // Check if it's a solid block that can conduct power (Strongly powered)
-            // For now, assume simple components. 
-            // If it's a block, we need to check if IT is powered by something else?
-            // "Strong power" vs "Weak power".
-            // If the source is a generic block (e.g. Stone), it provides power if it is strongly powered.
-            return 0; // Stone doesn't generate power itself
+        // A powered solid block passes its power on to whatever is reading it.
+        // Dust only picks up strong power from it, so weakly powered blocks can't feed dust.
+        if (this.isConductive(sourceX, sourceY, sourceZ)) {
+            return this.getConductorPower(sourceX, sourceY, sourceZ, !forDust);
         }
         
+        const redstone = sourceEntity.components.get('redstone');
+        if (!redstone) return 0; // Glass and other inert blocks
+        
         // Ask the source for its output towards the opposite direction
         // (Source is to the North, so it outputs to the South)
-        return redstone.getPowerOutput(this, sourceX, sourceY, Direction.opposite(fromDirection));
+        return redstone.getPowerOutput(this, sourceX, sourceY, sourceZ, Direction.opposite(fromDirection));
+    }
+
+    // Power held by a solid block at x,y,z: the strongest power driven into it by
+    // its neighbours. Strong power comes from components' getStrongPowerOutput;
+    // weak power from dust pointing into the block, counted only if includeWeak.
+    getConductorPower(x, y, z, includeWeak = true) {
+        let max = 0;
+        Direction.ALL.forEach(dir => {
+            const vec = Direction.toVector(dir);
+            const nx = x + vec.x;
+            const ny = y + vec.y;
+            const nz = z + vec.z;
+            if (this.isConductive(nx, ny, nz)) return; // Blocks don't power each other
+            
+            const neighbor = this.getBlockEntity(nx, ny, nz);
+            const redstone = neighbor && neighbor.components.get('redstone');
+            if (!redstone) return;
+            
+            const toDirection = Direction.opposite(dir);
+            max = Math.max(max, redstone.getStrongPowerOutput(this, nx, ny, nz, toDirection));
+            if (includeWeak) {
+                max = Math.max(max, redstone.getWeakBlockPowerOutput(this, nx, ny, nz, toDirection));
+            }
+        });
+        return max;
     }
 
     // Helper to get strongest power from all neighbors
-    getMaxNeighborPower(x, y) {
+    getMaxNeighborPower(x, y, z) {
         let max = 0;
-        [Direction.NORTH, Direction.EAST, Direction.SOUTH, Direction.WEST].forEach(dir => {
-            max = Math.max(max, this.getPower(x, y, dir));
+        Direction.ALL.forEach(dir => {
+            max = Math.max(max, this.getPower(x, y, z, dir));
         });
         return max;
     }
 
-    notifyNeighbors(x, y) {
-        [Direction.NORTH, Direction.EAST, Direction.SOUTH, Direction.WEST].forEach(dir => {
+    notifyNeighbors(x, y, z) {
+        Direction.ALL.forEach(dir => {
             const vec = Direction.toVector(dir);
             const nx = x + vec.x;
             const ny = y + vec.y;
-            const neighbor = this.getBlockEntity(nx, ny);
+            const nz = z + vec.z;
+            const neighbor = this.getBlockEntity(nx, ny, nz);
             if (neighbor) {
                 const redstone = neighbor.components.get('redstone');
                 if (redstone) {
-                    redstone.onNeighborUpdate(this, nx, ny, x, y);
+                    redstone.onNeighborUpdate(this, nx, ny, nz, x, y, z);
                 }
             }
         });
     }
 
-    // Quasi-connectivity check (used by Pistons, Droppers, Dispensers)
-    checkQuasiConnectivity(x, y) {
-        // Check block above (y-1) and block above-up (y-2, impossible in 2D?)
-        // In top-down 2D, let's assume "Up" is not visible, 
-        // but maybe we map "Up" to something?
-        // Or is this a side-view simulator?
-        // User said "redstone circuit designer", usually top down.
-        // But QC usually refers to checking 1 block *above* the component.
-        // If this is top-down (X, Z in Minecraft terms), QC doesn't apply the same way unless we have layers.
-        // Assuming this is a standard top-down 2D redstone sim (like Redstone Simulator on web), 
-        // QC might not be relevant or is simulated differently.
-        // However, I will leave the hook.
-        return false;
+    // Re-evaluate a block and wake its neighbours after an external edit (undo, paste)
+    refreshBlock(x, y, z) {
+        const entity = this.getBlockEntity(x, y, z);
+        const redstone = entity && entity.components.get('redstone');
+        if (redstone) redstone.onNeighborUpdate(this, x, y, z, x, y, z);
+        this.notifyNeighbors(x, y, z);
+        if (isComparatorSource(redstone)) this.updateComparatorsAround(x, y, z);
+    }
+
+    // The comparator output of the block at x,y,z changed (e.g. a chest's contents): comparators
+    // next to it, or behind a conductor next to it, take another look. Java's
+    // updateNeighbourForOutputSignal.
+    updateComparatorsAround(x, y, z) {
+        Direction.HORIZONTALS.forEach(dir => {
+            const vec = Direction.toVector(dir);
+            let nx = x + vec.x;
+            let ny = y + vec.y;
+            if (this.isConductive(nx, ny, z)) {
+                nx += vec.x;
+                ny += vec.y;
+            }
+            const neighbor = this.getBlockEntity(nx, ny, z);
+            const redstone = neighbor && neighbor.components.get('redstone');
+            if (redstone instanceof ComparatorComponent) {
+                redstone.onNeighborUpdate(this, nx, ny, z, x, y, z);
+            }
+        });
+    }
+
+    // Quasi-connectivity (used by Pistons, Droppers, Dispensers): these blocks also
+    // count as powered when the space *above* them (z + 1) would be powered, whatever
+    // occupies it. That space's neighbours are the cells diagonally above and two above.
+    // Nothing tells the component when those change, so it only reacts on its next
+    // block update - which is what makes BUD switches work.
+    getQuasiConnectivitySources(x, y, z) {
+        const above = z + 1;
+        return Direction.ALL
+            .filter(dir => dir !== Direction.DOWN) // That's the component itself
+            .map(dir => {
+                const vec = Direction.toVector(dir);
+                return {
+                    x: x + vec.x,
+                    y: y + vec.y,
+                    z: above + vec.z,
+                    power: this.getPower(x, y, above, dir, false)
+                };
+            });
+    }
+
+    checkQuasiConnectivity(x, y, z) {
+        return this.getQuasiConnectivitySources(x, y, z).some(source => source.power > 0);
     }
 
     getWidth() { return this.width; }
     getHeight() { return this.height; }
+    getDepth() { return this.depth; }
+}
+
+// Blocks that conduct redstone power and cut dust running diagonally past them
+const CONDUCTIVE_BLOCKS = new Set([
+    'minecraft:stone',
+    'minecraft:obsidian',
+    'minecraft:bedrock',
+    'minecraft:barrel',
+    'minecraft:dropper',
+    'minecraft:dispenser',
+    'minecraft:redstone_lamp',
+    'minecraft:note_block'
+]);
+
+// Full blocks that neither conduct nor cut dust
+const TRANSPARENT_BLOCKS = new Set(['minecraft:glass', 'minecraft:slime_block', 'minecraft:honey_block']);
+
+// Full-height blocks dust can be placed on and climb onto
+const FULL_BLOCKS = new Set([
+    'minecraft:stone',
+    'minecraft:obsidian',
+    'minecraft:bedrock',
+    'minecraft:barrel',
+    'minecraft:dropper',
+    'minecraft:dispenser',
+    'minecraft:redstone_lamp',
+    'minecraft:note_block',
+    'minecraft:glass',
+    'minecraft:slime_block',
+    'minecraft:honey_block',
+    'minecraft:redstone_block',
+    'minecraft:target',
+    'minecraft:observer',
+    'minecraft:observer_on',
+    'minecraft:piston',
+    'minecraft:sticky_piston'
+]);
+
+// Block properties set in a component definition, e.g. conductive
+function hasDefinedProperty(type, property) {
+    const definition = type && getComponentDefinition(type);
+    return Boolean(definition && definition[property]);
+}
+
+// Which rotations a block type can take: horizontals, plus UP for standing torches
+// and UP/DOWN for blocks that can face vertically
+export function getAllowedRotations(type) {
+    const definition = getComponentDefinition(type);
+    if (definition && definition.rotations) return definition.rotations;
+    if (type.includes('piston') || type.includes('observer')) return Direction.ALL;
+    if (['minecraft:barrel', 'minecraft:dropper', 'minecraft:dispenser', 'minecraft:item_frame'].includes(type)) {
+        return Direction.ALL;
+    }
+    if (type.includes('torch')) return [...Direction.HORIZONTALS, Direction.UP];
+    if (type === 'minecraft:hopper') return [Direction.DOWN, ...Direction.HORIZONTALS];
+    return Direction.HORIZONTALS;
 }
 
-// Base Component
-class RedstoneComponent {
+// Game ticks before a comparator reacts to a change in its inputs
+const COMPARATOR_DELAY = 1;
+
+// Java gives a diode's tick priority when the block in front of it is another
+// diode that isn't facing back into it
+function isPrioritizedDiode(simulator, x, y, z, rotation) {
+    const vec = Direction.toVector(rotation);
+    const front = simulator.getBlockEntity(x + vec.x, y + vec.y, z);
+    const redstone = front && front.components.get('redstone');
+    if (!(redstone instanceof RepeaterComponent || redstone instanceof ComparatorComponent)) return false;
+    return front.components.get('blockState').rotation !== Direction.opposite(rotation);
+}
+
+// Base Component, which plugin components (components.js) extend too
+export class RedstoneComponent {
     constructor() {
         this.powerLevel = 0;
     }
 
-    onPlaced(simulator, x, y) {
-        this.onNeighborUpdate(simulator, x, y, x, y);
+    onPlaced(simulator, x, y, z) {
+        this.onNeighborUpdate(simulator, x, y, z, x, y, z);
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        // Default: do nothing
+    }
+
+    onScheduledTick(simulator, x, y, z, data) {
+        // Default: do nothing
     }
 
-    onNeighborUpdate(simulator, x, y, neighborX, neighborY) {
+    // A block event queued for this block with simulator.queueBlockEvent
+    onBlockEvent(simulator, x, y, z, type, data) {
         // Default: do nothing
     }
 
-    onScheduledTick(simulator, x, y, data) {
+    // Put back by a paste, undo or redo, which copy blocks but not their scheduled ticks
+    onRestored(simulator, x, y, z) {
         // Default: do nothing
     }
 
     // Return power level outputting towards 'toDirection'
-    getPowerOutput(simulator, x, y, toDirection) {
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        return 0;
+    }
+
+    // Power driven into a solid block towards 'toDirection' strongly enough
+    // for that block to power dust as well as components
+    getStrongPowerOutput(simulator, x, y, z, toDirection) {
         return 0;
     }
+
+    // Power that only weakly powers a solid block (it can't feed dust from there)
+    getWeakBlockPowerOutput(simulator, x, y, z, toDirection) {
+        return 0;
+    }
+
+    // Whether dust on the 'fromDirection' side of this block links up with it.
+    // Dust only points into (and so only powers) blocks it links up with.
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return false;
+    }
     
+    // Plain copy of the component's own fields, used for saving circuits.
+    // Subclasses with non-JSON state should override both methods.
+    serialize() {
+        return { ...this };
+    }
+
+    deserialize(state) {
+        Object.assign(this, state);
+    }
+
     // Helper to update visual block state
-    updateBlockState(simulator, x, y, changes) {
-        const entity = simulator.getBlockEntity(x, y);
+    updateBlockState(simulator, x, y, z, changes) {
+        const entity = simulator.getBlockEntity(x, y, z);
         if (entity) {
             const blockState = entity.components.get('blockState');
             Object.assign(blockState, changes);
         }
     }
+
+    getRotation(simulator, x, y, z) {
+        return simulator.getBlockEntity(x, y, z).components.get('blockState').rotation;
+    }
 }
 
 class RedstoneDustComponent extends RedstoneComponent {
-    onNeighborUpdate(simulator, x, y, neighborX, neighborY) {
+    constructor() {
+        super();
+        this.dot = false; // Shape when nothing is connected: a dot, or (by default) a cross
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
         // Calculate new power level based on neighbors
         let maxPower = 0;
         
-        [Direction.NORTH, Direction.EAST, Direction.SOUTH, Direction.WEST].forEach(dir => {
+        Direction.ALL.forEach(dir => {
             const vec = Direction.toVector(dir);
             const nx = x + vec.x;
             const ny = y + vec.y;
+            const nz = z + vec.z;
             
-            const neighbor = simulator.getBlockEntity(nx, ny);
+            const neighbor = simulator.getBlockEntity(nx, ny, nz);
             if (!neighbor) return;
             
             const redstone = neighbor.components.get('redstone');
-            if (redstone) {
-                // If neighbor is dust, it provides power - 1
-                if (redstone instanceof RedstoneDustComponent) {
-                    maxPower = Math.max(maxPower, redstone.powerLevel - 1);
-                } 
-                // If neighbor is a source (Repeater, Torch, Lever, Block), check its output
-                else {
-                    maxPower = Math.max(maxPower, redstone.getPowerOutput(simulator, nx, ny, Direction.opposite(dir)));
-                }
+            // If neighbor is dust, it provides power - 1
+            if (redstone instanceof RedstoneDustComponent) {
+                // Dust only links up along its own layer
+                if (vec.z === 0) maxPower = Math.max(maxPower, redstone.powerLevel - 1);
+            } 
+            // If neighbor is a source (Repeater, Torch, Lever, Block) or a powered solid block, check its output
+            else {
+                maxPower = Math.max(maxPower, simulator.getPower(x, y, z, dir));
             }
         });
 
+        // Dust running up or down the side of a block
+        Direction.HORIZONTALS.forEach(dir => {
+            const layer = simulator.getClimbingDustLayer(x, y, z, dir);
+            if (layer === null) return;
+            const vec = Direction.toVector(dir);
+            // Power climbs up transparent blocks but doesn't come back down them
+            if (layer > z && simulator.isTransparent(x + vec.x, y + vec.y, z)) return;
+            const dust = simulator.getBlockEntity(x + vec.x, y + vec.y, layer).components.get('redstone');
+            maxPower = Math.max(maxPower, dust.powerLevel - 1);
+        });
+
+        // A new or removed neighbour can change which blocks we point into
+        const pointing = this.getPointedDirections(simulator, x, y, z).join(',');
+        const reshaped = pointing !== this.pointing;
+        this.pointing = pointing;
+
         if (this.powerLevel !== maxPower) {
             this.powerLevel = maxPower;
-            this.updateBlockState(simulator, x, y, { powerLevel: maxPower });
-            simulator.notifyNeighbors(x, y);
+            this.updateBlockState(simulator, x, y, z, { powerLevel: maxPower });
+            simulator.notifyNeighbors(x, y, z);
+            this.notifyClimbingDust(simulator, x, y, z);
+        } else if (reshaped && this.powerLevel > 0) {
+            simulator.notifyNeighbors(x, y, z);
         }
     }
 
-    getPowerOutput(simulator, x, y, toDirection) {
-        // Dust outputs weak power to all sides, and strong power to none (unless we count blocks)
-        // For components, we just return the power level.
-        return this.powerLevel;
+    // Diagonal dust isn't a direct neighbour, so wake it explicitly
+    notifyClimbingDust(simulator, x, y, z) {
+        Direction.HORIZONTALS.forEach(dir => {
+            const layer = simulator.getClimbingDustLayer(x, y, z, dir);
+            if (layer === null) return;
+            const vec = Direction.toVector(dir);
+            const dust = simulator.getBlockEntity(x + vec.x, y + vec.y, layer).components.get('redstone');
+            dust.onNeighborUpdate(simulator, x + vec.x, y + vec.y, layer, x, y, z);
+        });
+    }
+
+    // Dust powers the component under it and the ones it points into, never the one above
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        if (toDirection === Direction.DOWN) return this.powerLevel;
+        if (toDirection === Direction.UP) return 0;
+        return this.getPointedDirections(simulator, x, y, z).includes(toDirection) ? this.powerLevel : 0;
+    }
+
+    // Dust weakly powers the block under it and the blocks it points into
+    getWeakBlockPowerOutput(simulator, x, y, z, toDirection) {
+        return this.getPowerOutput(simulator, x, y, z, toDirection);
+    }
+
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return true;
+    }
+
+    // Horizontal directions this dust links up with something in
+    getConnections(simulator, x, y, z) {
+        return Direction.HORIZONTALS.filter(dir => this.connectsTo(simulator, x, y, z, dir));
+    }
+
+    // The one connectivity model for dust: the renderer, schematic export and power flow all use it
+    connectsTo(simulator, x, y, z, dir) {
+        if (simulator.getClimbingDustLayer(x, y, z, dir) !== null) return true;
+
+        const vec = Direction.toVector(dir);
+        const neighbor = simulator.getBlockEntity(x + vec.x, y + vec.y, z);
+        const redstone = neighbor && neighbor.components.get('redstone');
+        if (!redstone) return false;
+        return redstone.connectsToDust(simulator, x + vec.x, y + vec.y, z, Direction.opposite(dir));
+    }
+
+    // Where the dust points: an unconnected cross points every way and a dot nowhere,
+    // a single connection runs straight through, otherwise just along its connections
+    getPointedDirections(simulator, x, y, z) {
+        const connections = this.getConnections(simulator, x, y, z);
+        if (connections.length === 0) return this.dot ? [] : Direction.HORIZONTALS;
+        if (connections.length === 1) return [connections[0], Direction.opposite(connections[0])];
+        return connections;
+    }
+
+    // Unconnected dust is a cross or a dot; clicking it swaps between the two.
+    // Returns false if the dust is connected and has no cross or dot shape.
+    toggleShape(simulator, x, y, z) {
+        if (this.getConnections(simulator, x, y, z).length > 0) return false;
+        this.dot = !this.dot;
+        this.updateBlockState(simulator, x, y, z, { dot: this.dot });
+        // Picks up the new shape and wakes the blocks we now point into (or no longer do)
+        this.onNeighborUpdate(simulator, x, y, z, x, y, z);
+        return true;
     }
 }
 
 class RedstoneTorchComponent extends RedstoneComponent {
-    onPlaced(simulator, x, y) {
+    onPlaced(simulator, x, y, z) {
         // Schedule initial check
-        simulator.scheduleBlockUpdate(x, y, 2);
-    }
-
-    onNeighborUpdate(simulator, x, y, neighborX, neighborY) {
-        // If the block attached to (assuming attached to "ground" or wall?)
-        // In 2D top down, torches usually attach to the block "under" them (layer below) or side.
-        // Let's assume the torch is on the ground (standing).
-        // A standing torch is powered if the block *under* it is powered? 
-        // No, a standing torch is powered if the block it is ON is powered.
-        // But in 2D top down, we can't see the block below.
-        // Usually in 2D sims, torches are attached to a block in a specific direction.
-        // Let's assume standard behavior:
-        // Check input from the block it is attached to.
-        // If we assume it's attached to the block "behind" it relative to rotation?
-        // Or simpler: It's a source that is always ON unless powered by a specific neighbor?
-        // In standard top-down logic:
+        simulator.scheduleBlockUpdate(x, y, z, 2);
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
         // A torch attached to a block turns OFF if that block is powered.
         // We need 'rotation' to know which block it is attached to.
-        
-        simulator.scheduleBlockUpdate(x, y, 2); // 2 ticks delay
+        simulator.scheduleBlockUpdate(x, y, z, 2); // 2 ticks delay
     }
 
-    onScheduledTick(simulator, x, y, data) {
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
-        
-        // Determine attached block based on rotation
-        // 0: North (Attached to South block? No, usually rotation points TO the torch head)
-        // Let's assume rotation points in the direction the torch leans.
-        // If rotation is 0 (North), it's attached to the South block.
-        // Wait, standard MC: "Facing" is direction it points.
-        // Wall Torch Facing North: Attached to South block.
-        // Standing Torch: Attached to block below.
-        
-        // Let's implement Wall Torch logic for 2D:
-        let attachedDir = Direction.SOUTH; // Default if facing North
-        if (rotation === 0) attachedDir = Direction.SOUTH;
-        else if (rotation === 1) attachedDir = Direction.WEST;
-        else if (rotation === 2) attachedDir = Direction.NORTH;
-        else if (rotation === 3) attachedDir = Direction.EAST;
-        
-        const vec = Direction.toVector(attachedDir);
-        const inputPower = simulator.getPower(x, y, attachedDir); // Check power coming FROM the attached block
+    // Rotation is the direction the torch points, so it is attached on the opposite side.
+    // Wall Torch Facing North: Attached to South block.
+    // Standing Torch (rotation UP): Attached to block below.
+    getAttachedDirection(simulator, x, y, z) {
+        return Direction.opposite(this.getRotation(simulator, x, y, z));
+    }
+
+    onScheduledTick(simulator, x, y, z, data) {
+        const attachedDir = this.getAttachedDirection(simulator, x, y, z);
+        const inputPower = simulator.getPower(x, y, z, attachedDir); // Check power coming FROM the attached block
         
         const shouldBeOff = inputPower > 0;
         const isOff = this.powerLevel === 0;
         
         if (shouldBeOff && !isOff) {
             this.powerLevel = 0;
-            this.updateBlockState(simulator, x, y, { type: 'minecraft:redstone_torch_off' });
-            simulator.notifyNeighbors(x, y);
+            this.updateBlockState(simulator, x, y, z, { type: 'minecraft:redstone_torch_off' });
+            simulator.notifyNeighbors(x, y, z);
         } else if (!shouldBeOff && isOff) {
             this.powerLevel = 15;
-            this.updateBlockState(simulator, x, y, { type: 'minecraft:redstone_torch' });
-            simulator.notifyNeighbors(x, y);
+            this.updateBlockState(simulator, x, y, z, { type: 'minecraft:redstone_torch' });
+            simulator.notifyNeighbors(x, y, z);
         }
     }
 
-    getPowerOutput(simulator, x, y, toDirection) {
-        // Torch outputs strong power (15) to all sides EXCEPT the one it is attached to?
-        // Standing torch: 15 to all horizontal.
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        // Torch outputs power (15) to all sides EXCEPT the one it is attached to
+        // Standing torch: 15 to all horizontal and up.
         // Wall torch: 15 to North, East, South (if facing North), but NOT to South (attached block).
-        // Actually, wall torch powers the block above (strong) and others (weak).
-        // Simplified: Output 15 to all except attached side.
-        
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
-        let attachedDir = Direction.SOUTH;
-        if (rotation === 0) attachedDir = Direction.SOUTH;
-        else if (rotation === 1) attachedDir = Direction.WEST;
-        else if (rotation === 2) attachedDir = Direction.NORTH;
-        else if (rotation === 3) attachedDir = Direction.EAST;
-
+        const attachedDir = this.getAttachedDirection(simulator, x, y, z);
         if (toDirection === attachedDir) return 0; // Don't power the block we are attached to (loop prevention)
         return this.powerLevel;
     }
+
+    // A torch strongly powers the block above it, never the one it hangs on
+    getStrongPowerOutput(simulator, x, y, z, toDirection) {
+        return toDirection === Direction.UP ? this.powerLevel : 0;
+    }
+
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return true;
+    }
 }
 
 class LeverComponent extends RedstoneComponent {
@@ -444,163 +941,526 @@ class LeverComponent extends RedstoneComponent {
         this.powerLevel = 0; // Starts off
     }
 
-    toggle(simulator, x, y) {
+    toggle(simulator, x, y, z) {
         this.powerLevel = (this.powerLevel > 0) ? 0 : 15;
-        this.updateBlockState(simulator, x, y, { powered: this.powerLevel > 0 });
-        simulator.notifyNeighbors(x, y);
+        this.updateBlockState(simulator, x, y, z, { powered: this.powerLevel > 0 });
+        simulator.notifyNeighbors(x, y, z);
     }
 
-    getPowerOutput(simulator, x, y, toDirection) {
+    getPowerOutput(simulator, x, y, z, toDirection) {
         return this.powerLevel;
     }
+
+    // Levers sit on the floor and strongly power the block they are mounted on
+    getStrongPowerOutput(simulator, x, y, z, toDirection) {
+        return toDirection === Direction.DOWN ? this.powerLevel : 0;
+    }
+
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return true;
+    }
 }
 
 class ButtonComponent extends RedstoneComponent {
+    // Game ticks a button stays pressed: 10 redstone ticks (1 sec) for a stone button
+    static PRESS_TICKS = 20;
+
     constructor() {
         super();
         this.powerLevel = 0;
     }
 
-    press(simulator, x, y) {
+    press(simulator, x, y, z) {
         if (this.powerLevel === 0) {
             this.powerLevel = 15;
-            this.updateBlockState(simulator, x, y, { powered: true });
-            simulator.notifyNeighbors(x, y);
-            simulator.scheduleBlockUpdate(x, y, 20); // 10 redstone ticks (1 sec) for Stone Button
+            this.updateBlockState(simulator, x, y, z, { powered: true });
+            simulator.notifyNeighbors(x, y, z);
+            simulator.scheduleBlockUpdate(x, y, z, this.constructor.PRESS_TICKS);
         }
     }
 
-    onScheduledTick(simulator, x, y, data) {
+    onScheduledTick(simulator, x, y, z, data) {
         this.powerLevel = 0;
-        this.updateBlockState(simulator, x, y, { powered: false });
-        simulator.notifyNeighbors(x, y);
+        this.updateBlockState(simulator, x, y, z, { powered: false });
+        simulator.notifyNeighbors(x, y, z);
     }
 
-    getPowerOutput(simulator, x, y, toDirection) {
+    getPowerOutput(simulator, x, y, z, toDirection) {
         return this.powerLevel;
     }
+
+    // Like levers, buttons strongly power the block they are mounted on
+    getStrongPowerOutput(simulator, x, y, z, toDirection) {
+        return toDirection === Direction.DOWN ? this.powerLevel : 0;
+    }
+
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return true;
+    }
 }
 
-class RepeaterComponent extends RedstoneComponent {
+// Wooden buttons stay pressed for 15 redstone ticks (1.5 sec)
+class WoodenButtonComponent extends ButtonComponent {
+    static PRESS_TICKS = 30;
+}
+
+// Pressure plates are pressed by however many entities stand on them; there are no entities
+// here, so the count is set from the UI. Like Java a plate reacts straight away to being
+// stepped on, but while pressed only looks again every PRESSED_TICKS, so it stays on at least
+// that long. Plates power everything around them and strongly power the block underneath.
+class PressurePlateComponent extends RedstoneComponent {
+    static PRESSED_TICKS = 20;
+
     constructor() {
         super();
-        this.delay = 1; // Default 1 redstone tick (2 game ticks)
-        this.locked = false;
-        this.powered = false;
+        this.entityCount = 0;
     }
 
-    onNeighborUpdate(simulator, x, y, neighborX, neighborY) {
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
-        
-        // Check for locking (Side inputs)
-        // Side directions relative to rotation
-        // If rotation is 0 (North), sides are West (3) and East (1)
-        const leftSide = (rotation + 3) % 4;
-        const rightSide = (rotation + 1) % 4;
-        
-        const powerLeft = this.getRepeaterInput(simulator, x, y, leftSide);
-        const powerRight = this.getRepeaterInput(simulator, x, y, rightSide);
-        
-        const wasLocked = this.locked;
-        this.locked = (powerLeft > 0 || powerRight > 0);
-        
-        if (wasLocked !== this.locked) {
-            // Visual update for lock state could be added here
-        }
+    // Stone and wooden plates give full power for anything on them
+    getSignalForCount(count) {
+        return count > 0 ? 15 : 0;
+    }
 
-        if (this.locked) return; // If locked, state cannot change
+    setEntityCount(simulator, x, y, z, count) {
+        this.entityCount = count;
+        this.updateBlockState(simulator, x, y, z, { entityCount: count });
+        if (this.powerLevel === 0) this.checkPressed(simulator, x, y, z);
+    }
 
-        // Check Rear Input
-        // Input comes from opposite of facing.
-        // Facing 0 (North) -> Input from South (2)
-        const inputDir = (rotation + 2) % 4;
-        const inputPower = simulator.getPower(x, y, inputDir);
-        
-        const shouldBePowered = inputPower > 0;
-        
-        if (shouldBePowered && !this.powered) {
-            // Schedule turn on
-            simulator.scheduleBlockUpdate(x, y, this.delay * 2);
-        } else if (!shouldBePowered && this.powered) {
-            // Schedule turn off
-            simulator.scheduleBlockUpdate(x, y, this.delay * 2);
-        }
+    onScheduledTick(simulator, x, y, z, data) {
+        this.checkPressed(simulator, x, y, z);
     }
-    
-    // Helper to check if neighbor is a powered repeater/comparator (for locking)
-    getRepeaterInput(simulator, x, y, fromDirection) {
-        const vec = Direction.toVector(fromDirection);
-        const sourceX = x + vec.x;
-        const sourceY = y + vec.y;
-        const entity = simulator.getBlockEntity(sourceX, sourceY);
-        if (!entity) return 0;
-        
-        const redstone = entity.components.get('redstone');
-        if (!redstone) return 0;
-        
-        // Only Repeaters and Comparators can lock a repeater
-        if (redstone instanceof RepeaterComponent || redstone instanceof ComparatorComponent) {
-            return redstone.getPowerOutput(simulator, sourceX, sourceY, Direction.opposite(fromDirection));
+
+    checkPressed(simulator, x, y, z) {
+        const signal = this.getSignalForCount(this.entityCount);
+        if (signal !== this.powerLevel) {
+            this.powerLevel = signal;
+            this.updateBlockState(simulator, x, y, z, { powered: signal > 0, powerLevel: signal });
+            simulator.notifyNeighbors(x, y, z);
         }
-        return 0;
+        if (signal > 0) simulator.scheduleBlockUpdate(x, y, z, this.constructor.PRESSED_TICKS);
     }
 
-    onScheduledTick(simulator, x, y, data) {
-        if (this.locked) return;
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        return this.powerLevel;
+    }
 
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
-        const inputDir = (rotation + 2) % 4;
-        const inputPower = simulator.getPower(x, y, inputDir);
-        const shouldBePowered = inputPower > 0;
-        
-        this.powered = shouldBePowered;
-        this.powerLevel = this.powered ? 15 : 0;
-        
-        const type = this.powered ? 'minecraft:repeater_on' : 'minecraft:repeater';
-        this.updateBlockState(simulator, x, y, { type, powered: this.powered });
-        
-        simulator.notifyNeighbors(x, y);
+    getStrongPowerOutput(simulator, x, y, z, toDirection) {
+        return toDirection === Direction.DOWN ? this.powerLevel : 0;
     }
 
-    getPowerOutput(simulator, x, y, toDirection) {
-        // Repeater only outputs to the front (rotation)
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
-        
-        if (toDirection === rotation) {
-            return this.powerLevel;
-        }
-        return 0;
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return true;
     }
 }
 
-class ComparatorComponent extends RedstoneComponent {
+// Only mobs and players press stone plates, while wooden ones also feel items; the count
+// set for a plate is whatever it detects, so both behave the same here
+class StonePressurePlateComponent extends PressurePlateComponent {}
+class WoodenPressurePlateComponent extends PressurePlateComponent {}
+
+// Gold plates give one level per entity, up to 15
+class LightWeightedPressurePlateComponent extends PressurePlateComponent {
+    static PRESSED_TICKS = 10;
+
+    getSignalForCount(count) {
+        return Math.min(count, 15);
+    }
+}
+
+// Iron plates give one level per ten entities (rounded up), up to 15
+class HeavyWeightedPressurePlateComponent extends PressurePlateComponent {
+    static PRESSED_TICKS = 10;
+
+    getSignalForCount(count) {
+        return Math.min(Math.ceil(count / 10), 15);
+    }
+}
+
+// A target block hit by a projectile gives off a signal for a while: 1-15 by how close to the
+// centre it landed (the hit strength, set from the UI), for 20 game ticks after an arrow or
+// trident and 8 after anything else. Hits while it's still lit are ignored, as in Java.
+// Unlike Java's it doesn't conduct power, since a block can't both conduct and give its own signal here.
+const TARGET_ARROW_TICKS = 20;
+const TARGET_PROJECTILE_TICKS = 8;
+
+class TargetComponent extends RedstoneComponent {
     constructor() {
         super();
-        this.mode = 'compare'; // 'compare' or 'subtract'
-        this.outputPower = 0;
+        this.hitStrength = 15;
     }
 
-    onNeighborUpdate(simulator, x, y, neighborX, neighborY) {
-        simulator.scheduleBlockUpdate(x, y, 0); // Instant update (or 1 tick in some cases)
+    hit(simulator, x, y, z, arrow = true) {
+        if (simulator.hasScheduledTick(x, y, z)) return;
+        this.setPower(simulator, x, y, z, this.hitStrength);
+        simulator.scheduleBlockUpdate(x, y, z, arrow ? TARGET_ARROW_TICKS : TARGET_PROJECTILE_TICKS);
     }
-    
-    onScheduledTick(simulator, x, y, data) {
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
-        
+
+    onScheduledTick(simulator, x, y, z, data) {
+        this.setPower(simulator, x, y, z, 0);
+    }
+
+    setPower(simulator, x, y, z, power) {
+        if (power === this.powerLevel) return;
+        this.powerLevel = power;
+        this.updateBlockState(simulator, x, y, z, { powered: power > 0, powerLevel: power });
+        simulator.notifyNeighbors(x, y, z);
+    }
+
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        return this.powerLevel;
+    }
+
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return true;
+    }
+}
+
+// Java's daylight sensor reading under open sky in clear weather, for a time of day in
+// ticks (0 is sunrise, 6000 noon). Inverted sensors give 15 minus the sky light instead.
+export function getDaylightSignal(dayTime, inverted = false) {
+    // Level.getTimeOfDay: 0 at noon, 0.5 at midnight, running faster around sunrise and sunset
+    const dayFraction = ((dayTime / DAY_LENGTH - 0.25) % 1 + 1) % 1;
+    const timeOfDay = (dayFraction * 2 + (0.5 - Math.cos(dayFraction * Math.PI) / 2)) / 3;
+    const darkness = Math.min(Math.max(1 - (Math.cos(timeOfDay * Math.PI * 2) * 2 + 0.5), 0), 1);
+    let light = 15 - Math.floor(darkness * 11);
+
+    if (inverted) {
+        light = 15 - light;
+    } else if (light > 0) {
+        // The sun's angle, pulled a fifth of the way towards the horizon
+        let angle = timeOfDay * Math.PI * 2;
+        angle += ((angle < Math.PI ? 0 : Math.PI * 2) - angle) * 0.2;
+        light = Math.round(light * Math.cos(angle));
+    }
+    return Math.min(Math.max(light, 0), 15);
+}
+
+// Daylight sensors read the world time (simulator.dayTime), refreshing once a second on game
+// ticks that are a multiple of 20, as in Java. Clicking one inverts it.
+const DAYLIGHT_SENSOR_INTERVAL = 20;
+
+class DaylightSensorComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.inverted = false;
+    }
+
+    onGameTick(simulator, x, y, z) {
+        if (simulator.tickCount % DAYLIGHT_SENSOR_INTERVAL === 0) this.updateSignal(simulator, x, y, z);
+    }
+
+    toggleInverted(simulator, x, y, z) {
+        this.inverted = !this.inverted;
+        this.updateBlockState(simulator, x, y, z, { inverted: this.inverted });
+        this.updateSignal(simulator, x, y, z);
+    }
+
+    updateSignal(simulator, x, y, z) {
+        const signal = getDaylightSignal(simulator.dayTime, this.inverted);
+        if (signal === this.powerLevel) return;
+        this.powerLevel = signal;
+        this.updateBlockState(simulator, x, y, z, { powered: signal > 0, powerLevel: signal });
+        simulator.notifyNeighbors(x, y, z);
+    }
+
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        return this.powerLevel;
+    }
+
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return true;
+    }
+}
+
+// Tripwire: string stretched in a straight line between two hooks facing each other on one
+// layer, with at most TRIPWIRE_MAX_LENGTH strings between them. Entities on any string
+// (a count set from the UI, as for pressure plates) power both hooks. Like Java a string
+// reacts straight away when stepped on and looks again every 10 game ticks while pressed.
+const TRIPWIRE_MAX_LENGTH = 40;
+const TRIPWIRE_RECHECK_TICKS = 10;
+
+// Have the hooks at either end of the line through a string work out their state again
+function updateTripwireHooks(simulator, x, y, z) {
+    Direction.HORIZONTALS.forEach(dir => {
+        const vec = Direction.toVector(dir);
+        for (let i = 1; i <= TRIPWIRE_MAX_LENGTH + 1; i++) {
+            const entity = simulator.getBlockEntity(x + vec.x * i, y + vec.y * i, z);
+            const redstone = entity && entity.components.get('redstone');
+            if (redstone instanceof TripwireHookComponent) {
+                if (entity.components.get('blockState').rotation === Direction.opposite(dir)) {
+                    redstone.calculateState(simulator, x + vec.x * i, y + vec.y * i, z);
+                }
+                return;
+            }
+            if (!(redstone instanceof TripwireComponent)) return;
+        }
+    });
+}
+
+class TripwireComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.entityCount = 0;
+        this.pressed = false;
+    }
+
+    // String carries no power, but placing or breaking it (or anything next to it) makes
+    // the hooks look at their line again
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        updateTripwireHooks(simulator, x, y, z);
+    }
+
+    setEntityCount(simulator, x, y, z, count) {
+        this.entityCount = count;
+        this.updateBlockState(simulator, x, y, z, { entityCount: count });
+        if (!this.pressed) this.checkPressed(simulator, x, y, z);
+    }
+
+    onScheduledTick(simulator, x, y, z, data) {
+        if (this.pressed) this.checkPressed(simulator, x, y, z);
+    }
+
+    checkPressed(simulator, x, y, z) {
+        const pressed = this.entityCount > 0;
+        if (pressed !== this.pressed) {
+            this.pressed = pressed;
+            this.updateBlockState(simulator, x, y, z, { powered: pressed });
+            updateTripwireHooks(simulator, x, y, z);
+        }
+        if (pressed) simulator.scheduleBlockUpdate(x, y, z, TRIPWIRE_RECHECK_TICKS);
+    }
+}
+
+// A hook faces along its string ('rotation') and hangs on the block behind it, which it
+// strongly powers while the tripwire is pressed
+class TripwireHookComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.attached = false;
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        this.calculateState(simulator, x, y, z);
+    }
+
+    onScheduledTick(simulator, x, y, z, data) {
+        this.calculateState(simulator, x, y, z);
+    }
+
+    // Follow the string to the hook at the other end; both ends get the same state
+    calculateState(simulator, x, y, z) {
+        const facing = this.getRotation(simulator, x, y, z);
+        const vec = Direction.toVector(facing);
+        let other = null;
+        let pressed = false;
+        for (let i = 1; i <= TRIPWIRE_MAX_LENGTH + 1; i++) {
+            const cx = x + vec.x * i;
+            const cy = y + vec.y * i;
+            const entity = simulator.getBlockEntity(cx, cy, z);
+            const redstone = entity && entity.components.get('redstone');
+            if (redstone instanceof TripwireHookComponent) {
+                // Hooks right next to each other have no string to attach
+                if (i > 1 && entity.components.get('blockState').rotation === Direction.opposite(facing)) {
+                    other = { redstone, x: cx, y: cy };
+                }
+                break;
+            }
+            if (!(redstone instanceof TripwireComponent)) break;
+            pressed = pressed || redstone.pressed;
+        }
+
+        const attached = other !== null;
+        const power = attached && pressed ? 15 : 0;
+        this.setState(simulator, x, y, z, attached, power);
+        if (other) other.redstone.setState(simulator, other.x, other.y, z, attached, power);
+    }
+
+    setState(simulator, x, y, z, attached, power) {
+        if (attached === this.attached && power === this.powerLevel) return;
+        this.attached = attached;
+        this.powerLevel = power;
+        this.updateBlockState(simulator, x, y, z, { attached, powered: power > 0, powerLevel: power });
+        simulator.notifyNeighbors(x, y, z);
+        if (power > 0) simulator.scheduleBlockUpdate(x, y, z, TRIPWIRE_RECHECK_TICKS);
+    }
+
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        return this.powerLevel;
+    }
+
+    getStrongPowerOutput(simulator, x, y, z, toDirection) {
+        return toDirection === Direction.opposite(this.getRotation(simulator, x, y, z)) ? this.powerLevel : 0;
+    }
+
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return true;
+    }
+}
+
+class RepeaterComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.delay = 1; // Default 1 redstone tick (2 game ticks)
+        this.locked = false;
+        this.powered = false;
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        const rotation = this.getRotation(simulator, x, y, z);
+        
+        // The lock follows the side inputs straight away (Java updates it with the block's shape);
+        // it's kept in the block state for the renderer's lock bar
+        const locked = this.isLocked(simulator, x, y, z);
+        if (locked !== this.locked) {
+            this.locked = locked;
+            this.updateBlockState(simulator, x, y, z, { locked });
+        }
+
+        if (this.locked) return; // If locked, state cannot change
+
+        const shouldBePowered = this.hasInput(simulator, x, y, z);
+        
+        if (shouldBePowered !== this.powered) {
+            // Java's order: a repeater feeding another diode goes first, then one
+            // turning off, then one turning on
+            let priority = TickPriority.HIGH;
+            if (isPrioritizedDiode(simulator, x, y, z, rotation)) {
+                priority = TickPriority.EXTREMELY_HIGH;
+            } else if (this.powered) {
+                priority = TickPriority.VERY_HIGH;
+            }
+            simulator.scheduleBlockUpdate(x, y, z, this.delay * 2, priority);
+        }
+    }
+
+    // Check Rear Input
+    // Input comes from opposite of facing.
+    // Facing 0 (North) -> Input from South (2)
+    hasInput(simulator, x, y, z) {
+        const inputDir = Direction.opposite(this.getRotation(simulator, x, y, z));
+        return simulator.getPower(x, y, z, inputDir) > 0;
+    }
+    
+    // A powered repeater or comparator pointing into either side locks the repeater:
+    // it holds its output, whatever its input does, until the lock is released
+    isLocked(simulator, x, y, z) {
+        // Side directions relative to rotation
+        // If rotation is 0 (North), sides are West (3) and East (1)
+        const rotation = this.getRotation(simulator, x, y, z);
+        const leftSide = (rotation + 3) % 4;
+        const rightSide = (rotation + 1) % 4;
+        return this.getRepeaterInput(simulator, x, y, z, leftSide) > 0 ||
+            this.getRepeaterInput(simulator, x, y, z, rightSide) > 0;
+    }
+
+    // Helper to check if neighbor is a powered repeater/comparator (for locking)
+    getRepeaterInput(simulator, x, y, z, fromDirection) {
+        const vec = Direction.toVector(fromDirection);
+        const sourceX = x + vec.x;
+        const sourceY = y + vec.y;
+        const entity = simulator.getBlockEntity(sourceX, sourceY, z);
+        if (!entity) return 0;
+        
+        const redstone = entity.components.get('redstone');
+        if (!redstone) return 0;
+        
+        // Only Repeaters and Comparators can lock a repeater
+        if (redstone instanceof RepeaterComponent || redstone instanceof ComparatorComponent) {
+            return redstone.getPowerOutput(simulator, sourceX, sourceY, z, Direction.opposite(fromDirection));
+        }
+        return 0;
+    }
+
+    onScheduledTick(simulator, x, y, z, data) {
+        // Like Java, the lock is checked again when the tick runs
+        if (this.isLocked(simulator, x, y, z)) return;
+
+        const shouldBePowered = this.hasInput(simulator, x, y, z);
+        if (this.powered && !shouldBePowered) {
+            this.powered = false;
+        } else if (!this.powered) {
+            this.powered = true;
+            // A repeater that turns on stays on for its full delay, so a pulse
+            // shorter than that is stretched: schedule the turn-off now
+            if (!shouldBePowered) {
+                simulator.scheduleBlockUpdate(x, y, z, this.delay * 2, TickPriority.VERY_HIGH);
+            }
+        } else {
+            return;
+        }
+        this.powerLevel = this.powered ? 15 : 0;
+        
+        const type = this.powered ? 'minecraft:repeater_on' : 'minecraft:repeater';
+        this.updateBlockState(simulator, x, y, z, { type, powered: this.powered });
+        
+        simulator.notifyNeighbors(x, y, z);
+    }
+
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        // Repeater only outputs to the front (rotation)
+        const rotation = this.getRotation(simulator, x, y, z);
+        
+        if (toDirection === rotation) {
+            return this.powerLevel;
+        }
+        return 0;
+    }
+
+    // The block in front of a repeater is strongly powered
+    getStrongPowerOutput(simulator, x, y, z, toDirection) {
+        return this.getPowerOutput(simulator, x, y, z, toDirection);
+    }
+
+    // Dust links up with the front and back of a diode, not its sides
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        const rotation = this.getRotation(simulator, x, y, z);
+        return rotation === fromDirection || rotation === Direction.opposite(fromDirection);
+    }
+}
+
+class ComparatorComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.mode = 'compare'; // 'compare' or 'subtract'
+        this.outputPower = 0;
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        // Only wake up when the output would actually change
+        if (this.calculateOutput(simulator, x, y, z) === this.outputPower) return;
+        
+        const rotation = this.getRotation(simulator, x, y, z);
+        const priority = isPrioritizedDiode(simulator, x, y, z, rotation) ? TickPriority.HIGH : TickPriority.NORMAL;
+        simulator.scheduleBlockUpdate(x, y, z, COMPARATOR_DELAY, priority);
+    }
+    
+    onScheduledTick(simulator, x, y, z, data) {
+        const newPower = this.calculateOutput(simulator, x, y, z);
+        
+        if (this.outputPower !== newPower) {
+            this.outputPower = newPower;
+            this.powerLevel = newPower; // Used by getPowerOutput
+            
+            const type = this.outputPower > 0 ? 'minecraft:comparator_on' : 'minecraft:comparator';
+            this.updateBlockState(simulator, x, y, z, { type, powerLevel: this.outputPower });
+            
+            simulator.notifyNeighbors(x, y, z);
+        }
+    }
+
+    calculateOutput(simulator, x, y, z) {
+        const rotation = this.getRotation(simulator, x, y, z);
+        
         // Rear Input
-        const inputDir = (rotation + 2) % 4;
-        const rearPower = simulator.getPower(x, y, inputDir);
+        const rearPower = this.getRearInput(simulator, x, y, z, rotation);
         
         // Side Inputs
         const leftSide = (rotation + 3) % 4;
         const rightSide = (rotation + 1) % 4;
         const sidePower = Math.max(
-            simulator.getPower(x, y, leftSide),
-            simulator.getPower(x, y, rightSide)
+            simulator.getPower(x, y, z, leftSide),
+            simulator.getPower(x, y, z, rightSide)
         );
         
         let newPower = 0;
@@ -616,70 +1476,106 @@ class ComparatorComponent extends RedstoneComponent {
             }
         }
         
-        if (this.outputPower !== newPower) {
-            this.outputPower = newPower;
-            this.powerLevel = newPower; // Used by getPowerOutput
-            
-            const type = this.outputPower > 0 ? 'minecraft:comparator_on' : 'minecraft:comparator';
-            this.updateBlockState(simulator, x, y, { type, powerLevel: this.outputPower });
-            
-            simulator.notifyNeighbors(x, y);
+        return newPower;
+    }
+
+    // Like Java: a comparator source right behind us (a container, cake...) is read instead
+    // of the redstone power there. So is one behind a conductor behind us, or an item frame
+    // hanging on the far side of that conductor, unless the conductor is already powered to 15.
+    getRearInput(simulator, x, y, z, rotation) {
+        const inputDir = Direction.opposite(rotation);
+        const power = simulator.getPower(x, y, z, inputDir);
+        const vec = Direction.toVector(inputDir);
+        const behindX = x + vec.x;
+        const behindY = y + vec.y;
+
+        const behind = simulator.getBlockEntity(behindX, behindY, z);
+        const source = behind && behind.components.get('redstone');
+        if (isComparatorSource(source)) return source.getComparatorOutput(simulator, behindX, behindY, z);
+
+        if (power < 15 && simulator.isConductive(behindX, behindY, z)) {
+            const further = simulator.getBlockEntity(behindX + vec.x, behindY + vec.y, z);
+            const farSource = further && further.components.get('redstone');
+            if (isComparatorSource(farSource)) {
+                return farSource.getComparatorOutput(simulator, behindX + vec.x, behindY + vec.y, z);
+            }
+            if (farSource instanceof ItemFrameComponent && further.components.get('blockState').rotation === inputDir) {
+                return farSource.getSignal();
+            }
         }
+        return power;
     }
 
-    getPowerOutput(simulator, x, y, toDirection) {
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        const rotation = this.getRotation(simulator, x, y, z);
         
         if (toDirection === rotation) {
             return this.outputPower;
         }
         return 0;
     }
+
+    getStrongPowerOutput(simulator, x, y, z, toDirection) {
+        return this.getPowerOutput(simulator, x, y, z, toDirection);
+    }
+
+    // Like a repeater, only the front and back
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        const rotation = this.getRotation(simulator, x, y, z);
+        return rotation === fromDirection || rotation === Direction.opposite(fromDirection);
+    }
 }
 
 class ObserverComponent extends RedstoneComponent {
-    onNeighborUpdate(simulator, x, y, neighborX, neighborY) {
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
-        
-        // Observer detects updates at the FACE (rotation)
-        const faceDir = rotation; // If facing North, face is North
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        // Observer detects updates at the FACE (rotation), which may point up or down
+        const faceDir = this.getRotation(simulator, x, y, z); // If facing North, face is North
         const vec = Direction.toVector(faceDir);
         
         // Check if update came from the face block
-        if (neighborX === x + vec.x && neighborY === y + vec.y) {
+        if (neighborX === x + vec.x && neighborY === y + vec.y && neighborZ === z + vec.z) {
              // Pulse!
-             simulator.scheduleBlockUpdate(x, y, 2);
+             simulator.scheduleBlockUpdate(x, y, z, 2);
         }
     }
     
-    onScheduledTick(simulator, x, y, data) {
+    onScheduledTick(simulator, x, y, z, data) {
         if (this.powerLevel === 0) {
             this.powerLevel = 15;
-            this.updateBlockState(simulator, x, y, { type: 'minecraft:observer_on' });
-            simulator.notifyNeighbors(x, y);
-            simulator.scheduleBlockUpdate(x, y, 2); // Turn off after 2 ticks
+            this.updateBlockState(simulator, x, y, z, { type: 'minecraft:observer_on' });
+            simulator.notifyNeighbors(x, y, z);
+            simulator.scheduleBlockUpdate(x, y, z, 2); // Turn off after 2 ticks
         } else {
             this.powerLevel = 0;
-            this.updateBlockState(simulator, x, y, { type: 'minecraft:observer' });
-            simulator.notifyNeighbors(x, y);
+            this.updateBlockState(simulator, x, y, z, { type: 'minecraft:observer' });
+            simulator.notifyNeighbors(x, y, z);
         }
     }
 
-    getPowerOutput(simulator, x, y, toDirection) {
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
-        const outputDir = (rotation + 2) % 4; // Back
+    getPowerOutput(simulator, x, y, z, toDirection) {
+        const outputDir = Direction.opposite(this.getRotation(simulator, x, y, z)); // Back
         
         if (toDirection === outputDir) {
             return this.powerLevel;
         }
         return 0;
     }
+
+    // Observers strongly power the block behind them
+    getStrongPowerOutput(simulator, x, y, z, toDirection) {
+        return this.getPowerOutput(simulator, x, y, z, toDirection);
+    }
+
+    // Only the output at the back
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return this.getRotation(simulator, x, y, z) === Direction.opposite(fromDirection);
+    }
 }
 
 class PistonComponent extends RedstoneComponent {
+    // Fields holding entity ids; remapped when entities are copied
+    static entityRefs = ['headId'];
+
     constructor() {
         super();
         this.extended = false;
@@ -687,192 +1583,448 @@ class PistonComponent extends RedstoneComponent {
         this.headId = -1;
     }
     
-    onNeighborUpdate(simulator, x, y, neighborX, neighborY) {
-        // Check if powered
-        const maxPower = simulator.getMaxNeighborPower(x, y);
-        const qcPower = simulator.checkQuasiConnectivity(x, y); // TODO: Implement QC
-        
-        const shouldExtend = maxPower > 0 || qcPower;
-        
-        if (shouldExtend && !this.extended) {
-            simulator.scheduleBlockUpdate(x, y, 2); // Delay
-        } else if (!shouldExtend && this.extended) {
-            simulator.scheduleBlockUpdate(x, y, 2);
-        }
+    // Powered from any side except the front, or through quasi-connectivity
+    shouldExtend(simulator, x, y, z) {
+        const face = this.getRotation(simulator, x, y, z);
+        const direct = Direction.ALL.some(dir => dir !== face && simulator.getPower(x, y, z, dir) > 0);
+        return direct || simulator.checkQuasiConnectivity(x, y, z);
     }
     
-    onScheduledTick(simulator, x, y, data) {
-        const maxPower = simulator.getMaxNeighborPower(x, y);
-        const shouldExtend = maxPower > 0; // Re-check
-        
+    // Like Java, a piston that has to move queues a block event, which runs after this
+    // tick's scheduled ticks and checks the power again before doing anything
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        const shouldExtend = this.shouldExtend(simulator, x, y, z);
+        const facing = this.getRotation(simulator, x, y, z);
+
         if (shouldExtend && !this.extended) {
-            this.extend(simulator, x, y);
+            // Nothing is queued while the blocks in front can't move
+            if (new PistonStructureResolver(simulator, x, y, z, facing, true).resolve()) {
+                simulator.queueBlockEvent(x, y, z, PistonEvent.EXTEND);
+            }
         } else if (!shouldExtend && this.extended) {
-            this.retract(simulator, x, y);
+            simulator.queueBlockEvent(x, y, z, PistonEvent.RETRACT);
         }
     }
-    
-    extend(simulator, x, y) {
-        if (this.extended) return;
-        
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
-        
-        const pushDir = rotation;
-        const vec = Direction.toVector(pushDir);
-        
-        // Check blocks in front
-        if (this.canPush(simulator, x, y, pushDir)) {
-            this.doPush(simulator, x, y, pushDir);
-            this.extended = true;
-            this.updateBlockState(simulator, x, y, { extended: true });
-            
-            // Create Piston Head
-            const headX = x + vec.x;
-            const headY = y + vec.y;
-            // Remove any existing entity at head pos (should be empty due to push, but safety first)
-            const existing = simulator.getBlockEntity(headX, headY);
-            if (existing) simulator.entityManager.removeEntity(existing.id);
-
-            const headId = simulator.createEntity('minecraft:piston_head', headX, headY);
-            
-            const headEntity = simulator.entityManager.entities.get(headId);
-            const headComp = headEntity.get('redstone');
-            headComp.sourcePistonId = entity.id;
-            headComp.isSticky = this.isSticky;
-            
-            const headState = headEntity.get('blockState');
-            headState.rotation = rotation;
-            headState.isSticky = this.isSticky; // Store sticky state for renderer
-            
-            this.headId = headId;
-            
-            simulator.notifyNeighbors(headX, headY);
+
+    // Circuits saved before pistons used block events may still hold a scheduled tick for one
+    onScheduledTick(simulator, x, y, z, data) {
+        this.onNeighborUpdate(simulator, x, y, z, x, y, z);
+    }
+
+    onBlockEvent(simulator, x, y, z, type) {
+        const powered = this.shouldExtend(simulator, x, y, z);
+        if (type === PistonEvent.EXTEND && powered && !this.extended) {
+            this.extend(simulator, x, y, z);
+        } else if (type === PistonEvent.RETRACT && !powered && this.extended) {
+            this.retract(simulator, x, y, z);
         }
     }
-    
-    retract(simulator, x, y) {
-        if (!this.extended) return;
-        
-        const entity = simulator.getBlockEntity(x, y);
-        const rotation = entity.components.get('blockState').rotation;
-        const pushDir = rotation;
-        
+
+    // The pushed blocks and the head start moving; they land PISTON_MOVE_TICKS later
+    extend(simulator, x, y, z) {
+        const facing = this.getRotation(simulator, x, y, z);
+        if (!this.moveBlocks(simulator, x, y, z, facing, true)) return;
+
+        const entity = simulator.getBlockEntity(x, y, z);
+        this.extended = true;
+        this.updateBlockState(simulator, x, y, z, { extended: true });
+
+        const vec = Direction.toVector(facing);
+        const headX = x + vec.x;
+        const headY = y + vec.y;
+        const headZ = z + vec.z;
+        const headId = simulator.createEntity('minecraft:piston_head', headX, headY, headZ, facing);
+        const headEntity = simulator.entityManager.entities.get(headId);
+        headEntity.get('redstone').sourcePistonId = entity.id;
+        headEntity.get('redstone').isSticky = this.isSticky;
+        headEntity.get('blockState').isSticky = this.isSticky; // Store sticky state for renderer
+        this.headId = headId;
+
+        MovingBlockComponent.start(simulator, headId, headX, headY, headZ, facing, { extending: true, source: true });
+    }
+
+    // The piston base itself becomes a moving block until the head is back in;
+    // sticky pistons pull the block in front of the head along
+    retract(simulator, x, y, z) {
+        const facing = this.getRotation(simulator, x, y, z);
+        const vec = Direction.toVector(facing);
+        const headX = x + vec.x;
+        const headY = y + vec.y;
+        const headZ = z + vec.z;
+
+        // A head still sliding out lands first
+        MovingBlockComponent.finishAt(simulator, headX, headY, headZ);
+
+        const head = simulator.getBlockEntity(headX, headY, headZ);
+        if (head && head.id === this.headId) simulator.removeEntity(head.id);
+        this.headId = -1;
         this.extended = false;
-        this.updateBlockState(simulator, x, y, { extended: false });
-        
-        // Remove Head
-        if (this.headId !== -1) {
-            simulator.entityManager.removeEntity(this.headId);
-            this.headId = -1;
-            
-            const vec = Direction.toVector(pushDir);
-            simulator.notifyNeighbors(x + vec.x, y + vec.y);
-        }
-        
+        this.updateBlockState(simulator, x, y, z, { extended: false });
+        simulator.notifyNeighbors(headX, headY, headZ);
+
+        const entity = simulator.getBlockEntity(x, y, z);
+        MovingBlockComponent.start(simulator, entity.id, x, y, z, Direction.opposite(facing), { extending: false, source: true });
+
         if (this.isSticky) {
-            this.doPull(simulator, x, y, pushDir);
+            // A block we pushed that hasn't landed yet is dropped where it's going instead
+            // of being pulled back: sticky pistons "spit" their block on short pulses
+            const target = simulator.getBlockEntity(x + vec.x * 2, y + vec.y * 2, z + vec.z * 2);
+            const moving = target && target.components.get('redstone');
+            if (moving instanceof MovingBlockComponent && moving.extending && moving.direction === facing) {
+                moving.finish(simulator, x + vec.x * 2, y + vec.y * 2, z + vec.z * 2);
+            } else {
+                this.pullBlocks(simulator, x, y, z, facing);
+            }
         }
     }
 
-    canPush(simulator, x, y, direction) {
+    // Move the block structure in front of the piston one step: away from it when extending,
+    // towards it when a sticky piston retracts. Returns false (moving nothing) if it can't.
+    // Moved blocks are in their new cell straight away, as moving blocks until they land.
+    moveBlocks(simulator, x, y, z, facing, extending) {
+        const resolver = new PistonStructureResolver(simulator, x, y, z, facing, extending);
+        if (!resolver.resolve()) return false;
+
+        const direction = resolver.pushDirection;
         const vec = Direction.toVector(direction);
-        let cx = x + vec.x;
-        let cy = y + vec.y;
-        let count = 0;
-        
-        while (true) {
-            const block = simulator.getBlockEntity(cx, cy);
-            if (!block) {
-                // Empty space, we can push
+
+        resolver.toDestroy.forEach(pos => {
+            const entity = simulator.getBlockEntity(pos.x, pos.y, pos.z);
+            if (entity) simulator.removeEntity(entity.id);
+        });
+
+        // Front-most blocks first, so every block moves into a cell that's already free
+        const along = pos => pos.x * vec.x + pos.y * vec.y + pos.z * vec.z;
+        const ordered = resolver.toPush
+            .map(pos => ({ ...pos, id: simulator.getBlockEntity(pos.x, pos.y, pos.z).id }))
+            .sort((a, b) => along(b) - along(a));
+        ordered.forEach(({ id, x: bx, y: by, z: bz }) => {
+            MovingBlockComponent.start(simulator, id, bx + vec.x, by + vec.y, bz + vec.z, direction, { extending });
+        });
+
+        // Everything around the old and new positions sees the blocks go (moving blocks are inert)
+        resolver.toDestroy.forEach(pos => simulator.notifyNeighbors(pos.x, pos.y, pos.z));
+        ordered.forEach(pos => simulator.notifyNeighbors(pos.x, pos.y, pos.z));
+        ordered.forEach(pos => simulator.notifyNeighbors(pos.x + vec.x, pos.y + vec.y, pos.z + vec.z));
+        return true;
+    }
+
+    // Only the block touching the head is pulled (with whatever sticks to it),
+    // and never one that would break or can't move
+    pullBlocks(simulator, x, y, z, facing) {
+        const vec = Direction.toVector(facing);
+        const target = simulator.getBlockEntity(x + vec.x * 2, y + vec.y * 2, z + vec.z * 2);
+        if (!target || getPushReaction(target) !== PushReaction.NORMAL) return;
+        this.moveBlocks(simulator, x, y, z, facing, false);
+    }
+}
+
+// Block event types pistons queue for themselves
+const PistonEvent = {
+    EXTEND: 0,
+    RETRACT: 1
+};
+
+// Game ticks between a piston starting to move and its blocks landing
+const PISTON_MOVE_TICKS = 2;
+
+// A block being moved by a piston (Java's moving_piston / block 36). It sits in the cell it's
+// moving into, doesn't conduct, power or react to anything, and can't be moved again.
+// The block's own state and component are kept here and put back when it lands.
+// A piston base that is retracting is a moving block too (source), drawn with its head sliding in.
+class MovingBlockComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.blockState = null;     // The moving block's blockState
+        this.component = null;      // Its component's registry type and saved state, if any
+        this.componentState = null;
+        this.direction = Direction.NORTH; // Direction the block (or for a source, its head) moves in
+        this.extending = true;      // Pushed away from the piston (or pulled towards it)
+        this.source = false;        // The piston's own head or base
+        this.startTick = 0;
+    }
+
+    // Turn the entity into a moving block in the cell it's heading for
+    static start(simulator, id, x, y, z, direction, { extending, source = false }) {
+        const components = simulator.entityManager.entities.get(id);
+        const blockState = components.get('blockState');
+        const redstone = components.get('redstone');
+
+        const moving = new MovingBlockComponent();
+        moving.blockState = { ...blockState };
+        moving.component = redstone ? simulator.getComponentType(redstone) : null;
+        moving.componentState = redstone ? structuredClone(serializeComponentState(moving.component, redstone)) : null;
+        moving.direction = direction;
+        moving.extending = extending;
+        moving.source = source;
+        moving.startTick = simulator.tickCount;
+
+        // Ticks are kept per cell; one left there by the block that just moved out
+        // would stop this one from being scheduled
+        simulator.cancelScheduledTick(x, y, z);
+        simulator.moveEntity(id, x, y, z);
+        simulator.entityManager.addComponent(id, 'redstone', moving);
+        simulator.entityManager.addComponent(id, 'blockState', {
+            type: 'minecraft:moving_piston',
+            rotation: blockState.rotation,
+            powered: false,
+            powerLevel: 0,
+            waterlogged: false
+        });
+        simulator.scheduleBlockUpdate(x, y, z, PISTON_MOVE_TICKS, TickPriority.EXTREMELY_HIGH);
+    }
+
+    // Land the moving block at a cell right away, if there is one
+    static finishAt(simulator, x, y, z) {
+        const entity = simulator.getBlockEntity(x, y, z);
+        const moving = entity && entity.components.get('redstone');
+        if (moving instanceof MovingBlockComponent) moving.finish(simulator, x, y, z);
+    }
+
+    // The landing tick didn't come along with the block: start the move over from now
+    onRestored(simulator, x, y, z) {
+        this.startTick = simulator.tickCount;
+        simulator.cancelScheduledTick(x, y, z);
+        simulator.scheduleBlockUpdate(x, y, z, PISTON_MOVE_TICKS, TickPriority.EXTREMELY_HIGH);
+    }
+
+    // How far along the move is (0-1), `partialTick` of the way to the next tick
+    getProgress(simulator, partialTick = 0) {
+        return Math.min(1, (simulator.tickCount - this.startTick + partialTick) / PISTON_MOVE_TICKS);
+    }
+
+    onScheduledTick(simulator, x, y, z, data) {
+        const remaining = this.startTick + PISTON_MOVE_TICKS - simulator.tickCount;
+        if (remaining > 0) {
+            // A tick something else scheduled here came too early: keep moving
+            simulator.scheduleBlockUpdate(x, y, z, remaining, TickPriority.EXTREMELY_HIGH);
+            return;
+        }
+        this.finish(simulator, x, y, z);
+    }
+
+    // Recreate the block's own component from its saved state
+    createComponent(simulator) {
+        const ComponentClass = this.component && simulator.componentRegistry.get(this.component);
+        if (!ComponentClass) return null;
+        const component = new ComponentClass();
+        deserializeComponentState(this.component, component, structuredClone(this.componentState));
+        return component;
+    }
+
+    finish(simulator, x, y, z) {
+        const entity = simulator.getBlockEntity(x, y, z);
+        if (!entity || entity.components.get('redstone') !== this) return;
+
+        const component = this.createComponent(simulator);
+        if (component) {
+            simulator.entityManager.addComponent(entity.id, 'redstone', component);
+        } else {
+            simulator.entityManager.removeComponent(entity.id, 'redstone');
+        }
+        simulator.entityManager.addComponent(entity.id, 'blockState', { ...this.blockState });
+        simulator.refreshBlock(x, y, z);
+    }
+
+    serialize() {
+        return structuredClone({ ...this });
+    }
+}
+
+// How a block reacts to being pushed or pulled, like Java's PushReaction
+const PushReaction = {
+    NORMAL: 'normal',
+    BLOCK: 'block',     // Can't be moved and stops the piston
+    DESTROY: 'destroy'  // Breaks when pushed, is never pulled
+};
+
+// Most blocks pistons push or pull are limited to this many, counting everything stuck on
+const PUSH_LIMIT = 12;
+
+// Blocks that can't be moved at all
+const IMMOVABLE_BLOCKS = new Set(['minecraft:obsidian', 'minecraft:bedrock']);
+
+// Slime and honey drag along the blocks next to them
+const STICKY_BLOCKS = new Set(['minecraft:slime_block', 'minecraft:honey_block']);
+
+function getPushReaction(entity) {
+    const redstone = entity.components.get('redstone');
+    if (IMMOVABLE_BLOCKS.has(entity.components.get('blockState').type)) return PushReaction.BLOCK;
+    const definition = getComponentDefinition(entity.components.get('blockState').type);
+    if (definition && definition.pushReaction) return definition.pushReaction;
+    if (redstone instanceof PistonHeadComponent) return PushReaction.BLOCK;
+    if (redstone instanceof MovingBlockComponent) return PushReaction.BLOCK;
+    // Containers and daylight sensors hold block entities, which pistons can't move
+    if (redstone instanceof ContainerComponent || redstone instanceof DaylightSensorComponent) return PushReaction.BLOCK;
+    if (redstone instanceof CakeComponent || redstone instanceof ItemFrameComponent) return PushReaction.DESTROY;
+    if (entity.components.get('blockState').type === 'minecraft:iron_door') return PushReaction.DESTROY;
+    // Extended pistons are immovable
+    if (redstone instanceof PistonComponent && redstone.extended) return PushReaction.BLOCK;
+    if (redstone instanceof RedstoneDustComponent ||
+        redstone instanceof RedstoneTorchComponent ||
+        redstone instanceof RepeaterComponent ||
+        redstone instanceof ComparatorComponent ||
+        redstone instanceof LeverComponent ||
+        redstone instanceof ButtonComponent ||
+        redstone instanceof PressurePlateComponent ||
+        redstone instanceof TripwireComponent ||
+        redstone instanceof TripwireHookComponent) {
+        return PushReaction.DESTROY;
+    }
+    return PushReaction.NORMAL;
+}
+
+function isSticky(entity) {
+    return STICKY_BLOCKS.has(entity.components.get('blockState').type);
+}
+
+// Slime and honey stick to anything except each other
+function canStickTogether(a, b) {
+    const typeA = a.components.get('blockState').type;
+    const typeB = b.components.get('blockState').type;
+    if (STICKY_BLOCKS.has(typeA) && STICKY_BLOCKS.has(typeB) && typeA !== typeB) return false;
+    return isSticky(a) || isSticky(b);
+}
+
+// Works out which blocks a piston moves and which it breaks, following Java's
+// PistonStructureResolver: a line of blocks in front of the piston, plus every block
+// sticky blocks in it drag along (each with its own line), up to PUSH_LIMIT in total.
+class PistonStructureResolver {
+    constructor(simulator, x, y, z, facing, extending) {
+        this.simulator = simulator;
+        this.piston = { x, y, z };
+        this.extending = extending;
+        this.pushDirection = extending ? facing : Direction.opposite(facing);
+        // The block in front of the piston, or in front of its head when pulling
+        const vec = Direction.toVector(facing);
+        const reach = extending ? 1 : 2;
+        this.start = { x: x + vec.x * reach, y: y + vec.y * reach, z: z + vec.z * reach };
+        this.toPush = [];    // [{ x, y, z }]
+        this.toDestroy = [];
+    }
+
+    resolve() {
+        const { x, y, z } = this.start;
+        // The head needs room
+        if (this.extending && !this.simulator.isInBounds(x, y, z)) return false;
+
+        const entity = this.simulator.getBlockEntity(x, y, z);
+        if (entity && !this.isPushable(entity, x, y, z, false)) {
+            if (this.extending && getPushReaction(entity) === PushReaction.DESTROY) {
+                this.toDestroy.push({ x, y, z });
                 return true;
             }
-            
-            // Check if block is immovable
-            const type = block.components.get('blockState').type;
-            if (type === 'minecraft:obsidian' || type === 'minecraft:bedrock' || type === 'minecraft:piston_head') {
-                return false;
-            }
-            
-            // Extended pistons are immovable
-            if ((type === 'minecraft:piston' || type === 'minecraft:sticky_piston') && block.components.get('blockState').extended) {
-                return false;
-            }
-            
-            count++;
-            if (count >= 12) return false; // Push limit
-            
-            cx += vec.x;
-            cy += vec.y;
+            return false;
+        }
+        if (!this.addBlockLine(x, y, z)) return false;
+
+        // toPush grows while we walk it
+        for (let i = 0; i < this.toPush.length; i++) {
+            const pos = this.toPush[i];
+            if (isSticky(this.getEntity(pos)) && !this.addBranchingBlocks(pos)) return false;
         }
+        return true;
     }
 
-    doPush(simulator, x, y, direction) {
-        const vec = Direction.toVector(direction);
-        
-        // Find the end of the stack
-        let cx = x + vec.x;
-        let cy = y + vec.y;
-        const stack = [];
-        
-        while (true) {
-            const block = simulator.getBlockEntity(cx, cy);
-            if (!block) break;
-            stack.push({ id: block.id, x: cx, y: cy });
-            cx += vec.x;
-            cy += vec.y;
+    getEntity({ x, y, z }) {
+        return this.simulator.getBlockEntity(x, y, z);
+    }
+
+    indexOf({ x, y, z }) {
+        return this.toPush.findIndex(pos => pos.x === x && pos.y === y && pos.z === z);
+    }
+
+    isPiston({ x, y, z }) {
+        return x === this.piston.x && y === this.piston.y && z === this.piston.z;
+    }
+
+    isPushable(entity, x, y, z, allowDestroy) {
+        const vec = Direction.toVector(this.pushDirection);
+        if (!this.simulator.isInBounds(x + vec.x, y + vec.y, z + vec.z)) return false;
+        const reaction = getPushReaction(entity);
+        if (reaction === PushReaction.BLOCK) return false;
+        if (reaction === PushReaction.DESTROY) return allowDestroy;
+        return true;
+    }
+
+    // Add the block at origin, the sticky chain behind it and the line it pushes in front of it
+    addBlockLine(x, y, z) {
+        const origin = { x, y, z };
+        let entity = this.getEntity(origin);
+        if (!entity || !this.isPushable(entity, x, y, z, false)) return true;
+        if (this.isPiston(origin) || this.indexOf(origin) > -1) return true;
+
+        const back = Direction.toVector(Direction.opposite(this.pushDirection));
+        const front = Direction.toVector(this.pushDirection);
+        const at = (vec, k) => ({ x: x + vec.x * k, y: y + vec.y * k, z: z + vec.z * k });
+
+        // Sticky blocks drag the blocks behind them
+        let count = 1;
+        if (count + this.toPush.length > PUSH_LIMIT) return false;
+        while (isSticky(entity)) {
+            const pos = at(back, count);
+            const behind = this.getEntity(pos);
+            if (!behind || !canStickTogether(entity, behind) || !this.isPushable(behind, pos.x, pos.y, pos.z, false) ||
+                this.isPiston(pos)) {
+                break;
+            }
+            entity = behind;
+            count++;
+            if (count + this.toPush.length > PUSH_LIMIT) return false;
         }
-        
-        // Move blocks from end to start (reverse order) to avoid overwriting
-        for (let i = stack.length - 1; i >= 0; i--) {
-            const item = stack[i];
-            const newX = item.x + vec.x;
-            const newY = item.y + vec.y;
-            
-            const entity = simulator.entityManager.entities.get(item.id);
-            const pos = entity.get('position');
-            pos.x = newX;
-            pos.y = newY;
-            
-            // Notify neighbors of change
-            simulator.notifyNeighbors(item.x, item.y);
-            simulator.notifyNeighbors(newX, newY);
-            
-            // Update redstone component if it exists (position changed)
-            const redstone = entity.get('redstone');
-            if (redstone) {
-                // Ideally, we'd trigger an update, but moving might just be position change
+        for (let k = count - 1; k >= 0; k--) {
+            this.toPush.push(at(back, k));
+        }
+
+        // Blocks in front get pushed along
+        for (let j = 1; ; j++) {
+            const pos = at(front, j);
+            const index = this.indexOf(pos);
+            if (index > -1) {
+                // Ran into part of the structure: its sticky blocks have to be able to follow
+                this.reorderListAtCollision(count, index);
+                for (let l = 0; l <= index + count; l++) {
+                    if (isSticky(this.getEntity(this.toPush[l])) && !this.addBranchingBlocks(this.toPush[l])) return false;
+                }
+                return true;
             }
+
+            const ahead = this.getEntity(pos);
+            if (!ahead) return true;
+            if (!this.isPushable(ahead, pos.x, pos.y, pos.z, true) || this.isPiston(pos)) return false;
+            if (getPushReaction(ahead) === PushReaction.DESTROY) {
+                this.toDestroy.push(pos);
+                return true;
+            }
+            if (this.toPush.length >= PUSH_LIMIT) return false;
+            this.toPush.push(pos);
+            count++;
         }
     }
-    
-    doPull(simulator, x, y, direction) {
-        const vec = Direction.toVector(direction);
-        // The head was at x+dx. It is now gone (retracted).
-        // The block to pull is at x+2dx.
-        const targetX = x + vec.x * 2;
-        const targetY = y + vec.y * 2;
-        
-        const block = simulator.getBlockEntity(targetX, targetY);
-        if (block) {
-            const type = block.components.get('blockState').type;
-            // Some blocks can't be pulled (obsidian, etc)
-             if (type === 'minecraft:obsidian' || type === 'minecraft:bedrock' || type === 'minecraft:piston_head') return;
-             
-             // Extended pistons cannot be pulled
-             if ((type === 'minecraft:piston' || type === 'minecraft:sticky_piston') && block.components.get('blockState').extended) return;
-
-            const destX = x + vec.x;
-            const destY = y + vec.y;
-            
-            // Move it
-            const pos = block.components.get('position');
-            pos.x = destX;
-            pos.y = destY;
-            
-            simulator.notifyNeighbors(targetX, targetY);
-            simulator.notifyNeighbors(destX, destY);
+
+    // Java keeps toPush in the order blocks are moved; a line that runs into the structure
+    // is moved in front of the blocks it collided with
+    reorderListAtCollision(count, index) {
+        const before = this.toPush.slice(0, index);
+        const line = this.toPush.slice(this.toPush.length - count);
+        const rest = this.toPush.slice(index, this.toPush.length - count);
+        this.toPush = [...before, ...line, ...rest];
+    }
+
+    // Every block stuck to the sides of a sticky block comes along, with its own line
+    addBranchingBlocks(pos) {
+        const from = this.getEntity(pos);
+        const axis = Direction.axis(this.pushDirection);
+        for (const dir of Direction.ALL) {
+            if (Direction.axis(dir) === axis) continue;
+            const vec = Direction.toVector(dir);
+            const neighborPos = { x: pos.x + vec.x, y: pos.y + vec.y, z: pos.z + vec.z };
+            const neighbor = this.getEntity(neighborPos);
+            if (neighbor && canStickTogether(neighbor, from) && !this.addBlockLine(neighborPos.x, neighborPos.y, neighborPos.z)) {
+                return false;
+            }
         }
+        return true;
     }
 }
 
@@ -884,6 +2036,8 @@ class StickyPistonComponent extends PistonComponent {
 }
 
 class PistonHeadComponent extends RedstoneComponent {
+    static entityRefs = ['sourcePistonId'];
+
     constructor() {
         super();
         this.sourcePistonId = -1;
@@ -897,14 +2051,555 @@ class RedstoneBlockComponent extends RedstoneComponent {
         this.powerLevel = 15;
     }
     
-    getPowerOutput(simulator, x, y, toDirection) {
+    getPowerOutput(simulator, x, y, z, toDirection) {
         return 15;
     }
+
+    connectsToDust(simulator, x, y, z, fromDirection) {
+        return true;
+    }
+}
+
+export class StoneComponent extends RedstoneComponent {
+    // Stone conducts: its power is worked out on demand by simulator.getConductorPower.
+    // We remember the last values only to tell when they change, since the
+    // components around us have to hear about it.
+    constructor() {
+        super();
+        this.strongPower = 0;
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        const strongPower = simulator.getConductorPower(x, y, z, false);
+        const powerLevel = simulator.getConductorPower(x, y, z, true);
+
+        if (strongPower !== this.strongPower || powerLevel !== this.powerLevel) {
+            this.strongPower = strongPower;
+            this.powerLevel = powerLevel;
+            this.updateBlockState(simulator, x, y, z, { powered: powerLevel > 0, powerLevel });
+            simulator.notifyNeighbors(x, y, z);
+        }
+    }
+}
+
+// Conduct like stone; pistons can't move them. Separate classes keep getComponentType exact.
+class ObsidianComponent extends StoneComponent {}
+class BedrockComponent extends StoneComponent {}
+
+// Items stack to 64 unless listed here
+const ITEM_STACK_SIZES = {
+    'minecraft:ender_pearl': 16,
+    'minecraft:snowball': 16,
+    'minecraft:egg': 16,
+    'minecraft:bucket': 16,
+    'minecraft:honey_bottle': 16,
+    'minecraft:oak_sign': 16,
+    'minecraft:armor_stand': 16,
+    'minecraft:water_bucket': 1,
+    'minecraft:lava_bucket': 1,
+    'minecraft:minecart': 1,
+    'minecraft:saddle': 1,
+    'minecraft:shears': 1,
+    'minecraft:wooden_sword': 1,
+    'minecraft:iron_sword': 1,
+    'minecraft:diamond_sword': 1,
+    'minecraft:wooden_shovel': 1,
+    'minecraft:iron_shovel': 1,
+    'minecraft:diamond_shovel': 1,
+    'minecraft:totem_of_undying': 1,
+    'minecraft:cake': 1
+};
+
+export function getMaxStackSize(item) {
+    return ITEM_STACK_SIZES[item] || 64;
 }
 
-class StoneComponent extends RedstoneComponent {
-    // Stone conducts power if strongly powered?
-    // In this simple model, components return their power output.
-    // If we want Stone to transmit power (Strong -> Weak), we need to track input power.
-    // For now, Stone is inert.
+// Blocks a comparator can measure define getComparatorOutput(simulator, x, y, z)
+function isComparatorSource(redstone) {
+    return !!redstone && typeof redstone.getComparatorOutput === 'function';
 }
+
+// Java's container signal: how full the slots are on average (each stack against its own
+// maximum), scaled to 1-14 and plus one for any items at all
+export function getContainerSignal(slots) {
+    let fullness = 0;
+    let hasItems = false;
+    slots.forEach(stack => {
+        if (!stack || stack.count <= 0) return;
+        fullness += stack.count / getMaxStackSize(stack.item);
+        hasItems = true;
+    });
+    return hasItems ? Math.floor(fullness / slots.length * 14) + 1 : 0;
+}
+
+// Chests, barrels, hoppers and droppers. Slots hold { item, count } or null.
+// Barrels and droppers are solid and conduct like stone; chests and hoppers don't.
+class ContainerComponent extends StoneComponent {
+    static SLOT_COUNT = 27;
+
+    constructor() {
+        super();
+        this.slots = new Array(this.constructor.SLOT_COUNT).fill(null);
+    }
+
+    onPlaced(simulator, x, y, z) {
+        super.onPlaced(simulator, x, y, z);
+        simulator.updateComparatorsAround(x, y, z);
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        if (simulator.isConductive(x, y, z)) super.onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ);
+    }
+
+    getComparatorOutput(simulator, x, y, z) {
+        return getContainerSignal(this.slots);
+    }
+
+    getItemCount() {
+        return this.slots.reduce((total, stack) => total + (stack ? stack.count : 0), 0);
+    }
+
+    isEmpty() {
+        return this.slots.every(stack => !stack);
+    }
+
+    isFull() {
+        return this.slots.every(stack => stack && stack.count >= getMaxStackSize(stack.item));
+    }
+
+    // Add one item to the first slot that's empty or has room on the same item, as Java
+    // does. Returns whether it fit.
+    insertItem(item) {
+        const maxStack = getMaxStackSize(item);
+        const index = this.slots.findIndex(stack => !stack || (stack.item === item && stack.count < maxStack));
+        if (index === -1) return false;
+        if (this.slots[index]) {
+            this.slots[index].count++;
+        } else {
+            this.slots[index] = { item, count: 1 };
+        }
+        return true;
+    }
+
+    // Take one item out of a slot and return what it was
+    takeItem(index) {
+        const stack = this.slots[index];
+        stack.count--;
+        if (stack.count === 0) this.slots[index] = null;
+        return stack.item;
+    }
+
+    // The container in the cell next to us in a direction, if there is one
+    getContainerAt(simulator, x, y, z, dir) {
+        const vec = Direction.toVector(dir);
+        const entity = simulator.getBlockEntity(x + vec.x, y + vec.y, z + vec.z);
+        const redstone = entity && entity.components.get('redstone');
+        return redstone instanceof ContainerComponent ? redstone : null;
+    }
+
+    // Replace the contents (missing slots are empty) and let comparators know
+    setSlots(simulator, x, y, z, slots) {
+        this.slots = Array.from({ length: this.slots.length }, (_, i) => (slots[i] ? { ...slots[i] } : null));
+        simulator.updateComparatorsAround(x, y, z);
+    }
+
+    // Fill with the fewest stackable items that give a comparator this signal
+    fillForSignal(simulator, x, y, z, signal, item = 'minecraft:redstone') {
+        const maxStack = getMaxStackSize(item);
+        let count = signal <= 0 ? 0 : Math.max(1, Math.ceil(this.slots.length * maxStack * (signal - 1) / 14));
+        const slots = this.slots.map(() => {
+            const stack = count > 0 ? { item, count: Math.min(count, maxStack) } : null;
+            count -= maxStack;
+            return stack;
+        });
+        this.setSlots(simulator, x, y, z, slots);
+    }
+
+    // Slots are nested objects, so copy them both ways
+    serialize() {
+        return structuredClone({ ...this });
+    }
+
+    deserialize(state) {
+        Object.assign(this, structuredClone(state));
+    }
+}
+
+class ChestComponent extends ContainerComponent {}
+class BarrelComponent extends ContainerComponent {}
+
+// Game ticks a hopper waits after moving an item
+const HOPPER_COOLDOWN = 8;
+
+// Droppers and dispensers fire this many game ticks after being powered
+const DISPENSER_DELAY = 4;
+
+// Move one item from a slot of one container into another, as Java's HopperBlockEntity.addItem
+// does. Returns whether it fit. A hopper that was empty waits a whole cooldown before passing
+// the item on, one tick less if it already ran this tick before the hopper feeding it.
+function moveItem(simulator, source, index, target, targetX, targetY, targetZ) {
+    const wasEmpty = target.isEmpty();
+    if (!target.insertItem(source.slots[index].item)) return false;
+    source.takeItem(index);
+    if (wasEmpty && target instanceof HopperComponent) {
+        const ranFirst = source instanceof HopperComponent && target.lastTick >= source.lastTick;
+        target.cooldown = HOPPER_COOLDOWN - (ranFirst ? 1 : 0);
+    }
+    simulator.updateComparatorsAround(targetX, targetY, targetZ);
+    return true;
+}
+
+// Every game tick a hopper that isn't cooling down or locked by redstone pushes one item into
+// the container it points at, then pulls one from the container above it.
+class HopperComponent extends ContainerComponent {
+    static SLOT_COUNT = 5;
+
+    constructor() {
+        super();
+        this.cooldown = 0;
+        this.lastTick = -1;  // Game tick it last ran, for the cooldown of hoppers it feeds
+        this.locked = false;
+    }
+
+    // Any redstone power locks the hopper straight away
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        super.onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ);
+        const locked = Direction.ALL.some(dir => simulator.getPower(x, y, z, dir) > 0);
+        if (locked !== this.locked) {
+            this.locked = locked;
+            this.updateBlockState(simulator, x, y, z, { enabled: !locked });
+        }
+    }
+
+    onGameTick(simulator, x, y, z) {
+        this.cooldown--;
+        this.lastTick = simulator.tickCount;
+        if (this.cooldown > 0) return;
+        this.cooldown = 0;
+        if (this.locked) return;
+
+        let moved = false;
+        if (!this.isEmpty()) moved = this.pushItem(simulator, x, y, z);
+        if (!this.isFull()) moved = this.pullItem(simulator, x, y, z) || moved;
+        if (moved) {
+            this.cooldown = HOPPER_COOLDOWN;
+            simulator.updateComparatorsAround(x, y, z);
+        }
+    }
+
+    // The first item that fits goes into the container in front
+    pushItem(simulator, x, y, z) {
+        const rotation = this.getRotation(simulator, x, y, z);
+        const target = this.getContainerAt(simulator, x, y, z, rotation);
+        if (!target || target.isFull()) return false;
+        const vec = Direction.toVector(rotation);
+        return this.slots.some((stack, index) => stack && moveItem(simulator, this, index, target, x + vec.x, y + vec.y, z + vec.z));
+    }
+
+    // The first item that fits comes out of the container above
+    pullItem(simulator, x, y, z) {
+        const source = this.getContainerAt(simulator, x, y, z, Direction.UP);
+        if (!source) return false;
+        const pulled = source.slots.some((stack, index) => stack && moveItem(simulator, source, index, this, x, y, z));
+        if (pulled) simulator.updateComparatorsAround(x, y, z + 1);
+        return pulled;
+    }
+}
+
+// Droppers fire on a rising edge of power (quasi-connectivity counts, as for pistons): one item
+// goes into the container they face, or is dropped out of the circuit if there is none.
+// Java picks a random slot; we take the first filled one so runs can be replayed and tested.
+class DropperComponent extends ContainerComponent {
+    static SLOT_COUNT = 9;
+
+    constructor() {
+        super();
+        this.triggered = false;
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        super.onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ);
+        const powered = Direction.ALL.some(dir => simulator.getPower(x, y, z, dir) > 0) ||
+            simulator.checkQuasiConnectivity(x, y, z);
+        if (powered && !this.triggered) {
+            this.triggered = true;
+            this.updateBlockState(simulator, x, y, z, { triggered: true });
+            simulator.scheduleBlockUpdate(x, y, z, DISPENSER_DELAY);
+        } else if (!powered && this.triggered) {
+            this.triggered = false;
+            this.updateBlockState(simulator, x, y, z, { triggered: false });
+        }
+    }
+
+    onScheduledTick(simulator, x, y, z, data) {
+        const index = this.slots.findIndex(stack => stack);
+        if (index === -1) return;
+        if (this.dispense(simulator, x, y, z, index)) simulator.updateComparatorsAround(x, y, z);
+    }
+
+    dispense(simulator, x, y, z, index) {
+        const rotation = this.getRotation(simulator, x, y, z);
+        const target = this.getContainerAt(simulator, x, y, z, rotation);
+        if (!target) {
+            this.takeItem(index);
+            return true;
+        }
+        const vec = Direction.toVector(rotation);
+        return moveItem(simulator, this, index, target, x + vec.x, y + vec.y, z + vec.z);
+    }
+}
+
+// Dispensers fire like droppers but never fill containers: the item is always shot out
+// (what it does out there, e.g. placing water, isn't simulated)
+class DispenserComponent extends DropperComponent {
+    dispense(simulator, x, y, z, index) {
+        this.takeItem(index);
+        return true;
+    }
+}
+
+// An item frame hanging in its cell, facing 'rotation' (so attached to the block behind it).
+// Comparators read it through that block: 0 when empty, else 1-8 by the item's rotation.
+class ItemFrameComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.item = null;
+        this.itemRotation = 0; // 0-7, eighths of a turn
+    }
+
+    getSignal() {
+        return this.item ? this.itemRotation + 1 : 0;
+    }
+
+    // Put an item in (or take it out with null); a new item starts unrotated
+    setItem(simulator, x, y, z, item) {
+        this.item = item;
+        this.itemRotation = 0;
+        this.changed(simulator, x, y, z);
+    }
+
+    rotateItem(simulator, x, y, z) {
+        if (!this.item) return;
+        this.itemRotation = (this.itemRotation + 1) % 8;
+        this.changed(simulator, x, y, z);
+    }
+
+    // Comparators look at the frame through the block it hangs on
+    changed(simulator, x, y, z) {
+        const vec = Direction.toVector(Direction.opposite(this.getRotation(simulator, x, y, z)));
+        if (vec.z === 0) simulator.updateComparatorsAround(x + vec.x, y + vec.y, z);
+    }
+}
+
+// Seven slices; comparators read 2 per slice left
+class CakeComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.bites = 0;
+    }
+
+    getComparatorOutput(simulator, x, y, z) {
+        return (7 - this.bites) * 2;
+    }
+
+    // Eating the last slice removes the cake
+    eat(simulator, x, y, z) {
+        const entity = simulator.getBlockEntity(x, y, z);
+        if (this.bites >= 6) {
+            simulator.removeEntity(entity.id);
+            simulator.notifyNeighbors(x, y, z);
+            return;
+        }
+        this.bites++;
+        this.updateBlockState(simulator, x, y, z, { bites: this.bites });
+        simulator.updateComparatorsAround(x, y, z);
+    }
+}
+
+// Levels 0-7 fill up as things are composted; a full composter (7) becomes ready (8)
+// after 20 game ticks and is emptied by taking the bone meal. Comparators read the level.
+// Unlike Java every item raises the level, so circuits behave the same on every run.
+const COMPOSTER_READY_DELAY = 20;
+
+class ComposterComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.level = 0;
+    }
+
+    getComparatorOutput(simulator, x, y, z) {
+        return this.level;
+    }
+
+    // Add one item, or take the bone meal out of a ready composter
+    use(simulator, x, y, z) {
+        if (this.level === 8) {
+            this.setLevel(simulator, x, y, z, 0);
+        } else if (this.level < 7) {
+            this.setLevel(simulator, x, y, z, this.level + 1);
+        }
+    }
+
+    setLevel(simulator, x, y, z, level) {
+        this.level = level;
+        this.updateBlockState(simulator, x, y, z, { level });
+        if (level === 7) simulator.scheduleBlockUpdate(x, y, z, COMPOSTER_READY_DELAY);
+        simulator.updateComparatorsAround(x, y, z);
+    }
+
+    onScheduledTick(simulator, x, y, z, data) {
+        if (this.level === 7) this.setLevel(simulator, x, y, z, 8);
+    }
+}
+
+// Redstone lamps light as soon as they're powered but go out 2 redstone ticks (4 game ticks)
+// after losing it, like Java, so a short pulse keeps them lit. They conduct like stone.
+const LAMP_OFF_DELAY = 4;
+
+class RedstoneLampComponent extends StoneComponent {
+    constructor() {
+        super();
+        this.lit = false;
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        super.onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ);
+        const powered = simulator.getMaxNeighborPower(x, y, z) > 0;
+        if (powered && !this.lit) {
+            this.setLit(simulator, x, y, z, true);
+        } else if (!powered && this.lit) {
+            simulator.scheduleBlockUpdate(x, y, z, LAMP_OFF_DELAY);
+        }
+    }
+
+    // Power that came back in the meantime keeps the lamp on
+    onScheduledTick(simulator, x, y, z, data) {
+        if (this.lit && simulator.getMaxNeighborPower(x, y, z) === 0) {
+            this.setLit(simulator, x, y, z, false);
+        }
+    }
+
+    setLit(simulator, x, y, z, lit) {
+        this.lit = lit;
+        this.updateBlockState(simulator, x, y, z, { lit });
+        simulator.notifyNeighbors(x, y, z);
+    }
+}
+
+// Iron doors and trapdoors only open with redstone: open while powered, closed otherwise,
+// switching straight away. A door is a single cell here, standing for its lower half.
+class IronDoorComponent extends RedstoneComponent {
+    constructor() {
+        super();
+        this.open = false;
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        const open = simulator.getMaxNeighborPower(x, y, z) > 0;
+        if (open === this.open) return;
+        this.open = open;
+        this.updateBlockState(simulator, x, y, z, { open });
+        simulator.notifyNeighbors(x, y, z);
+    }
+}
+
+class IronTrapdoorComponent extends IronDoorComponent {}
+
+// Java's note block instruments (there they come from the block underneath; here each
+// note block is set to one). Notes run 0-24, two octaves up from the instrument's lowest F#.
+export const NOTE_BLOCK_INSTRUMENTS = [
+    'harp', 'basedrum', 'snare', 'hat', 'bass', 'flute', 'bell', 'guitar',
+    'chime', 'xylophone', 'iron_xylophone', 'cow_bell', 'didgeridoo', 'bit', 'banjo', 'pling'
+];
+export const NOTE_BLOCK_MAX_NOTE = 24;
+
+// Note blocks play on a rising edge of power. As in Java the note is a block event, and
+// it only sounds with nothing on top of the block. They conduct like stone.
+class NoteBlockComponent extends StoneComponent {
+    constructor() {
+        super();
+        this.note = 0;
+        this.instrument = 'harp';
+        this.triggered = false;
+    }
+
+    onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ) {
+        super.onNeighborUpdate(simulator, x, y, z, neighborX, neighborY, neighborZ);
+        const powered = simulator.getMaxNeighborPower(x, y, z) > 0;
+        if (powered === this.triggered) return;
+        this.triggered = powered;
+        if (powered && this.canSound(simulator, x, y, z)) simulator.queueBlockEvent(x, y, z, 0);
+    }
+
+    onBlockEvent(simulator, x, y, z, type, data) {
+        simulator.playSound({ x, y, z, instrument: this.instrument, note: this.note });
+    }
+
+    canSound(simulator, x, y, z) {
+        return !simulator.getBlockEntity(x, y, z + 1);
+    }
+
+    // Clicking raises the note a semitone, wrapping round after two octaves, and plays it
+    tune(simulator, x, y, z) {
+        this.setNote(simulator, x, y, z, (this.note + 1) % (NOTE_BLOCK_MAX_NOTE + 1));
+        if (this.canSound(simulator, x, y, z)) this.onBlockEvent(simulator, x, y, z, 0, 0);
+    }
+
+    setNote(simulator, x, y, z, note) {
+        this.note = note;
+        this.updateBlockState(simulator, x, y, z, { note });
+    }
+
+    setInstrument(simulator, x, y, z, instrument) {
+        this.instrument = instrument;
+        this.updateBlockState(simulator, x, y, z, { instrument });
+    }
+}
+
+// Blocks built into the simulator, in the same shape as component definitions (components.js).
+// Entries with palette: false (piston heads and moving blocks) only ever appear through pistons.
+const BUILT_IN_COMPONENTS = [
+    { type: 'minecraft:redstone_dust', component: RedstoneDustComponent, name: 'Redstone Dust', category: 'transmission' },
+    { type: 'minecraft:redstone_torch', component: RedstoneTorchComponent, name: 'Redstone Torch', category: 'power' },
+    { type: 'minecraft:lever', component: LeverComponent, name: 'Lever', category: 'power' },
+    { type: 'minecraft:button', component: ButtonComponent, name: 'Button', category: 'power' },
+    { type: 'minecraft:wooden_button', component: WoodenButtonComponent, name: 'Wooden Button', category: 'power' },
+    { type: 'minecraft:stone_pressure_plate', component: StonePressurePlateComponent, name: 'Stone Pressure Plate', category: 'power', title: 'Click to step on or off' },
+    { type: 'minecraft:wooden_pressure_plate', component: WoodenPressurePlateComponent, name: 'Wooden Pressure Plate', category: 'power', title: 'Click to step on or off' },
+    { type: 'minecraft:light_weighted_pressure_plate', component: LightWeightedPressurePlateComponent, name: 'Light Weighted Plate', category: 'power', title: 'Right-click to set how many entities are on it' },
+    { type: 'minecraft:heavy_weighted_pressure_plate', component: HeavyWeightedPressurePlateComponent, name: 'Heavy Weighted Plate', category: 'power', title: 'Right-click to set how many entities are on it' },
+    { type: 'minecraft:target', component: TargetComponent, name: 'Target', category: 'power', title: 'Click to shoot it with an arrow' },
+    { type: 'minecraft:daylight_sensor', component: DaylightSensorComponent, name: 'Daylight Sensor', category: 'power', title: 'Click to invert; reads the world time' },
+    { type: 'minecraft:tripwire_hook', component: TripwireHookComponent, name: 'Tripwire Hook', category: 'power', title: 'Faces along its string' },
+    { type: 'minecraft:tripwire', component: TripwireComponent, name: 'String', category: 'power', title: 'Click to step on or off' },
+    { type: 'minecraft:repeater', component: RepeaterComponent, name: 'Repeater', category: 'transmission' },
+    { type: 'minecraft:comparator', component: ComparatorComponent, name: 'Comparator', category: 'transmission' },
+    { type: 'minecraft:observer', component: ObserverComponent, name: 'Observer', category: 'power' },
+    { type: 'minecraft:piston', component: PistonComponent, name: 'Piston', category: 'mechanisms' },
+    { type: 'minecraft:sticky_piston', component: StickyPistonComponent, name: 'Sticky Piston', category: 'mechanisms' },
+    { type: 'minecraft:piston_head', component: PistonHeadComponent, palette: false },
+    { type: 'minecraft:moving_piston', component: MovingBlockComponent, palette: false },
+    { type: 'minecraft:redstone_block', component: RedstoneBlockComponent, name: 'Redstone Block', category: 'power' },
+    { type: 'minecraft:stone', component: StoneComponent, name: 'Stone', category: 'blocks' },
+    { type: 'minecraft:obsidian', component: ObsidianComponent, name: 'Obsidian', category: 'blocks' },
+    { type: 'minecraft:bedrock', component: BedrockComponent, name: 'Bedrock', category: 'blocks' },
+    { type: 'minecraft:chest', component: ChestComponent, name: 'Chest', category: 'blocks' },
+    { type: 'minecraft:barrel', component: BarrelComponent, name: 'Barrel', category: 'blocks' },
+    { type: 'minecraft:hopper', component: HopperComponent, name: 'Hopper', category: 'mechanisms' },
+    { type: 'minecraft:dropper', component: DropperComponent, name: 'Dropper', category: 'mechanisms' },
+    { type: 'minecraft:dispenser', component: DispenserComponent, name: 'Dispenser', category: 'mechanisms' },
+    { type: 'minecraft:item_frame', component: ItemFrameComponent, name: 'Item Frame', category: 'blocks', title: 'Click to rotate its item' },
+    { type: 'minecraft:cake', component: CakeComponent, name: 'Cake', category: 'blocks', title: 'Click to eat a slice' },
+    { type: 'minecraft:composter', component: ComposterComponent, name: 'Composter', category: 'blocks', title: 'Click to compost an item' },
+    { type: 'minecraft:redstone_lamp', component: RedstoneLampComponent, name: 'Redstone Lamp', category: 'mechanisms' },
+    { type: 'minecraft:iron_door', component: IronDoorComponent, name: 'Iron Door', category: 'mechanisms' },
+    { type: 'minecraft:iron_trapdoor', component: IronTrapdoorComponent, name: 'Iron Trapdoor', category: 'mechanisms' },
+    { type: 'minecraft:note_block', component: NoteBlockComponent, name: 'Note Block', category: 'mechanisms', title: 'Click to raise its pitch' },
+    // Glass, slime and honey have no component: they don't conduct and only shape how dust runs
+    { type: 'minecraft:glass', component: null, name: 'Glass', category: 'blocks' },
+    { type: 'minecraft:slime_block', component: null, name: 'Slime Block', category: 'blocks' },
+    { type: 'minecraft:honey_block', component: null, name: 'Honey Block', category: 'blocks' }
+];
+
+// Plugins can't redefine the built-in blocks or reuse their classes (components.js)
+reserveBuiltInTypes(BUILT_IN_COMPONENTS);
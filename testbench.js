@@ -0,0 +1,313 @@
+import { serializeCircuit, deserializeCircuit } from './serializer.js';
+
+// Testbenches check a circuit against a truth table or a timed sequence of steps.
+// A testbench is a plain JSON object, stored with the circuit as simulator.testbench:
+//
+// {
+//   inputs:  { A: { x, y, z }, B: { x, y, z } },   // any of INPUT_TYPES
+//   outputs: { S: { x, y, z } },                   // any block, read like getPower
+//   tests: [
+//     // Every row starts from the saved circuit: set the inputs, run `settle` ticks, check outputs
+//     { name: 'half adder', truthTable: { settle: 20, rows: [{ A: 0, B: 1, S: 1 }, ...] } },
+//
+//     // Steps run one after another on the same circuit
+//     { name: 'delay', steps: [
+//         { set: { A: 1 } },
+//         { expect: { S: 1 }, after: 4, within: 6 },  // not before tick 4, at the latest by tick 6
+//         { wait: 10 },
+//         { set: { A: 0 }, expect: { S: 0 }, within: 6 }
+//     ] }
+//   ]
+// }
+//
+// Expected values are logic levels (true/false or 1/0: powered or not) or { power: N } for
+// an exact power level. `within` and `after` count ticks from the start of the step.
+
+// Ticks a truth table row runs before its outputs are checked, unless it says otherwise
+const DEFAULT_SETTLE_TICKS = 20;
+
+export class TestbenchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TestbenchError';
+    }
+}
+
+export function createTestbench() {
+    return { inputs: {}, outputs: {}, tests: [] };
+}
+
+// The testbench stored with a circuit, created on first use
+export function getTestbench(simulator) {
+    if (!simulator.testbench) simulator.testbench = createTestbench();
+    return simulator.testbench;
+}
+
+// Name given to a cell, as { kind: 'input' | 'output', name } or null
+export function findMarker(bench, x, y, z) {
+    if (!bench) return null;
+    for (const kind of ['input', 'output']) {
+        for (const [name, cell] of Object.entries(bench[`${kind}s`])) {
+            if (cell.x === x && cell.y === y && cell.z === z) return { kind, name };
+        }
+    }
+    return null;
+}
+
+// Mark a cell as a named input or output; a cell carries at most one name
+export function setMarker(simulator, kind, name, x, y, z) {
+    const bench = getTestbench(simulator);
+    removeMarker(simulator, x, y, z);
+    delete bench.inputs[name];
+    delete bench.outputs[name];
+    bench[`${kind}s`][name] = { x, y, z };
+}
+
+export function removeMarker(simulator, x, y, z) {
+    const marker = findMarker(simulator.testbench, x, y, z);
+    if (marker) delete simulator.testbench[`${marker.kind}s`][marker.name];
+}
+
+// Power level (0-15) at a cell: a component's output level,
+// or for a solid block the power conducted into it
+export function readPower(simulator, x, y, z = 0) {
+    if (simulator.isConductive(x, y, z)) {
+        return simulator.getConductorPower(x, y, z);
+    }
+    const entity = simulator.getBlockEntity(x, y, z);
+    const redstone = entity && entity.components.get('redstone');
+    return redstone ? redstone.powerLevel : 0;
+}
+
+// Blocks a testbench can drive
+export const INPUT_TYPES = new Set([
+    'minecraft:lever',
+    'minecraft:button',
+    'minecraft:wooden_button',
+    'minecraft:stone_pressure_plate',
+    'minecraft:wooden_pressure_plate',
+    'minecraft:light_weighted_pressure_plate',
+    'minecraft:heavy_weighted_pressure_plate',
+    'minecraft:tripwire',
+    'minecraft:target'
+]);
+
+// Levers are switched to the given state. Buttons are pressed and targets hit when `on` is
+// true, and release by themselves. Pressure plates and tripwire get one entity on them for
+// `on` and none for off.
+export function setInput(simulator, x, y, z = 0, on = true) {
+    const entity = simulator.getBlockEntity(x, y, z);
+    const type = entity && entity.components.get('blockState').type;
+    const redstone = entity && entity.components.get('redstone');
+
+    if (!INPUT_TYPES.has(type)) {
+        throw new TestbenchError(`No lever, button or other input at ${x},${y},${z} (found ${type || 'nothing'}).`);
+    }
+    if (type === 'minecraft:lever') {
+        if ((redstone.powerLevel > 0) !== on) redstone.toggle(simulator, x, y, z);
+    } else if (type === 'minecraft:target') {
+        if (on) redstone.hit(simulator, x, y, z);
+    } else if (typeof redstone.setEntityCount === 'function') {
+        redstone.setEntityCount(simulator, x, y, z, on ? 1 : 0);
+    } else if (on) {
+        redstone.press(simulator, x, y, z);
+    }
+}
+
+function isCell(cell) {
+    return cell && Number.isInteger(cell.x) && Number.isInteger(cell.y) && Number.isInteger(cell.z);
+}
+
+function isExpectation(value) {
+    if (typeof value === 'boolean' || value === 0 || value === 1) return true;
+    return value !== null && typeof value === 'object' && Number.isInteger(value.power);
+}
+
+function checkNames(names, bench, where) {
+    for (const [name, value] of Object.entries(names || {})) {
+        if (name in bench.inputs) {
+            if (typeof value !== 'boolean' && value !== 0 && value !== 1) {
+                throw new TestbenchError(`${where}: input ${name} must be true/false or 1/0.`);
+            }
+        } else if (name in bench.outputs) {
+            if (!isExpectation(value)) {
+                throw new TestbenchError(`${where}: output ${name} must be true/false, 1/0 or { power: N }.`);
+            }
+        } else {
+            throw new TestbenchError(`${where}: unknown input or output "${name}".`);
+        }
+    }
+}
+
+// Throws a TestbenchError describing the first problem found
+export function validateTestbench(bench) {
+    if (!bench || typeof bench !== 'object') throw new TestbenchError('Testbench is not an object.');
+    for (const kind of ['inputs', 'outputs']) {
+        if (!bench[kind] || typeof bench[kind] !== 'object') throw new TestbenchError(`Testbench has no ${kind}.`);
+        for (const [name, cell] of Object.entries(bench[kind])) {
+            if (!isCell(cell)) throw new TestbenchError(`${name} needs integer x, y and z.`);
+        }
+    }
+    if (!Array.isArray(bench.tests)) throw new TestbenchError('Testbench has no list of tests.');
+
+    bench.tests.forEach((test, index) => {
+        const where = `Test "${test.name || index + 1}"`;
+        if (test.truthTable) {
+            if (!Array.isArray(test.truthTable.rows)) throw new TestbenchError(`${where} has no truth table rows.`);
+            test.truthTable.rows.forEach((row, i) => checkNames(row, bench, `${where}, row ${i + 1}`));
+        } else if (Array.isArray(test.steps)) {
+            test.steps.forEach((step, i) => {
+                const stepWhere = `${where}, step ${i + 1}`;
+                checkNames(step.set, bench, stepWhere);
+                checkNames(step.expect, bench, stepWhere);
+                for (const key of ['wait', 'within', 'after']) {
+                    if (key in step && !(Number.isInteger(step[key]) && step[key] >= 0)) {
+                        throw new TestbenchError(`${stepWhere}: ${key} must be a whole number of ticks.`);
+                    }
+                }
+            });
+        } else {
+            throw new TestbenchError(`${where} needs a truthTable or steps.`);
+        }
+    });
+}
+
+function describeExpectation(value) {
+    if (typeof value === 'object') return `power ${value.power}`;
+    return value ? 'on' : 'off';
+}
+
+function meetsExpectation(power, value) {
+    if (typeof value === 'object') return power === value.power;
+    return (power > 0) === Boolean(value);
+}
+
+// Output names in an expectation with their cells and power right now
+function readOutputs(simulator, bench, expect) {
+    return Object.entries(expect || {})
+        .filter(([name]) => name in bench.outputs)
+        .map(([name, value]) => {
+            const { x, y, z } = bench.outputs[name];
+            return { name, x, y, z, value, power: readPower(simulator, x, y, z) };
+        });
+}
+
+// Outputs that don't match, as failures carrying the cell so the UI can point at it
+function checkOutputs(simulator, bench, expect) {
+    return readOutputs(simulator, bench, expect)
+        .filter(({ power, value }) => !meetsExpectation(power, value))
+        .map(({ name, x, y, z, value, power }) => ({ name, x, y, z, expected: describeExpectation(value), actual: power }));
+}
+
+function applyInputs(simulator, bench, values) {
+    for (const [name, value] of Object.entries(values || {})) {
+        if (!(name in bench.inputs)) continue;
+        const { x, y, z } = bench.inputs[name];
+        setInput(simulator, x, y, z, Boolean(value));
+    }
+}
+
+// Each test gets its own copy of the circuit so the editor's state is left alone
+function cloneSimulator(simulator) {
+    return deserializeCircuit(serializeCircuit(simulator));
+}
+
+function describeRow(row) {
+    return Object.entries(row).map(([name, value]) => `${name}=${typeof value === 'object' ? value.power : Number(value)}`).join(' ');
+}
+
+function runTruthTable(simulator, bench, { settle = DEFAULT_SETTLE_TICKS, rows }) {
+    return rows.map((row, index) => {
+        const sim = cloneSimulator(simulator);
+        applyInputs(sim, bench, row);
+        for (let i = 0; i < settle; i++) sim.tick();
+        const failures = checkOutputs(sim, bench, row);
+        return { index, label: describeRow(row), tick: settle, passed: failures.length === 0, failures };
+    });
+}
+
+function runSteps(simulator, bench, steps) {
+    const sim = cloneSimulator(simulator);
+    const start = sim.tickCount;
+    const results = [];
+
+    for (const [index, step] of steps.entries()) {
+        const labels = [];
+        if (step.set) labels.push(`set ${describeRow(step.set)}`);
+        if (step.wait) labels.push(`wait ${step.wait}`);
+        if (step.expect) labels.push(`expect ${describeRow(step.expect)}`);
+
+        applyInputs(sim, bench, step.set);
+        for (let i = 0; i < (step.wait || 0); i++) sim.tick();
+
+        let failures = [];
+        let message = null;
+        if (step.expect) {
+            const within = step.within || 0;
+            const after = step.after || 0;
+            // Check now and after every tick until the expectation holds or the deadline passes
+            for (let elapsed = 0; ; elapsed++) {
+                failures = checkOutputs(sim, bench, step.expect);
+                if (failures.length === 0 && elapsed < after) {
+                    // Too early counts as a failure of every output in the expectation
+                    message = `expected after ${after} tick(s), but already true after ${elapsed}`;
+                    failures = readOutputs(sim, bench, step.expect)
+                        .map(({ name, x, y, z, power }) => ({ name, x, y, z, expected: `not before tick ${after}`, actual: power }));
+                    break;
+                }
+                if (failures.length === 0 || elapsed >= within) break;
+                sim.tick();
+            }
+            if (failures.length > 0 && !message) message = `not met within ${within} tick(s)`;
+        }
+
+        results.push({
+            index,
+            label: labels.join(', ') || 'no-op',
+            tick: sim.tickCount - start,
+            passed: failures.length === 0,
+            failures,
+            message
+        });
+        // Later steps build on this one, so stop at the first failure
+        if (failures.length > 0) break;
+    }
+    return results;
+}
+
+// Run every test of a testbench against a copy of the circuit.
+// Returns { passed, tests: [{ name, passed, results: [{ index, label, tick, passed, failures, message }] }] }
+export function runTestbench(simulator, bench = simulator.testbench) {
+    validateTestbench(bench);
+    const tests = bench.tests.map((test, index) => {
+        const results = test.truthTable
+            ? runTruthTable(simulator, bench, test.truthTable)
+            : runSteps(simulator, bench, test.steps);
+        return { name: test.name || `Test ${index + 1}`, passed: results.every(r => r.passed), results };
+    });
+    return { passed: tests.every(t => t.passed), tests };
+}
+
+// Cells of every failing output, for highlighting on the canvas
+export function failingCells(report) {
+    return report.tests.flatMap(test => test.results.flatMap(result => result.failures));
+}
+
+// Plain-text report, one line per test plus details for failures
+export function describeTestReport(report) {
+    const lines = [];
+    for (const test of report.tests) {
+        const passedCount = test.results.filter(r => r.passed).length;
+        lines.push(`${test.passed ? 'PASS' : 'FAIL'} ${test.name} (${passedCount}/${test.results.length})`);
+        for (const result of test.results) {
+            if (result.passed) continue;
+            lines.push(`  #${result.index + 1} ${result.label} @ tick ${result.tick}${result.message ? `: ${result.message}` : ''}`);
+            for (const f of result.failures) {
+                lines.push(`    ${f.name} (${f.x},${f.y},${f.z}): expected ${f.expected}, got ${f.actual}`);
+            }
+        }
+    }
+    const failed = report.tests.filter(t => !t.passed).length;
+    lines.push(failed === 0 ? `All ${report.tests.length} test(s) passed.` : `${failed} of ${report.tests.length} test(s) failed.`);
+    return lines.join('\n');
+}
@@ -0,0 +1,96 @@
+import { serializeCircuit, restoreCircuit } from './serializer.js';
+
+// Rewind support: snapshots of the whole simulator state (blocks plus scheduled ticks) taken
+// every `interval` ticks and after every edit. Seeking to a tick restores the closest snapshot
+// at or before it and replays the remaining ticks, which gives the exact state because the
+// simulation is deterministic and every edit in between has its own snapshot.
+//
+// Seeking back and then ticking or editing branches the timeline: the old future is dropped.
+
+// A snapshot every second of game time, keeping the last five minutes
+const DEFAULT_INTERVAL = 20;
+const DEFAULT_LIMIT = 300;
+
+export class Timeline {
+    constructor({ interval = DEFAULT_INTERVAL, limit = DEFAULT_LIMIT } = {}) {
+        this.interval = interval;
+        this.limit = limit;
+        this.snapshots = [];    // [{ tick, json }] oldest first, at most one per tick
+        this.latestTick = 0;    // Furthest tick reached on the current branch
+        this.simulator = null;
+        this.seeking = false;   // Replaying towards a seek target
+        this.listener = (simulator) => this.onTick(simulator);
+    }
+
+    attach(simulator) {
+        this.detach();
+        this.simulator = simulator;
+        simulator.addTickListener(this.listener);
+        this.snapshots = [];
+        this.latestTick = simulator.tickCount;
+        this.capture();
+    }
+
+    detach() {
+        if (this.simulator) this.simulator.removeTickListener(this.listener);
+        this.simulator = null;
+    }
+
+    // Earliest tick that can still be restored
+    get startTick() {
+        return this.snapshots.length > 0 ? this.snapshots[0].tick : this.latestTick;
+    }
+
+    // Call after the user changes the circuit: the current state becomes the new head
+    recordEdit() {
+        if (!this.simulator) return;
+        this.dropAfter(this.simulator.tickCount - 1);
+        this.latestTick = this.simulator.tickCount;
+        this.capture();
+    }
+
+    // Restore the simulator to the state it had at `tick`.
+    // Returns false if the tick is outside the recorded range.
+    seek(tick) {
+        if (!this.simulator || tick < this.startTick || tick > this.latestTick) return false;
+
+        let snapshot = this.snapshots[0];
+        for (const candidate of this.snapshots) {
+            if (candidate.tick > tick) break;
+            snapshot = candidate;
+        }
+
+        // The testbench isn't part of the snapshots, so rewinding leaves it alone
+        restoreCircuit(this.simulator, JSON.parse(snapshot.json));
+        this.seeking = true;
+        try {
+            while (this.simulator.tickCount < tick) this.simulator.tick();
+        } finally {
+            this.seeking = false;
+        }
+        return true;
+    }
+
+    onTick(simulator) {
+        if (this.seeking) return;
+
+        // Ticking from a rewound state replaces the old future
+        if (simulator.tickCount <= this.latestTick) this.dropAfter(simulator.tickCount - 1);
+        this.latestTick = simulator.tickCount;
+        if (simulator.tickCount % this.interval === 0) this.capture();
+    }
+
+    capture() {
+        const { testbench, ...doc } = serializeCircuit(this.simulator);
+        const tick = this.simulator.tickCount;
+        this.dropAfter(tick - 1);
+        this.snapshots.push({ tick, json: JSON.stringify(doc) });
+        while (this.snapshots.length > this.limit) this.snapshots.shift();
+    }
+
+    dropAfter(tick) {
+        while (this.snapshots.length > 0 && this.snapshots[this.snapshots.length - 1].tick > tick) {
+            this.snapshots.pop();
+        }
+    }
+}
@@ -0,0 +1,237 @@
+// Waveform panel for the logic analyzer (analyzer.js): one row per probe, newest tick on the right.
+// Digital view draws each probe as high/low, analog view as a 0-15 step plot.
+// Two cursors (A: left click, B: shift+click or right click) snap to nearby edges and
+// report the distance between them in ticks.
+
+const LABEL_WIDTH = 90;
+const ROW_HEIGHT = { digital: 24, analog: 48 };
+const HEADER_HEIGHT = 16;
+const SNAP_DISTANCE = 6; // Pixels within which a cursor jumps to an edge
+const MIN_TICK_WIDTH = 1;
+const MAX_TICK_WIDTH = 40;
+
+export class WaveformView {
+    constructor(canvas, analyzer) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.analyzer = analyzer;
+        this.mode = 'digital';     // 'digital' or 'analog'
+        this.tickWidth = 8;        // Pixels per tick
+        this.scrollTick = null;    // Tick at the right edge, or null to follow the newest sample
+        this.cursors = [null, null]; // Ticks of cursor A and B
+        this.onCursorChange = null;  // Callback for the cursor readout
+
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    }
+
+    resize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+    }
+
+    get visibleTicks() {
+        return Math.max(1, Math.floor((this.canvas.width - LABEL_WIDTH) / this.tickWidth));
+    }
+
+    // Tick drawn at the right edge of the plot
+    get rightTick() {
+        return this.scrollTick === null ? this.analyzer.endTick : this.scrollTick;
+    }
+
+    get leftTick() {
+        return this.rightTick - this.visibleTicks + 1;
+    }
+
+    tickToX(tick) {
+        return LABEL_WIDTH + (tick - this.leftTick) * this.tickWidth;
+    }
+
+    xToTick(px) {
+        return this.leftTick + Math.floor((px - LABEL_WIDTH) / this.tickWidth);
+    }
+
+    rowAt(py) {
+        const index = Math.floor((py - HEADER_HEIGHT) / ROW_HEIGHT[this.mode]);
+        return this.analyzer.probes[index] || null;
+    }
+
+    handleMouseDown(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const px = e.clientX - rect.left;
+        const py = e.clientY - rect.top;
+        if (px < LABEL_WIDTH) return;
+
+        let tick = this.xToTick(px);
+        // Snap to the closest edge of the probe under the mouse
+        const probe = this.rowAt(py);
+        if (probe) {
+            let best = SNAP_DISTANCE + 1;
+            for (const edge of this.analyzer.findEdges(probe)) {
+                const distance = Math.abs(this.tickToX(edge) - px);
+                if (distance < best) {
+                    best = distance;
+                    tick = edge;
+                }
+            }
+        }
+
+        const index = (e.button === 2 || e.shiftKey) ? 1 : 0;
+        this.cursors[index] = tick;
+        if (this.onCursorChange) this.onCursorChange(this.cursors);
+    }
+
+    // Wheel scrolls through time; Ctrl+wheel zooms
+    handleWheel(e) {
+        e.preventDefault();
+        if (e.ctrlKey) {
+            const factor = e.deltaY < 0 ? 2 : 0.5;
+            this.tickWidth = Math.max(MIN_TICK_WIDTH, Math.min(MAX_TICK_WIDTH, this.tickWidth * factor));
+            return;
+        }
+        const step = Math.max(1, Math.round(this.visibleTicks / 10)) * Math.sign(e.deltaY || e.deltaX);
+        const tick = this.rightTick + step;
+        // Scrolling back to the newest sample resumes following it
+        this.scrollTick = tick >= this.analyzer.endTick ? null : Math.max(this.analyzer.startTick, tick);
+    }
+
+    clearCursors() {
+        this.cursors = [null, null];
+        if (this.onCursorChange) this.onCursorChange(this.cursors);
+    }
+
+    render() {
+        const { ctx, canvas, analyzer } = this;
+        const rowHeight = ROW_HEIGHT[this.mode];
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#151515';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.font = '11px monospace';
+        ctx.textBaseline = 'middle';
+        this.drawTimeAxis();
+
+        const first = Math.max(this.leftTick, analyzer.startTick);
+        const last = Math.min(this.rightTick, analyzer.endTick);
+
+        analyzer.probes.forEach((probe, index) => {
+            const top = HEADER_HEIGHT + index * rowHeight;
+            ctx.fillStyle = index % 2 ? '#1c1c1c' : '#202020';
+            ctx.fillRect(0, top, canvas.width, rowHeight);
+            ctx.fillStyle = '#ddd';
+            ctx.textAlign = 'left';
+            ctx.fillText(probe.name, 4, top + rowHeight / 2, LABEL_WIDTH - 8);
+
+            if (this.mode === 'digital') {
+                this.drawDigital(probe, top, rowHeight, first, last);
+            } else {
+                this.drawAnalog(probe, top, rowHeight, first, last);
+            }
+        });
+
+        this.drawCursors();
+        this.drawCurrentTick();
+    }
+
+    // After rewinding, a solid line marks the tick the circuit is at
+    drawCurrentTick() {
+        const simulator = this.analyzer.simulator;
+        if (!simulator || simulator.tickCount >= this.analyzer.endTick) return;
+        const tick = simulator.tickCount;
+        if (tick < this.leftTick || tick > this.rightTick) return;
+        const px = this.tickToX(tick) + this.tickWidth + 0.5;
+        this.ctx.strokeStyle = '#fff';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(px, HEADER_HEIGHT);
+        this.ctx.lineTo(px, this.canvas.height);
+        this.ctx.stroke();
+    }
+
+    drawTimeAxis() {
+        const { ctx } = this;
+        // A label roughly every 80 pixels, on a round number of ticks
+        const every = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000].find(n => n * this.tickWidth >= 80) || 1000;
+        ctx.fillStyle = '#888';
+        ctx.strokeStyle = '#2a2a2a';
+        ctx.textAlign = 'center';
+        for (let tick = Math.ceil(this.leftTick / every) * every; tick <= this.rightTick; tick += every) {
+            const px = this.tickToX(tick);
+            ctx.fillText(tick, px, HEADER_HEIGHT / 2);
+            ctx.beginPath();
+            ctx.moveTo(px + 0.5, HEADER_HEIGHT);
+            ctx.lineTo(px + 0.5, this.canvas.height);
+            ctx.stroke();
+        }
+    }
+
+    drawDigital(probe, top, rowHeight, first, last) {
+        const { ctx, analyzer } = this;
+        const high = top + 4;
+        const low = top + rowHeight - 4;
+        ctx.strokeStyle = '#ff4444';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let previous = null;
+        for (let tick = first; tick <= last; tick++) {
+            const value = analyzer.sampleAt(probe, tick);
+            const px = this.tickToX(tick);
+            if (value === null) {
+                previous = null;
+                continue;
+            }
+            const py = value > 0 ? high : low;
+            if (previous === null) ctx.moveTo(px, py);
+            else ctx.lineTo(px, previous);
+            ctx.lineTo(px, py);
+            ctx.lineTo(px + this.tickWidth, py);
+            previous = py;
+        }
+        ctx.stroke();
+    }
+
+    drawAnalog(probe, top, rowHeight, first, last) {
+        const { ctx, analyzer } = this;
+        const scale = (rowHeight - 8) / 15;
+        const levelY = (value) => top + rowHeight - 4 - value * scale;
+        ctx.fillStyle = 'rgba(255, 68, 68, 0.35)';
+        ctx.strokeStyle = '#ff4444';
+        ctx.lineWidth = 1;
+        let previous = null;
+        for (let tick = first; tick <= last; tick++) {
+            const value = analyzer.sampleAt(probe, tick);
+            if (value === null) continue;
+            const px = this.tickToX(tick);
+            ctx.fillRect(px, levelY(value), this.tickWidth, value * scale);
+            // Print the level where it changes, if there's room
+            if (value !== previous && this.tickWidth >= 4) {
+                ctx.fillStyle = '#fff';
+                ctx.textAlign = 'left';
+                ctx.fillText(value, px + 1, top + 8);
+                ctx.fillStyle = 'rgba(255, 68, 68, 0.35)';
+            }
+            previous = value;
+        }
+    }
+
+    drawCursors() {
+        const { ctx } = this;
+        ['#50a0ff', '#ffd800'].forEach((color, index) => {
+            const tick = this.cursors[index];
+            if (tick === null || tick < this.leftTick || tick > this.rightTick) return;
+            const px = this.tickToX(tick) + 0.5;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(px, HEADER_HEIGHT);
+            ctx.lineTo(px, this.canvas.height);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = color;
+            ctx.textAlign = 'left';
+            ctx.fillText(index === 0 ? 'A' : 'B', px + 2, HEADER_HEIGHT + 6);
+        });
+    }
+}